@@ -39,6 +39,5 @@ module.exports = {
     commit => commit.includes('Merge branch'),
     commit => commit.includes('Merge pull request'),
   ],
-  defaultIgnores: true,
   helpUrl: 'https://github.com/conventional-changelog/commitlint/#what-is-commitlint',
 };
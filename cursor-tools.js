@@ -16,8 +16,12 @@ import { spawn } from 'child_process';
 
 const program = new Command();
 
-// Check if we're in development mode (scripts directory exists)
-const isDevelopmentMode = existsSync('./scripts');
+// Filled in by scripts/build-compiler.js with the embedded script modules
+const EMBEDDED_SCRIPTS = {};
+
+// Compiled bundles always use their embedded scripts, even next to a scripts/ directory
+const isCompiledMode = Object.keys(EMBEDDED_SCRIPTS).length > 0;
+const isDevelopmentMode = !isCompiledMode && existsSync('./scripts');
 
 /**
  * Execute a script in the appropriate mode
@@ -25,13 +29,15 @@ const isDevelopmentMode = existsSync('./scripts');
 async function executeScript(scriptName, args = []) {
   if (isDevelopmentMode) {
     // DEVELOPMENT MODE: Use individual scripts
+    // No shell: messages, plan names and trailers reach the script as single arguments
     console.log(`🔧 [DEV MODE] Running: node scripts/${scriptName}.js ${args.join(' ')}`);
     return new Promise((resolve, reject) => {
-      const child = spawn('node', [`scripts/${scriptName}.js`, ...args], {
+      const child = spawn(process.execPath, [`scripts/${scriptName}.js`, ...args], {
         stdio: 'inherit',
-        shell: true,
       });
 
+      child.on('error', reject);
+
       child.on('close', code => {
         if (code === 0) {
           resolve();
@@ -42,9 +48,17 @@ async function executeScript(scriptName, args = []) {
     });
   } else {
     // COMPILED MODE: Use embedded scripts
-    console.log(`📦 [COMPILED MODE] Running embedded: ${scriptName}`);
-    // TODO: Import and execute embedded script functions
-    throw new Error('Compiled mode not implemented yet');
+    const embedded = EMBEDDED_SCRIPTS[scriptName];
+    if (!embedded) {
+      throw new Error(
+        isCompiledMode
+          ? `Script not embedded in this build: ${scriptName}`
+          : 'No scripts/ directory found. Build a standalone version with: npm run cursor-tools:compile'
+      );
+    }
+
+    console.log(`📦 [COMPILED MODE] Running embedded: ${scriptName} ${args.join(' ')}`);
+    await embedded.program.parseAsync(args, { from: 'user' });
   }
 }
 
@@ -52,7 +66,8 @@ async function executeScript(scriptName, args = []) {
 program
   .name('cursor-tools')
   .description('🚀 Universal Project Setup & Automation Tools')
-  .version('1.0.0');
+  .version('1.0.0')
+  .enablePositionalOptions();
 
 // Project Detection
 program
@@ -149,13 +164,25 @@ program
 program
   .command('version')
   .description('Version management')
-  .argument('[action]', 'Action: show, bump')
+  .argument('[action]', 'Action: show, recommend, bump')
   .argument('[type]', 'Bump type: patch, minor, major')
-  .action(async (action = 'show', type) => {
+  .option('-a, --auto', 'Bump by the type recommended from the commits since the latest tag')
+  .option('-t, --tag', 'Create git tag')
+  .option('--json', 'Print the recommendation as JSON')
+  .action(async (action = 'show', type, options) => {
     const args = [action];
     if (type) {
       args.push(type);
     }
+    if (options.auto) {
+      args.push('--auto');
+    }
+    if (options.tag) {
+      args.push('--tag');
+    }
+    if (options.json) {
+      args.push('--json');
+    }
     await executeScript('version-manager', args);
   });
 
@@ -176,18 +203,55 @@ program
   });
 
 // Git Workflow
-program
+const commit = program
   .command('commit')
   .description('🧠 Smart commit with AI-powered type detection')
+  // -f/--format after a subcommand (eval, lint) belongs to the subcommand
+  .enablePositionalOptions()
   .argument('[message]', 'Commit message (optional with smart mode)')
   .option('-i, --interactive', 'Smart interactive mode')
   .option('-s, --smart', '🧠 Fully automated smart detection')
+  .option('--split', '✂️ Split staged hunks into several logical commits')
+  .option('--fixup', '🩹 Commit the staged hunks as a fixup!/amend! of an earlier branch commit')
+  .option('--autosquash', '🧹 Fold the fixup!/amend! commits of the branch')
+  .option('--base <ref>', 'Branch the --fixup/--autosquash range starts from (default: upstream)')
+  .option('-d, --dry-run', 'Show the split, fixup targets or autosquash without committing')
   .option('--no-verify', 'Skip pre-commit hooks')
+  .option('--no-plan', 'Do not link the commit to an active plan item')
+  .option(
+    '--co-author <who>',
+    'Add a Co-authored-by trailer (roster alias, name or email, repeatable)',
+    (value, previous) => previous.concat([value]),
+    []
+  )
+  .option('--signoff', 'Add a Signed-off-by trailer (DCO)')
+  .option('--explain', '🔍 Explain the smart detection without committing')
+  .option('-f, --format <type>', 'Explain output format (console, json)', 'console')
   .action(async (message, options) => {
     const args = [];
 
     // Smart mode par défaut si pas de message
-    if (!message && !options.interactive) {
+    if (options.explain) {
+      args.push('--explain', '-f', options.format);
+    } else if (options.fixup || options.autosquash) {
+      if (options.fixup) {
+        args.push('--fixup');
+      }
+      if (options.autosquash) {
+        args.push('--autosquash');
+      }
+      if (options.base) {
+        args.push('--base', options.base);
+      }
+      if (options.dryRun) {
+        args.push('-d');
+      }
+    } else if (options.split) {
+      args.push('--split');
+      if (options.dryRun) {
+        args.push('-d');
+      }
+    } else if (!message && !options.interactive) {
       console.log('🧠 No message provided - activating smart mode');
       args.push('--smart');
     } else {
@@ -202,12 +266,289 @@ program
       }
     }
 
-    if (options.noVerify) {
+    if (!options.verify) {
       args.push('--no-verify');
     }
+    if (!options.plan) {
+      args.push('--no-plan');
+    }
+    for (const who of options.coAuthor) {
+      args.push('--co-author', who);
+    }
+    if (options.signoff) {
+      args.push('--signoff');
+    }
+
     await executeScript('commit-helper', args);
   });
 
+commit
+  .command('train')
+  .description('🎓 Learn commit types from the conventional commits of this repository')
+  .option('-n, --max-commits <count>', 'Number of commits to read', '500')
+  .action(async options => {
+    await executeScript('commit-helper', ['train', '-n', options.maxCommits]);
+  });
+
+commit
+  .command('eval')
+  .description('📏 Benchmark smart detection against the last conventional commits')
+  .option('-n, --count <count>', 'Number of commits to replay', '100')
+  .option('-f, --format <type>', 'Output format (console, json)', 'console')
+  .option('--model', 'Blend in the learned commit model (optimistic)')
+  .option('--min-accuracy <ratio>', 'Fail when type accuracy is below this ratio')
+  .action(async options => {
+    const args = ['eval', '-n', options.count, '-f', options.format];
+    if (options.model) {
+      args.push('--model');
+    }
+    if (options.minAccuracy) {
+      args.push('--min-accuracy', options.minAccuracy);
+    }
+    await executeScript('commit-helper', args);
+  });
+
+commit
+  .command('lint')
+  .description('📝 Lint the commit messages of a range with the commitlint.config.js rules')
+  .option('--from <ref>', 'Lint the commits after this ref (default: only --to)')
+  .option('--to <ref>', 'Last commit of the range', 'HEAD')
+  .option('-c, --config <path>', 'commitlint config file')
+  .option('-f, --format <type>', 'Output format (console, json, github-annotations)', 'console')
+  .action(async options => {
+    const args = ['lint', '--to', options.to, '-f', options.format];
+    if (options.from) {
+      args.push('--from', options.from);
+    }
+    if (options.config) {
+      args.push('-c', options.config);
+    }
+    await executeScript('commit-helper', args);
+  });
+
+// Cursor Rules
+const rules = program.command('rules').description('📐 Cursor rules toolkit (.cursor/rules)');
+
+rules
+  .command('lint')
+  .description('Validate rule frontmatter, globs, reachability and cross-references')
+  .option('-f, --format <type>', 'Output format (console, json)', 'console')
+  .option('-b, --budget <tokens>', 'Always-on token budget (0 disables)')
+  .action(async options => {
+    const args = ['lint', '-f', options.format];
+    if (options.budget) {
+      args.push('-b', options.budget);
+    }
+    await executeScript('rules-manager', args);
+  });
+
+rules
+  .command('stats')
+  .description('Estimate tokens per rule, the always-on total and duplicated paragraphs')
+  .option('-f, --format <type>', 'Output format (console, json)', 'console')
+  .option('-b, --budget <tokens>', 'Always-on token budget (0 disables)')
+  .action(async options => {
+    const args = ['stats', '-f', options.format];
+    if (options.budget) {
+      args.push('-b', options.budget);
+    }
+    await executeScript('rules-manager', args);
+  });
+
+rules
+  .command('which')
+  .description('Show which rules apply to the given files and why')
+  .argument('[paths...]', 'Files to evaluate')
+  .option('--staged', 'Include the files staged in git')
+  .option('-f, --format <type>', 'Output format (console, json)', 'console')
+  .action(async (paths, options) => {
+    const args = ['which', ...paths, '-f', options.format];
+    if (options.staged) {
+      args.push('--staged');
+    }
+    await executeScript('rules-manager', args);
+  });
+
+rules
+  .command('export')
+  .description('Export rules to AGENTS.md, CLAUDE.md, .cursorrules or Copilot instructions')
+  .requiredOption('--format <format>', 'agents-md, claude-md, cursorrules or copilot')
+  .option('-o, --output <file>', 'Output file ("-" for stdout)')
+  .option('--include-manual', 'Also export manual (@-mention only) rules')
+  .option('--force', 'Overwrite an output file not generated by rules export')
+  .action(async options => {
+    const args = ['export', '--format', options.format];
+    if (options.output) {
+      args.push('-o', options.output);
+    }
+    if (options.includeManual) {
+      args.push('--include-manual');
+    }
+    if (options.force) {
+      args.push('--force');
+    }
+    await executeScript('rules-manager', args);
+  });
+
+rules
+  .command('import')
+  .description('Convert a legacy .cursorrules file into categorized .mdc rules')
+  .argument('[file]', 'File to import', '.cursorrules')
+  .option('-d, --dry-run', 'Show the rules that would be created')
+  .option('--force', 'Overwrite existing rules')
+  .action(async (source, options) => {
+    const args = ['import', source];
+    if (options.dryRun) {
+      args.push('-d');
+    }
+    if (options.force) {
+      args.push('--force');
+    }
+    await executeScript('rules-manager', args);
+  });
+
+rules
+  .command('add')
+  .description('Install a rule pack from a local path, a tarball or a git URL (url#ref)')
+  .argument('<source>', 'Pack source')
+  .option('-n, --name <name>', 'Pack name (defaults to the source name)')
+  .action(async (source, options) => {
+    const args = ['add', source];
+    if (options.name) {
+      args.push('-n', options.name);
+    }
+    await executeScript('rules-manager', args);
+  });
+
+rules
+  .command('update')
+  .description('Update rule packs, merging upstream changes with local edits')
+  .argument('[packs...]', 'Packs to update (default: all)')
+  .action(async packs => {
+    await executeScript('rules-manager', ['update', ...packs]);
+  });
+
+// Plans
+const plan = program.command('plan').description('📋 Plan lifecycle (.cursor/plans)');
+
+plan
+  .command('new')
+  .description('Create a todo plan from templates/generic.md')
+  .argument('<title>', 'Plan title')
+  .option('-c, --complexity <level>', 'Complexity: faible, moyenne, élevée', 'moyenne')
+  .action(async (title, options) => {
+    await executeScript('plan-manager', ['new', title, '-c', options.complexity]);
+  });
+
+plan
+  .command('start')
+  .description('Move a plan from todo/ to active/')
+  .argument('<plan>', 'Plan file name, slug or title')
+  .action(async query => {
+    await executeScript('plan-manager', ['start', query]);
+  });
+
+plan
+  .command('done')
+  .description('Move a plan to completed/')
+  .argument('<plan>', 'Plan file name, slug or title')
+  .action(async query => {
+    await executeScript('plan-manager', ['done', query]);
+  });
+
+plan
+  .command('list')
+  .description('List plans with status, age and checkbox completion')
+  .option('-s, --status <status>', 'Only one status (todo, active, completed)')
+  .option('-f, --format <type>', 'Output format (console, json)', 'console')
+  .action(async options => {
+    const args = ['list', '-f', options.format];
+    if (options.status) {
+      args.push('-s', options.status);
+    }
+    await executeScript('plan-manager', args);
+  });
+
+plan
+  .command('status')
+  .description('Show plan checkboxes with the commits that referenced them')
+  .argument('[plan]', 'Plan file name, slug or title (default: active plans)')
+  .option('-f, --format <type>', 'Output format (console, json)', 'console')
+  .action(async (query, options) => {
+    const args = ['status', '-f', options.format];
+    if (query) {
+      args.push(query);
+    }
+    await executeScript('plan-manager', args);
+  });
+
+// Memory bank
+const memory = program
+  .command('memory')
+  .description('🧠 Memory bank for the context-manager rule (memory-bank/)');
+
+memory
+  .command('init')
+  .description('Create the memory bank files from project detection and package.json')
+  .option('--force', 'Overwrite existing files')
+  .action(async options => {
+    const args = ['init'];
+    if (options.force) {
+      args.push('--force');
+    }
+    await executeScript('memory-manager', args);
+  });
+
+memory
+  .command('update')
+  .description('Refresh techContext.md and progress.md')
+  .action(async () => {
+    await executeScript('memory-manager', ['update']);
+  });
+
+memory
+  .command('show')
+  .description('Print the memory bank and warn when it is stale')
+  .option('--stale-after <commits>', 'Staleness limit in commits')
+  .option('-f, --format <type>', 'Output format (console, json)', 'console')
+  .action(async options => {
+    const args = ['show', '-f', options.format];
+    if (options.staleAfter) {
+      args.push('--stale-after', options.staleAfter);
+    }
+    await executeScript('memory-manager', args);
+  });
+
+// Work sessions
+program
+  .command('pause')
+  .description('⏸️ Snapshot the session and stash the working tree')
+  .argument('[note...]', 'What you were doing')
+  .option('--no-stash', 'Keep the working tree as is (snapshot only)')
+  .action(async (note, options) => {
+    const args = ['pause', ...note];
+    if (!options.stash) {
+      args.push('--no-stash');
+    }
+    await executeScript('session-manager', args);
+  });
+
+program
+  .command('resume')
+  .description('🚀 Restore the latest paused session and show where we left off')
+  .argument('[session]', 'Session name (default: latest not yet resumed)')
+  .option('--force', 'Restore even when on another branch than at pause')
+  .action(async (session, options) => {
+    const args = ['resume'];
+    if (session) {
+      args.push(session);
+    }
+    if (options.force) {
+      args.push('--force');
+    }
+    await executeScript('session-manager', args);
+  });
+
 // Development info
 program
   .command('info')
@@ -231,9 +572,15 @@ program
       console.log('  • version-manager.js');
       console.log('  • auto-release.js');
       console.log('  • commit-helper.js');
+      console.log('  • rules-manager.js');
+      console.log('  • plan-manager.js');
+      console.log('  • session-manager.js');
+      console.log('  • memory-manager.js');
       console.log('\n💡 Individual scripts accessible for Claude debugging');
     } else {
       console.log('\n📦 Self-contained compiled version');
+      console.log('\n📁 Embedded Scripts:');
+      Object.keys(EMBEDDED_SCRIPTS).forEach(name => console.log(`  • ${name}`));
       console.log('💡 Use in development mode for Claude access');
     }
   });
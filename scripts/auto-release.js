@@ -11,8 +11,10 @@ import inquirer from 'inquirer';
 import semver from 'semver';
 import * as utils from './lib/utils.js';
 import { GitHelper } from './lib/git-helper.js';
+import { ProjectDetector } from './project-detector.js';
+import { VersionManager } from './version-manager.js';
 
-const { log, file, cmd } = utils.default;
+const { log, file } = utils.default;
 const git = new GitHelper();
 
 class AutoRelease {
@@ -40,7 +42,9 @@ class AutoRelease {
       }
 
       log.warning('Running project detection first...');
-      await cmd.exec('node scripts/project-detector.js');
+      const detector = new ProjectDetector();
+      await detector.detectProjectType();
+      await detector.saveToConfig();
 
       if (file.exists('.automation/project.env')) {
         const configContent = await file.read('.automation/project.env');
@@ -132,10 +136,8 @@ class AutoRelease {
       return true;
     }
 
-    const versionUpdateResult = await cmd.exec(`node scripts/version-manager.js set ${version}`);
-    if (!versionUpdateResult.success) {
-      throw new Error('Failed to update version');
-    }
+    const versionManager = new VersionManager();
+    await versionManager.updateVersion(version);
 
     await git.add('.');
     const commitResult = await git.commit(`chore: bump version to ${version}`);
@@ -231,4 +233,5 @@ if (import.meta.url.endsWith(process.argv[1].replace(/\\/g, '/'))) {
   program.parse();
 }
 
+export { program };
 export default AutoRelease;
@@ -0,0 +1,507 @@
+#!/usr/bin/env node
+
+/**
+ * 📦 BUILD COMPILER - cursor-tools Single-File Bundle
+ * Inlines the automation scripts and scripts/lib/* into one distributable cursor-tools.mjs
+ * Cross-platform Node.js version
+ *
+ * @fileoverview Each embedded module is wrapped in an async factory whose return value mirrors
+ * the module's exports. Relative imports are rewritten to reference those factories, external
+ * imports are hoisted once at the top of the bundle, and cursor-tools.js runs the embedded
+ * commander programs directly instead of spawning `node scripts/<name>.js`.
+ *
+ * npm packages are not inlined: the bundle loads them at startup and, when some are missing,
+ * exits with the `npm install` command that provides them instead of a module resolution error.
+ */
+
+import { builtinModules } from 'module';
+import { chmod } from 'fs/promises';
+import { Command } from 'commander';
+import { glob } from 'glob';
+import utils from './lib/utils.js';
+
+const { log, file, platform } = utils;
+
+// Scripts exposed to cursor-tools in COMPILED MODE (must export their commander `program`)
+const EMBEDDED_SCRIPTS = [
+  'project-detector',
+  'setup',
+  'setup-automation',
+  'build',
+  'clean',
+  'deploy',
+  'version-manager',
+  'auto-release',
+  'commit-helper',
+  'rules-manager',
+  'plan-manager',
+  'session-manager',
+  'memory-manager',
+];
+
+const ENTRY_FILE = 'cursor-tools.js';
+const DEFAULT_OUTPUT = 'dist/cursor-tools.mjs';
+const EMBEDDED_MARKER = /^const EMBEDDED_SCRIPTS = \{\};.*$/m;
+
+/**
+ * Replace strings, template literals, comments and regex literals with spaces.
+ * Offsets and line breaks are preserved so statements found in the masked text
+ * can be sliced from the original source.
+ */
+function maskNonCode(source) {
+  const out = source.split('');
+  const blank = (from, to) => {
+    for (let i = from; i < to; i++) {
+      if (out[i] !== '\n') {
+        out[i] = ' ';
+      }
+    }
+  };
+
+  // Characters after which a `/` starts a regex literal rather than a division
+  const regexPrefix = /[(,=:[!&|?{};+\-*%<>~^]$|(?:^|[^\w$])(?:return|typeof|case|in|of)$/;
+  const templateDepth = [];
+  let depth = 0;
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+    const next = source[i + 1];
+
+    if (char === '/' && next === '/') {
+      const end = source.indexOf('\n', i);
+      const stop = end === -1 ? source.length : end;
+      blank(i, stop);
+      i = stop;
+    } else if (char === '/' && next === '*') {
+      const end = source.indexOf('*/', i + 2);
+      const stop = end === -1 ? source.length : end + 2;
+      blank(i, stop);
+      i = stop;
+    } else if (char === '"' || char === "'") {
+      let j = i + 1;
+      while (j < source.length && source[j] !== char && source[j] !== '\n') {
+        j += source[j] === '\\' ? 2 : 1;
+      }
+      blank(i + 1, j);
+      i = j + 1;
+    } else if (char === '`' || (char === '}' && templateDepth.at(-1) === depth)) {
+      if (char === '}') {
+        templateDepth.pop();
+      }
+      let j = i + 1;
+      while (j < source.length && source[j] !== '`') {
+        if (source[j] === '\\') {
+          j += 2;
+        } else if (source[j] === '$' && source[j + 1] === '{') {
+          break;
+        } else {
+          j++;
+        }
+      }
+      blank(i + 1, j);
+      if (source[j] === '$') {
+        templateDepth.push(depth);
+        i = j + 2;
+      } else {
+        i = j + 1;
+      }
+    } else if (char === '/' && regexPrefix.test(source.slice(Math.max(0, i - 8), i).trimEnd())) {
+      let j = i + 1;
+      let inClass = false;
+      while (j < source.length && source[j] !== '\n') {
+        if (source[j] === '\\') {
+          j += 2;
+          continue;
+        }
+        if (source[j] === '[') {
+          inClass = true;
+        } else if (source[j] === ']') {
+          inClass = false;
+        } else if (source[j] === '/' && !inClass) {
+          break;
+        }
+        j++;
+      }
+      blank(i + 1, j);
+      i = j + 1;
+    } else {
+      if (char === '{') {
+        depth++;
+      } else if (char === '}') {
+        depth--;
+      }
+      i++;
+    }
+  }
+
+  return out.join('');
+}
+
+/**
+ * Package name of a bare import specifier ('@scope/pkg/sub' → '@scope/pkg'), null for builtins
+ */
+function packageName(specifier) {
+  if (specifier.startsWith('node:') || builtinModules.includes(specifier.split('/')[0])) {
+    return null;
+  }
+  const parts = specifier.split('/');
+  return specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+}
+
+/**
+ * Turn an ES module identifier into a bundle-safe variable name
+ */
+function toIdentifier(prefix, value) {
+  return `${prefix}_${value.replace(/\.js$/, '').replace(/[^a-zA-Z0-9]/g, '_')}`;
+}
+
+/**
+ * Convert `{ a, b as c }` import specifiers to a destructuring pattern
+ */
+function toDestructuring(specifiers) {
+  return specifiers
+    .split(',')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => part.replace(/\s+as\s+/, ': '))
+    .join(', ');
+}
+
+/**
+ * Single-file compiler for cursor-tools
+ */
+class ScriptCompiler {
+  constructor(options = {}) {
+    this.options = {
+      output: DEFAULT_OUTPUT,
+      verbose: false,
+      ...options,
+    };
+    this.modules = new Map();
+    this.externals = new Map();
+  }
+
+  /**
+   * Hoisted namespace binding for an external (package or builtin) import
+   */
+  externalBinding(specifier) {
+    if (!this.externals.has(specifier)) {
+      this.externals.set(specifier, toIdentifier('__ext', `${this.externals.size}_${specifier}`));
+    }
+    return this.externals.get(specifier);
+  }
+
+  /**
+   * Rewrite one import statement into plain `const` bindings
+   */
+  rewriteImport(clause, specifier, fromFile) {
+    let source;
+    if (specifier.startsWith('.')) {
+      const resolved = file.path
+        .relative('.', file.path.resolve(file.path.dirname(fromFile), specifier))
+        .replace(/\\/g, '/');
+      source = toIdentifier('__module', resolved);
+    } else {
+      source = this.externalBinding(specifier);
+    }
+
+    if (!clause) {
+      return '';
+    }
+
+    const bindings = [];
+    const namespaceMatch = clause.match(/^\*\s+as\s+(\w+)$/);
+    if (namespaceMatch) {
+      return `const ${namespaceMatch[1]} = ${source};`;
+    }
+
+    const namedMatch = clause.match(/\{([^}]*)\}/);
+    const defaultName = clause
+      .replace(/\{[^}]*\}/, '')
+      .replace(/,/g, '')
+      .trim();
+    if (defaultName) {
+      bindings.push(`const ${defaultName} = ${source}.default;`);
+    }
+    if (namedMatch && namedMatch[1].trim()) {
+      bindings.push(`const { ${toDestructuring(namedMatch[1])} } = ${source};`);
+    }
+
+    return bindings.join(' ');
+  }
+
+  /**
+   * Transform a module's source: imports become bindings, exports are collected
+   */
+  transform(filePath, source) {
+    const dependencies = [];
+    const exported = [];
+    let code = source.replace(/^#!.*\n/, '');
+
+    const masked = maskNonCode(code);
+    const edits = [];
+    const statement = /^(import|export)\b/gm;
+    let match;
+
+    while ((match = statement.exec(masked)) !== null) {
+      const start = match.index;
+      const rest = code.slice(start);
+      let found;
+
+      if ((found = rest.match(/^import\s+(?:([\w*{}\s,$]+?)\s+from\s+)?['"]([^'"]+)['"];?/))) {
+        const [text, clause, specifier] = found;
+        if (specifier.startsWith('.')) {
+          dependencies.push(
+            file.path
+              .relative('.', file.path.resolve(file.path.dirname(filePath), specifier))
+              .replace(/\\/g, '/')
+          );
+        }
+        edits.push({
+          start,
+          end: start + text.length,
+          text: this.rewriteImport(clause?.trim(), specifier, filePath),
+        });
+      } else if ((found = masked.slice(start).match(/^export\s*\{([^}]*)\};?/))) {
+        // Matched on the masked source so inline comments drop out of the export list
+        found[1]
+          .split(',')
+          .map(part => part.trim())
+          .filter(Boolean)
+          .forEach(part => {
+            const [local, alias] = part.split(/\s+as\s+/);
+            exported.push({ local, name: alias || local });
+          });
+        edits.push({ start, end: start + found[0].length, text: '' });
+      } else if ((found = rest.match(/^export\s+default\s+/))) {
+        exported.push({ local: '__default', name: 'default' });
+        edits.push({ start, end: start + found[0].length, text: 'const __default = ' });
+      } else if (
+        (found = rest.match(/^export\s+((?:async\s+)?(?:class|function\*?|const|let)\s+)(\w+)/))
+      ) {
+        exported.push({ local: found[2], name: found[2] });
+        edits.push({ start, end: start + found[0].length, text: `${found[1]}${found[2]}` });
+      }
+    }
+
+    for (const edit of edits.reverse()) {
+      code = code.slice(0, edit.start) + edit.text + code.slice(edit.end);
+    }
+
+    // Embedded modules must never consider themselves the entry point
+    code = code.replace(/import\.meta\.url/g, JSON.stringify(`embedded:${filePath}`));
+
+    return { code, dependencies, exported };
+  }
+
+  /**
+   * Load a module and its relative dependencies (depth-first)
+   */
+  async loadModule(filePath) {
+    if (this.modules.has(filePath)) {
+      return;
+    }
+
+    const source = await file.read(filePath);
+    if (source === null) {
+      throw new Error(`Module not found: ${filePath}`);
+    }
+
+    const transformed = this.transform(filePath, source);
+    this.modules.set(filePath, null);
+
+    for (const dependency of transformed.dependencies) {
+      await this.loadModule(dependency);
+    }
+
+    // Insertion after dependencies keeps the Map in topological order
+    this.modules.delete(filePath);
+    this.modules.set(filePath, transformed);
+  }
+
+  /**
+   * Wrap a transformed module in an async factory
+   */
+  wrapModule(filePath, { code, exported }) {
+    const exportList = exported
+      .map(({ local, name }) => (local === name ? name : `${name}: ${local}`))
+      .join(', ');
+
+    return [
+      `// ─── ${filePath} ${'─'.repeat(Math.max(0, 60 - filePath.length))}`,
+      `const ${toIdentifier('__module', filePath)} = await (async () => {`,
+      code.trimEnd(),
+      `  return { ${exportList} };`,
+      '})();',
+    ].join('\n');
+  }
+
+  /**
+   * Runtime requirements of the bundle: npm packages with the ranges of package.json
+   */
+  getRequirements(packageInfo) {
+    const ranges = { ...packageInfo.optionalDependencies, ...packageInfo.dependencies };
+    const packages = [...new Set([...this.externals.keys()].map(packageName).filter(Boolean))];
+
+    return {
+      node: packageInfo.engines?.node || null,
+      packages: packages.sort().map(name => ({ name, range: ranges[name] || null })),
+    };
+  }
+
+  /**
+   * Bundle prelude: builtins are imported statically, packages through a checked dynamic
+   * import so a missing one is reported with the install command instead of crashing
+   */
+  buildImports(requirements) {
+    const builtins = [];
+    const packages = [];
+    this.externals.forEach((binding, specifier) =>
+      (packageName(specifier) ? packages : builtins).push([specifier, binding])
+    );
+
+    const install = requirements.packages
+      .map(({ name, range }) => (range ? `${name}@${range}` : name))
+      .join(' ');
+
+    return [
+      ...builtins.map(([specifier, binding]) => `import * as ${binding} from '${specifier}';`),
+      '',
+      'const __missing = [];',
+      'const __require = async specifier => {',
+      '  try {',
+      '    return await import(specifier);',
+      '  } catch (error) {',
+      "    if (error.code !== 'ERR_MODULE_NOT_FOUND') {",
+      '      throw error;',
+      '    }',
+      '    __missing.push(specifier);',
+      '    return {};',
+      '  }',
+      '};',
+      ...packages.map(
+        ([specifier, binding]) => `const ${binding} = await __require('${specifier}');`
+      ),
+      'if (__missing.length > 0) {',
+      "  console.error(`cursor-tools: missing packages (${__missing.join(', ')}). Install them next to the bundle:`);",
+      `  console.error(${JSON.stringify(`  npm install ${install}`)});`,
+      '  process.exit(1);',
+      '}',
+    ];
+  }
+
+  /**
+   * Build the bundle
+   */
+  async compile() {
+    log.header('cursor-tools compiler');
+
+    const libraries = (await glob('scripts/lib/*.js', { posix: true })).sort();
+    const entries = [...libraries, ...EMBEDDED_SCRIPTS.map(name => `scripts/${name}.js`)];
+
+    for (const entry of entries) {
+      log.step(`Embedding ${entry}`);
+      await this.loadModule(entry);
+    }
+
+    const entrySource = await file.read(ENTRY_FILE);
+    if (!entrySource || !EMBEDDED_MARKER.test(entrySource)) {
+      throw new Error(`${ENTRY_FILE} does not contain the EMBEDDED_SCRIPTS marker`);
+    }
+
+    const { code: entryCode } = this.transform(
+      ENTRY_FILE,
+      entrySource.replace(
+        EMBEDDED_MARKER,
+        `const EMBEDDED_SCRIPTS = {\n${EMBEDDED_SCRIPTS.map(
+          name => `  '${name}': ${toIdentifier('__module', `scripts/${name}.js`)},`
+        ).join('\n')}\n};`
+      )
+    );
+
+    const packageInfo = JSON.parse((await file.read('package.json')) || '{}');
+    const requirements = this.getRequirements(packageInfo);
+    const wrapped = [...this.modules].map(([filePath, module]) =>
+      this.wrapModule(filePath, module)
+    );
+
+    const bundle = [
+      '#!/usr/bin/env node',
+      '',
+      '/**',
+      ` * 📦 cursor-tools - COMPILED MODE bundle (${packageInfo.name || 'cursor-tools'}@${packageInfo.version || '0.0.0'})`,
+      ' * Generated by scripts/build-compiler.js - do not edit by hand',
+      ' * ES module: keep the .mjs extension, or add "type": "module" to package.json',
+      ` * Embedded: ${EMBEDDED_SCRIPTS.join(', ')}`,
+      ` * Requires: Node.js ${requirements.node || '>=18'} and the npm packages ${requirements.packages
+        .map(({ name }) => name)
+        .join(', ')}`,
+      ' */',
+      '',
+      '/* eslint-disable */',
+      '',
+      ...this.buildImports(requirements),
+      '',
+      ...wrapped.flatMap(module => [module, '']),
+      '// ─── cursor-tools.js (entry) ─────────────────────────────────',
+      entryCode.trim(),
+      '',
+    ].join('\n');
+
+    await file.write(this.options.output, bundle);
+    if (platform.isUnix) {
+      await chmod(this.options.output, 0o755);
+    }
+
+    log.success(
+      `Bundle written to ${this.options.output} (${this.modules.size} modules, ${this.externals.size} external imports)`
+    );
+    if (!this.options.output.endsWith('.mjs')) {
+      log.warning(
+        'The bundle is an ES module: without .mjs it needs "type": "module" in package.json'
+      );
+    }
+    log.info(
+      `Runtime packages (not inlined): ${requirements.packages.map(({ name }) => name).join(', ')}`
+    );
+
+    if (this.options.verbose) {
+      this.externals.forEach((_binding, specifier) => log.debug(`External: ${specifier}`));
+    }
+
+    return this.options.output;
+  }
+}
+
+/**
+ * CLI Program
+ */
+const program = new Command();
+
+program
+  .name('build-compiler')
+  .description('📦 Compile cursor-tools and the automation scripts into a single file')
+  .version('1.0.0')
+  .option('-o, --output <file>', 'Bundle output path', DEFAULT_OUTPUT)
+  .option('-v, --verbose', 'Verbose output', false)
+  .action(async options => {
+    try {
+      const compiler = new ScriptCompiler(options);
+      await compiler.compile();
+    } catch (error) {
+      log.error(`Compilation failed: ${error.message}`);
+      if (options.verbose) {
+        console.error(error.stack);
+      }
+      process.exit(1);
+    }
+  });
+
+// Export for use as module
+export { ScriptCompiler, maskNonCode, program };
+
+// Run if called directly
+if (import.meta.url.endsWith(process.argv[1].replace(/\\/g, '/'))) {
+  program.parse();
+}
@@ -17,6 +17,7 @@ import { existsSync } from 'fs';
 import utils from './lib/utils.js';
 import gitHelper from './lib/git-helper.js';
 import npmHelper from './lib/npm-helper.js';
+import { loadAutomationConfig } from './lib/automation-config.js';
 
 const program = new Command();
 
@@ -30,11 +31,15 @@ async function main(options) {
   utils.log.info('🏗️ Starting build process...');
 
   try {
+    // advanced.skip_checks can disable quality, tests and audit project-wide
+    const { advanced } = await loadAutomationConfig();
+    const skipChecks = new Set(advanced.skip_checks);
+
     // 1. Pre-build checks
     await runPreBuildChecks();
 
     // 2. Quality checks
-    if (!options.skipQuality) {
+    if (!options.skipQuality && !skipChecks.has('quality')) {
       await runQualityChecks();
     }
 
@@ -42,12 +47,12 @@ async function main(options) {
     await verifyDependencies();
 
     // 4. Run tests if available
-    if (!options.skipTests) {
+    if (!options.skipTests && !skipChecks.has('tests')) {
       await runTests();
     }
 
     // 5. Security audit
-    if (!options.skipAudit) {
+    if (!options.skipAudit && !skipChecks.has('audit')) {
       await runSecurityAudit();
     }
 
@@ -335,4 +340,4 @@ if (import.meta.url.endsWith(process.argv[1].replace(/\\/g, '/'))) {
   program.parse();
 }
 
-export { main };
+export { main, program };
@@ -15,12 +15,16 @@ import { glob } from 'glob';
 
 // Import our utilities
 import utils from './lib/utils.js';
+import { loadAutomationConfig } from './lib/automation-config.js';
 
 const program = new Command();
 
 // Track cleaned items
 let cleanedItems = 0;
 
+// Report what would be removed without deleting anything
+let dryRun = false;
+
 /**
  * Main clean function
  * @param {Object} options - Command line options
@@ -29,6 +33,15 @@ async function main(options) {
   utils.log.info('🧹 Starting cleanup process...');
 
   try {
+    // advanced.dry_run / advanced.skip_checks from .automation-config.yml
+    const { advanced } = await loadAutomationConfig();
+    const skipChecks = new Set(advanced.skip_checks);
+    dryRun = Boolean(advanced.dry_run);
+
+    if (dryRun) {
+      utils.log.warning('DRY RUN - nothing will be deleted');
+    }
+
     // Get initial project size
     const projectSizeBefore = await utils.getDirectorySize('.');
     utils.log.status('Analyzing project for cleanup...');
@@ -41,22 +54,29 @@ async function main(options) {
     await cleanEditorArtifacts();
     await cleanTemporaryFiles();
 
-    if (!options.skipVcs) {
+    if (!options.skipVcs && !skipChecks.has('vcs') && !dryRun) {
       await cleanVersionControl();
     }
 
     await cleanLanguageSpecific();
     await cleanDatabaseBackups();
 
-    if (!options.skipPackageManagers) {
+    if (!options.skipPackageManagers && !skipChecks.has('package_managers') && !dryRun) {
       await cleanPackageManagers();
     }
 
-    if (!options.skipDocker && (await utils.commandExists('docker'))) {
+    if (
+      !options.skipDocker &&
+      !skipChecks.has('docker') &&
+      !dryRun &&
+      (await utils.commandExists('docker'))
+    ) {
       await cleanDocker();
     }
 
-    await cleanSystemBuffers();
+    if (!dryRun) {
+      await cleanSystemBuffers();
+    }
 
     // Generate final summary
     await generateCleanupSummary(projectSizeBefore);
@@ -201,7 +221,9 @@ async function cleanDatabaseBackups() {
 
   // Database files - be extremely careful, only clean if they're clearly temporary
   const tempDbFiles = await glob('*.sqlite.tmp');
-  if (tempDbFiles.length > 0) {
+  if (tempDbFiles.length > 0 && dryRun) {
+    utils.log.info(`Would clean ${tempDbFiles.length} temporary SQLite files`);
+  } else if (tempDbFiles.length > 0) {
     for (const file of tempDbFiles) {
       await utils.removeFiles(file);
     }
@@ -305,7 +327,10 @@ async function cleanSystemBuffers() {
  * @param {string} description - Description for logging
  */
 async function cleanDirectory(dirPath, description) {
-  if (existsSync(dirPath)) {
+  if (existsSync(dirPath) && dryRun) {
+    cleanedItems++;
+    utils.log.info(`Would clean ${description} (${dirPath})`);
+  } else if (existsSync(dirPath)) {
     try {
       const sizeBefore = await utils.getDirectorySizeBytes(dirPath);
       await fs.rm(dirPath, { recursive: true, force: true });
@@ -326,7 +351,10 @@ async function cleanDirectory(dirPath, description) {
 async function cleanFiles(pattern, description) {
   try {
     const files = await glob(pattern, { ignore: ['node_modules/**'] });
-    if (files.length > 0) {
+    if (files.length > 0 && dryRun) {
+      cleanedItems += files.length;
+      utils.log.info(`Would clean ${files.length} ${description}`);
+    } else if (files.length > 0) {
       for (const file of files) {
         await fs.unlink(file);
       }
@@ -424,4 +452,4 @@ if (import.meta.url.endsWith(process.argv[1].replace(/\\/g, '/'))) {
   program.parse();
 }
 
-export { main };
+export { main, program };
@@ -11,64 +11,179 @@ import inquirer from 'inquirer';
 import * as utils from './lib/utils.js';
 import { GitHelper } from './lib/git-helper.js';
 import SmartCommitDetector from './lib/smart-commit-detector.js';
+import CommitSplitter from './lib/commit-splitter.js';
+import { ProjectDetector } from './project-detector.js';
+import {
+  loadAutomationConfig,
+  applyProjectOverrides,
+  DEFAULT_AUTOMATION_CONFIG,
+} from './lib/automation-config.js';
+import {
+  getActivePlans,
+  suggestPlanItems,
+  formatPlanTrailer,
+  appendTrailer,
+  getPlanTrailers,
+  recordPlanCommit,
+} from './lib/plans.js';
+import {
+  MODEL_FILE,
+  collectTrainingSamples,
+  trainModel,
+  saveModel,
+  loadModel,
+} from './lib/commit-model.js';
+import { listConventionalCommits, replayCommits, buildReport } from './lib/commit-eval.js';
+import {
+  lintCommitRange,
+  formatGithubAnnotations,
+  loadCommitlintConfig,
+  allowedTypes,
+} from './lib/commit-lint.js';
+import { findFixupTargets, listAutosquashCommits } from './lib/commit-fixup.js';
+import {
+  addTrailer,
+  validateTrailers,
+  getTrailerValues,
+  compileRequiredTrailers,
+  loadRoster,
+  findMember,
+  formatIdentity,
+  getSignoffIdentity,
+  formatClosesTrailers,
+} from './lib/commit-trailers.js';
+import { formatBreakingFooter } from './lib/api-surface.js';
+import {
+  emojiForType,
+  typeForEmoji,
+  formatHeader,
+  parseHeader,
+  describeStyle,
+} from './lib/commit-style.js';
 
 const { log, file, cmd } = utils.default;
 const git = new GitHelper();
 
-// Configuration
+// Configuration (emojis come from the gitmoji table of commit-style.js)
 const COMMIT_TYPES = [
-  { value: 'feat', name: 'feat: ✨ A new feature' },
-  { value: 'fix', name: 'fix: 🐛 A bug fix' },
-  { value: 'docs', name: 'docs: 📚 Documentation only changes' },
-  { value: 'style', name: 'style: 💎 Changes that do not affect the meaning of the code' },
-  {
-    value: 'refactor',
-    name: 'refactor: 📦 A code change that neither fixes a bug nor adds a feature',
-  },
-  { value: 'perf', name: 'perf: 🚀 A code change that improves performance' },
-  { value: 'test', name: 'test: 🚨 Adding missing tests or correcting existing tests' },
-  {
-    value: 'build',
-    name: 'build: 🛠️ Changes that affect the build system or external dependencies',
-  },
-  { value: 'ci', name: 'ci: ⚙️ Changes to our CI configuration files and scripts' },
-  { value: 'chore', name: "chore: 🗃️ Other changes that don't modify src or test files" },
-  { value: 'revert', name: 'revert: ⏪ Reverts a previous commit' },
-];
-
-const BREAKING_CHANGE_INDICATOR = '!';
+  { value: 'feat', label: 'A new feature' },
+  { value: 'fix', label: 'A bug fix' },
+  { value: 'docs', label: 'Documentation only changes' },
+  { value: 'style', label: 'Changes that do not affect the meaning of the code' },
+  { value: 'refactor', label: 'A code change that neither fixes a bug nor adds a feature' },
+  { value: 'perf', label: 'A code change that improves performance' },
+  { value: 'test', label: 'Adding missing tests or correcting existing tests' },
+  { value: 'build', label: 'Changes that affect the build system or external dependencies' },
+  { value: 'ci', label: 'Changes to our CI configuration files and scripts' },
+  { value: 'chore', label: "Other changes that don't modify src or test files" },
+  { value: 'revert', label: 'Reverts a previous commit' },
+].map(({ value, label }) => ({ value, name: `${value}: ${emojiForType(value)} ${label}` }));
+
+// "BREAKING CHANGE:" footer (breaking headers are read by parseHeader)
+const BREAKING_FOOTER = /^BREAKING[ -]CHANGE:/m;
+
+// Minimum keyword match for a Plan trailer to be added without asking
+const PLAN_AUTO_LINK_SCORE = 0.5;
 
 class CommitHelper {
   constructor() {
     this.projectConfig = null;
+    this.automationConfig = DEFAULT_AUTOMATION_CONFIG;
     this.smartDetector = new SmartCommitDetector();
+    this.planTracking = true;
+    // --co-author and --signoff from the command line
+    this.coAuthors = [];
+    this.signoff = false;
+  }
+
+  /**
+   * Commit settings from .automation-config.yml
+   */
+  get commitSettings() {
+    return this.automationConfig.commits;
+  }
+
+  /**
+   * Commit message style: conventional, gitmoji or conventional+emoji
+   */
+  get commitStyle() {
+    return this.commitSettings.style;
+  }
+
+  /**
+   * Commit header in the configured style
+   */
+  formatHeader(parts) {
+    return formatHeader(parts, this.commitStyle);
+  }
+
+  /**
+   * Trailer settings (roster, signoff, required) from .automation-config.yml
+   */
+  get trailerSettings() {
+    return this.commitSettings.trailers;
+  }
+
+  /**
+   * Commit types allowed by the automation config (with labels when known)
+   */
+  getCommitTypes() {
+    return this.commitSettings.valid_types.map(
+      type => COMMIT_TYPES.find(choice => choice.value === type) || { value: type, name: type }
+    );
   }
 
   /**
    * Load project configuration
    */
-  async loadProjectConfig() {
-    try {
-      if (file.exists('.automation/project.env')) {
-        // Load existing config
-        const configContent = await file.read('.automation/project.env');
-        if (configContent) {
-          this.projectConfig = this.parseEnvConfig(configContent);
-          return;
-        }
-      }
+  async loadProjectConfig(options = {}) {
+    const { save = true } = options;
+    // Invalid automation config is a hard error, not a silent fallback
+    const automationConfig = await loadAutomationConfig();
 
-      log.warning('Running project detection first...');
-      await cmd.exec('node scripts/project-detector.js');
+    try {
+      // Load existing config
+      const configContent = file.exists('.automation/project.env')
+        ? await file.read('.automation/project.env')
+        : null;
 
-      if (file.exists('.automation/project.env')) {
-        const configContent = await file.read('.automation/project.env');
+      if (configContent) {
         this.projectConfig = this.parseEnvConfig(configContent);
+      } else if (!save) {
+        // Git hooks stay side-effect free: detect in memory, without writing .automation/
+        const detector = new ProjectDetector();
+        await detector.detectProjectType();
+        this.projectConfig = { PROJECT_TYPE: detector.projectType || 'generic' };
+      } else {
+        log.warning('Running project detection first...');
+        const detector = new ProjectDetector();
+        await detector.detectProjectType();
+        await detector.saveToConfig();
+
+        if (file.exists('.automation/project.env')) {
+          this.projectConfig = this.parseEnvConfig(await file.read('.automation/project.env'));
+        }
       }
     } catch (error) {
       log.error(`Failed to load project config: ${error.message}`);
       this.projectConfig = { PROJECT_TYPE: 'generic' };
     }
+
+    this.automationConfig = applyProjectOverrides(
+      automationConfig,
+      this.projectConfig?.PROJECT_TYPE || 'generic'
+    );
+
+    // CI runs `commit lint` with the commitlint config, so its type-enum wins here too
+    const commitlint = await loadCommitlintConfig();
+    const types = commitlint.path ? allowedTypes(commitlint) : null;
+    if (types) {
+      this.automationConfig = {
+        ...this.automationConfig,
+        commits: { ...this.commitSettings, valid_types: types },
+      };
+    }
+    this.smartDetector.scopeSettings = this.commitSettings.scopes;
   }
 
   /**
@@ -95,28 +210,69 @@ class CommitHelper {
    * Validate conventional commit format
    */
   validateCommitFormat(commitMsg) {
-    // Check basic format: type(scope): description
-    const conventionalCommitRegex =
-      /^(feat|fix|docs|style|refactor|perf|test|build|ci|chore|revert)(\([^)]+\))?!?:\s.+/;
-
-    if (!conventionalCommitRegex.test(commitMsg)) {
+    const {
+      enforce_conventional: enforceConventional,
+      valid_types: validTypes,
+      min_description_length: minDescriptionLength,
+      max_first_line_length: maxFirstLineLength,
+    } = this.commitSettings;
+    const firstLine = commitMsg.split('\n')[0];
+    const header = parseHeader(firstLine);
+
+    // Check the header shape of commits.style (plain conventional headers may carry an emoji)
+    const accepted =
+      this.commitStyle === 'conventional'
+        ? ['conventional', 'conventional+emoji']
+        : [this.commitStyle];
+    const validHeader =
+      header &&
+      accepted.includes(header.style) &&
+      header.description &&
+      (header.type ? validTypes.includes(header.type) : header.breaking);
+
+    if (enforceConventional && !validHeader) {
+      const { format, example } = describeStyle(this.commitStyle);
       log.error('Invalid commit format!');
-      log.warning('Expected format: type(scope): description');
-      log.warning('Example: feat(auth): add login functionality');
-      log.warning(`Valid types: ${COMMIT_TYPES.map(t => t.value).join(', ')}`);
+      log.warning(`Expected format: ${format}`);
+      log.warning(`Example: ${example}`);
+      log.warning(
+        this.commitStyle === 'gitmoji'
+          ? `Valid gitmojis: ${validTypes.map(type => `${emojiForType(type) || type} ${type}`).join(', ')}, 💥 breaking`
+          : `Valid types: ${validTypes.join(', ')}`
+      );
       return false;
     }
 
-    // Check description length (min 10 chars)
-    const description = commitMsg.replace(/^[^:]*:\s*/, '');
-    if (description.length < 10) {
-      log.error('Description too short! Minimum 10 characters.');
+    // conventional+emoji: the emoji has to say the same thing as the type
+    // (under plain conventional, an emoji opening the description is just text)
+    if (this.commitStyle === 'conventional+emoji' && header?.emoji && header.type) {
+      const emojiType = typeForEmoji(header.emoji);
+      if (emojiType !== header.type) {
+        log.error(
+          `${header.emoji} is the ${emojiType} emoji, use ${emojiForType(header.type)} for ${header.type}`
+        );
+        return false;
+      }
+    }
+
+    // Check description length
+    const description = header?.description ?? firstLine.replace(/^[^:]*:\s*/, '');
+    if (description.length < minDescriptionLength) {
+      log.error(`Description too short! Minimum ${minDescriptionLength} characters.`);
       return false;
     }
 
-    // Check total length (max 72 chars for first line)
-    if (commitMsg.length > 72) {
-      log.warning(`Commit message is long (${commitMsg.length} chars). Consider shortening.`);
+    // Check first line length
+    if (firstLine.length > maxFirstLineLength) {
+      log.warning(
+        `Commit message is long (${firstLine.length} chars, max ${maxFirstLineLength}). Consider shortening.`
+      );
+    }
+
+    if (/^(added|fixed|updated|removed|changed)\b/i.test(description)) {
+      log.warning(
+        "Consider using imperative mood: 'add' instead of 'added', 'fix' instead of 'fixed'"
+      );
     }
 
     log.success('Commit format is valid');
@@ -138,6 +294,9 @@ class CommitHelper {
         );
         return {
           type: detection.type,
+          scope: detection.scope,
+          breaking: detection.breaking,
+          breakingChanges: detection.breakingChanges || [],
           confidence: detection.confidence,
           reason: detection.reason,
           autoConfirm: true,
@@ -148,6 +307,9 @@ class CommitHelper {
         );
         return {
           type: detection.type,
+          scope: detection.scope,
+          breaking: detection.breaking,
+          breakingChanges: detection.breakingChanges || [],
           confidence: detection.confidence,
           reason: detection.reason,
           autoConfirm: false,
@@ -156,6 +318,9 @@ class CommitHelper {
         log.info(`Low confidence: ${detection.type} (${(detection.confidence * 100).toFixed(1)}%)`);
         return {
           type: detection.type,
+          scope: detection.scope,
+          breaking: detection.breaking,
+          breakingChanges: detection.breakingChanges || [],
           confidence: detection.confidence,
           reason: detection.reason,
           autoConfirm: false,
@@ -167,16 +332,21 @@ class CommitHelper {
     }
   }
 
+  /**
+   * Staged and modified files involved in the commit
+   */
+  async getInvolvedFiles() {
+    const stagedFiles = await this.smartDetector.getStagedFiles();
+    const modifiedFiles = await this.smartDetector.getModifiedFiles();
+    return [...new Set([...stagedFiles, ...modifiedFiles])];
+  }
+
   /**
    * Generate smart description based on detected type and files
    */
   async generateSmartDescription(commitType) {
     try {
-      // Get files involved
-      const stagedFiles = await this.smartDetector.getStagedFiles();
-      const modifiedFiles = await this.smartDetector.getModifiedFiles();
-      const allFiles = [...new Set([...stagedFiles, ...modifiedFiles])];
-
+      const allFiles = await this.getInvolvedFiles();
       return await this.smartDetector.generateSmartDescription(commitType, allFiles);
     } catch (error) {
       log.warning(`Smart description generation failed: ${error.message}`);
@@ -185,26 +355,266 @@ class CommitHelper {
   }
 
   /**
-   * Determine version bump type from commit message
+   * Generate the commit body: touched symbols per directory and diff stats
+   */
+  async generateSmartBody() {
+    try {
+      const allFiles = await this.getInvolvedFiles();
+      return await this.smartDetector.generateSmartBody(allFiles);
+    } catch (error) {
+      log.warning(`Smart body generation failed: ${error.message}`);
+      return '';
+    }
+  }
+
+  /**
+   * Smart commit message: header, generated body, breaking change and issue footers
    */
-  getVersionBumpType(commitMsg) {
-    // Breaking change (major)
-    if (commitMsg.includes(BREAKING_CHANGE_INDICATOR)) {
-      return 'major';
+  async buildSmartMessage(detection, description) {
+    let message = this.formatHeader({ ...detection, description });
+    const body = await this.generateSmartBody();
+    if (body) {
+      message += `\n\n${body}`;
     }
+    if (detection.breaking) {
+      message += `\n\n${formatBreakingFooter(detection.breakingChanges)}`;
+    }
+    return await this.addIssueReferences(message);
+  }
+
+  /**
+   * Append the issue references found in the branch name (feature/123-login → Refs #123)
+   */
+  async addIssueReferences(commitMsg) {
+    const refs = await this.smartDetector.getIssueReferences();
+    return refs && !commitMsg.includes(refs) ? appendTrailer(commitMsg, refs) : commitMsg;
+  }
 
-    // Feature (minor)
-    if (commitMsg.startsWith('feat')) {
-      return 'minor';
+  /**
+   * Whether a commit message declares a breaking change
+   */
+  isBreakingMessage(commitMsg) {
+    return (
+      Boolean(parseHeader(commitMsg.split('\n')[0])?.breaking) || BREAKING_FOOTER.test(commitMsg)
+    );
+  }
+
+  /**
+   * Warn when the staged changes break the public API but the message does not say so
+   */
+  async warnUndeclaredBreakingChanges(commitMsg) {
+    if (this.isBreakingMessage(commitMsg)) {
+      return;
     }
 
-    // Fix (patch)
-    if (commitMsg.startsWith('fix')) {
-      return 'patch';
+    const changes = await this.smartDetector.detectBreakingChanges();
+    if (changes.length === 0) {
+      return;
     }
 
-    // Other types (patch)
-    return 'patch';
+    log.warning('Staged changes break the public API but the message does not declare it:');
+    changes.forEach(change => log.warning(`  ${change.file}: ${change.text}`));
+    const parsed = parseHeader(commitMsg.split('\n')[0]);
+    const header = parsed
+      ? this.formatHeader({ ...parsed, breaking: true })
+      : commitMsg.split('\n')[0];
+    log.info(`Suggested: "${header}" with the footer:\n${formatBreakingFooter(changes)}`);
+  }
+
+  /**
+   * 🏷️ Co-authored-by trailers for --co-author and the Signed-off-by trailer (DCO)
+   */
+  async addTrailers(commitMsg) {
+    let message = commitMsg;
+
+    if (this.coAuthors.length > 0) {
+      const roster = await loadRoster(this.trailerSettings.roster);
+      for (const who of this.coAuthors) {
+        // "Name <email>" works without a roster entry
+        const member = /<.+@.+>$/.test(who) ? { identity: who } : findMember(roster, who);
+        if (!member) {
+          throw new Error(`Unknown co-author "${who}" (not in ${this.trailerSettings.roster})`);
+        }
+        message = addTrailer(
+          message,
+          `Co-authored-by: ${member.identity || formatIdentity(member)}`
+        );
+      }
+    }
+
+    // Signed-off-by goes last, like `git commit -s`
+    if (
+      (this.signoff || this.trailerSettings.signoff) &&
+      !getTrailerValues(message, 'Signed-off-by').length
+    ) {
+      message = addTrailer(message, `Signed-off-by: ${await getSignoffIdentity()}`);
+    }
+
+    return message;
+  }
+
+  /**
+   * Validate the footer: trailer syntax, identities, sign-off and required trailers
+   */
+  checkTrailers(commitMsg) {
+    const issues = validateTrailers(commitMsg, this.trailerSettings);
+    issues
+      .filter(issue => issue.severity === 'warning')
+      .forEach(issue => log.warning(issue.message));
+
+    const errors = issues.filter(issue => issue.severity === 'error');
+    errors.forEach(issue => log.error(issue.message));
+    return errors.length === 0;
+  }
+
+  /**
+   * Ask for the footers of an interactive commit: breaking change, closed issues,
+   * co-authors from the roster and the required trailers
+   */
+  async promptTrailers(commitMsg, answers, smartDetection) {
+    let message = commitMsg;
+
+    if (answers.breaking && !(smartDetection?.breakingChanges.length > 0)) {
+      const { breakingChange } = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'breakingChange',
+          message: 'Describe the breaking change (BREAKING CHANGE footer, optional):',
+        },
+      ]);
+      if (breakingChange.trim()) {
+        message = addTrailer(message, `BREAKING CHANGE: ${breakingChange.trim()}`);
+      }
+    }
+
+    const roster = await loadRoster(this.trailerSettings.roster);
+    const prompts = [
+      {
+        type: 'input',
+        name: 'closes',
+        message: 'Issues closed by this commit (e.g. 12, #34, optional):',
+      },
+    ];
+    if (roster.length > 0) {
+      const preselected = this.coAuthors.map(who => findMember(roster, who)).filter(Boolean);
+      prompts.push({
+        type: 'checkbox',
+        name: 'coAuthors',
+        message: 'Co-authors:',
+        choices: roster.map(member => ({
+          name: formatIdentity(member),
+          value: member,
+          checked: preselected.includes(member),
+        })),
+      });
+    }
+    const required = compileRequiredTrailers(this.trailerSettings.required).filter(
+      rule => getTrailerValues(message, rule.token).length === 0
+    );
+    required.forEach((rule, index) => {
+      prompts.push({
+        type: 'input',
+        name: `required${index}`,
+        message: `${rule.token}${rule.description ? ` (${rule.description})` : ''}:`,
+        validate: input =>
+          (input.trim() && (!rule.regex || rule.regex.test(input.trim()))) ||
+          (rule.regex ? `Must match ${rule.pattern}` : `${rule.token} is required`),
+      });
+    });
+
+    const trailers = await inquirer.prompt(prompts);
+    for (const trailer of formatClosesTrailers(trailers.closes)) {
+      message = addTrailer(message, trailer);
+    }
+    for (const member of trailers.coAuthors || []) {
+      message = addTrailer(message, `Co-authored-by: ${formatIdentity(member)}`);
+    }
+    required.forEach((rule, index) => {
+      message = addTrailer(message, `${rule.token}: ${trailers[`required${index}`].trim()}`);
+    });
+
+    // Roster co-authors were picked above, "Name <email>" ones are added with the sign-off
+    this.coAuthors = this.coAuthors.filter(who => !findMember(roster, who));
+    return message;
+  }
+
+  /**
+   * Rank the unchecked items of the active plans for a commit message
+   */
+  async suggestPlanItems(commitMsg) {
+    if (!this.planTracking || getPlanTrailers(commitMsg).length > 0) {
+      return null;
+    }
+
+    const plans = await getActivePlans();
+    if (plans.length === 0) {
+      return null;
+    }
+
+    const status = await git.getStatus();
+    return {
+      plans,
+      suggestions: suggestPlanItems(plans, {
+        message: commitMsg,
+        files: status.staged.map(entry => entry.file),
+      }),
+    };
+  }
+
+  /**
+   * 📋 Link the commit to the active plan checkbox it addresses with a Plan: trailer
+   */
+  async addPlanTrailer(commitMsg, options = {}) {
+    const result = await this.suggestPlanItems(commitMsg);
+    if (!result) {
+      return commitMsg;
+    }
+
+    const { plans, suggestions } = result;
+
+    if (!options.interactive) {
+      const best = suggestions[0];
+      if (!best || best.score < PLAN_AUTO_LINK_SCORE) {
+        return commitMsg;
+      }
+      return appendTrailer(commitMsg, formatPlanTrailer(best.plan, best.index, best.item));
+    }
+
+    // Suggested items first, then the other unchecked items of each active plan
+    const suggested = new Set(suggestions.slice(0, 5).map(s => `${s.plan.path}#${s.index}`));
+    const choice = (plan, item, index, hint = '') => ({
+      name: `${plan.name} › ${item.text}${hint}`,
+      value: { plan, item, index },
+    });
+    const choices = [
+      ...suggestions
+        .slice(0, 5)
+        .map(s => choice(s.plan, s.item, s.index, ` (🧠 ${Math.round(s.score * 100)}%)`)),
+      ...plans.flatMap(plan =>
+        plan.checklist
+          .map((item, i) => ({ item, index: i + 1 }))
+          .filter(({ item, index }) => !item.checked && !suggested.has(`${plan.path}#${index}`))
+          .map(({ item, index }) => choice(plan, item, index))
+      ),
+    ];
+    if (choices.length === 0) {
+      return commitMsg;
+    }
+
+    const { planItem } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'planItem',
+        message: 'Which active plan item does this commit address?',
+        choices: [{ name: 'None', value: null }, ...choices],
+        default: suggestions.length > 0 ? 1 : 0,
+        pageSize: 12,
+      },
+    ]);
+
+    return planItem
+      ? appendTrailer(commitMsg, formatPlanTrailer(planItem.plan, planItem.index, planItem.item))
+      : commitMsg;
   }
 
   /**
@@ -290,6 +700,12 @@ class CommitHelper {
   async executeCommit(commitMsg, skipChecks = false) {
     log.step('Executing automated commit workflow...');
 
+    commitMsg = await this.addTrailers(commitMsg);
+    if (!this.checkTrailers(commitMsg)) {
+      log.info('💡 Add the missing trailers with --interactive, or write them in the message');
+      return false;
+    }
+
     // Run pre-commit checks unless skipped
     if (!skipChecks) {
       const checksPass = await this.runPreCommitChecks();
@@ -305,39 +721,238 @@ class CommitHelper {
       return false;
     }
 
-    // Get version bump type
-    const bumpType = this.getVersionBumpType(commitMsg);
-    log.step(`Version bump type: ${bumpType}`);
+    // Plan progress is rebuildable from the trailers, so a failed write is only a warning
+    try {
+      const entries = await recordPlanCommit(commitMsg);
+      if (entries.length > 0) {
+        log.success(`Plan history updated (${entries.map(entry => entry.plan).join(', ')})`);
+      }
+    } catch (error) {
+      log.warning(`Could not record plan history: ${error.message}`);
+    }
 
-    // Version bump based on project type
-    const projectType = this.projectConfig?.PROJECT_TYPE || 'generic';
+    log.success('Commit completed successfully!');
+    return true;
+  }
 
-    switch (projectType) {
-      case 'javascript':
-        if (file.exists('package.json')) {
-          const result = await cmd.exec(`npm version ${bumpType} --no-git-tag-version`);
-          if (result.success) {
-            log.success('package.json version updated');
-          }
-        }
-        break;
+  /**
+   * ✂️ Split the staged changes into one commit per logical group
+   */
+  async splitCommitMode(options = {}) {
+    log.header('✂️ SPLIT COMMIT MODE');
 
-      case 'python':
-        if (file.exists('pyproject.toml')) {
-          log.warning('Manual version update needed in pyproject.toml');
-        }
-        break;
+    const splitter = new CommitSplitter(this.smartDetector, { style: this.commitStyle });
+    const { diff, groups } = await splitter.planSplit();
 
-      case 'generic':
-        if (file.exists('VERSION')) {
-          const currentVersion = await file.read('VERSION');
-          log.step(`Current version: ${currentVersion?.trim()}`);
-          log.warning('Manual version update needed in VERSION file');
-        }
-        break;
+    if (groups.length === 0) {
+      log.error('No staged files found!');
+      log.warning('Use: git add <files> before committing');
+      return false;
     }
 
-    log.success('Commit completed successfully!');
+    log.step(`📊 ${groups.length} logical commit${groups.length > 1 ? 's' : ''}:`);
+    groups.forEach((group, index) => {
+      console.log(`\n  ${index + 1}. ${group.message}`);
+      for (const filePath of group.files) {
+        const units = group.units.filter(unit => unit.file.path === filePath);
+        const total = units[0].file.hunks.length;
+        const hunks = units.reduce((count, unit) => count + unit.hunks.length, 0);
+        console.log(`     ${filePath}${total > 1 ? ` (${hunks}/${total} hunks)` : ''}`);
+      }
+    });
+    log.divider();
+
+    if (options.dryRun) {
+      log.info('DRY RUN - no commit created');
+      return true;
+    }
+
+    if (groups.length === 1) {
+      return await this.executeCommit(groups[0].message, options.skipChecks);
+    }
+
+    for (const [index, group] of groups.entries()) {
+      const { message } = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'message',
+          message: `Message for commit ${index + 1}/${groups.length}:`,
+          default: group.message,
+        },
+      ]);
+      if (!this.validateCommitFormat(message)) {
+        return false;
+      }
+      group.message = await this.addTrailers(message);
+      if (!this.checkTrailers(group.message)) {
+        return false;
+      }
+    }
+
+    const { confirm } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'confirm',
+        message: `Create these ${groups.length} commits?`,
+        default: true,
+      },
+    ]);
+    if (!confirm) {
+      log.warning('Split cancelled, staged changes left as they were');
+      return false;
+    }
+
+    if (!options.skipChecks && !(await this.runPreCommitChecks())) {
+      return false;
+    }
+
+    const committed = await splitter.commitGroups(groups, diff, group => {
+      log.step(`Committing: ${group.message}`);
+      return git.commit(group.message, { noVerify: options.skipChecks });
+    });
+
+    log.success(`✅ Created ${committed.length} commits`);
+    return true;
+  }
+
+  /**
+   * 🩹 Commit the staged changes as a fixup!/amend! of the branch commit they belong to
+   */
+  async fixupCommitMode(options = {}) {
+    log.header('🩹 FIXUP COMMIT MODE');
+
+    const status = await git.getStatus();
+    if (status.staged.length === 0) {
+      log.error('No staged files found!');
+      log.warning('Use: git add <files> before committing');
+      return false;
+    }
+
+    const base = await git.getMergeBase(options.base);
+    if (!base) {
+      log.error('Cannot find the branch merge-base (no upstream, main or master)');
+      log.info('💡 Pass the branch to compare with: --base <ref>');
+      return false;
+    }
+
+    const { hunks, unmatched, targets } = await findFixupTargets(base.hash);
+    if (targets.length === 0) {
+      log.warning(
+        `No commit since ${base.ref} (${base.hash.slice(0, 7)}) touched the staged lines`
+      );
+      log.info('💡 Commit them as a new change instead');
+      return false;
+    }
+
+    log.step(`🎯 Commits since ${base.ref} that last touched the staged hunks:`);
+    targets.forEach((target, index) => {
+      console.log(
+        `  ${index + 1}. ${target.hash.slice(0, 7)} ${target.subject} ` +
+          `(${target.hunks}/${hunks} hunks, ${target.files.join(', ')})`
+      );
+    });
+    if (unmatched > 0) {
+      log.warning(`${unmatched} hunk${unmatched > 1 ? 's' : ''} not traced to a branch commit`);
+    }
+    log.divider();
+
+    if (options.dryRun) {
+      log.info('DRY RUN - no commit created');
+      return true;
+    }
+
+    const { target, mode } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'target',
+        message: 'Fix up which commit?',
+        choices: targets.map(candidate => ({
+          name: `${candidate.hash.slice(0, 7)} ${candidate.subject}`,
+          value: candidate,
+        })),
+      },
+      {
+        type: 'list',
+        name: 'mode',
+        message: 'Kind of fixup:',
+        choices: [
+          { name: 'fixup! - keep the original message', value: 'fixup' },
+          { name: 'amend! - also replace the original message', value: 'amend' },
+        ],
+      },
+    ]);
+
+    let message = '';
+    if (mode === 'amend') {
+      ({ message } = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'message',
+          message: 'New message for the commit:',
+          default: target.subject,
+        },
+      ]));
+      if (!this.validateCommitFormat(message)) {
+        return false;
+      }
+    }
+
+    if (!options.skipChecks && !(await this.runPreCommitChecks())) {
+      return false;
+    }
+
+    // No plan trailer: the change is folded into a commit that has one
+    const result = await git.commit(message, {
+      noVerify: options.skipChecks,
+      fixup: { commit: target.hash, amend: mode === 'amend' },
+    });
+    if (!result.success) {
+      log.error(`Commit failed: ${result.stderr}`);
+      return false;
+    }
+
+    log.success(`✅ Created ${mode}! commit for ${target.hash.slice(0, 7)}`);
+    log.info('💡 Fold it into the target with: commit --autosquash');
+    return true;
+  }
+
+  /**
+   * Fold the fixup!/amend!/squash! commits of the branch with a non-interactive rebase
+   */
+  async autosquashMode(options = {}) {
+    log.header('🧹 AUTOSQUASH');
+
+    const base = await git.getMergeBase(options.base);
+    if (!base) {
+      log.error('Cannot find the branch merge-base (no upstream, main or master)');
+      log.info('💡 Pass the branch to compare with: --base <ref>');
+      return false;
+    }
+
+    const pending = await listAutosquashCommits(base.hash);
+    if (pending.length === 0) {
+      log.success(`Nothing to autosquash since ${base.ref} (${base.hash.slice(0, 7)})`);
+      return true;
+    }
+
+    log.step(`${pending.length} commit${pending.length > 1 ? 's' : ''} to fold:`);
+    pending.forEach(commit => console.log(`  ${commit.hash.slice(0, 7)} ${commit.subject}`));
+
+    if (options.dryRun) {
+      log.info('DRY RUN - history left unchanged');
+      return true;
+    }
+
+    const result = await git.rebaseAutosquash(base.hash, { autostash: true });
+    if (!result.success) {
+      log.error(`Autosquash rebase stopped: ${result.stderr || result.stdout}`);
+      log.info('💡 Resolve the conflicts and run: git rebase --continue (or git rebase --abort)');
+      return false;
+    }
+
+    log.success(
+      `✅ Folded ${pending.length} commit${pending.length > 1 ? 's' : ''} into their targets`
+    );
     return true;
   }
 
@@ -358,12 +973,13 @@ class CommitHelper {
       log.info(`Reason: ${smartDetection.reason}`);
 
       const smartDescription = await this.generateSmartDescription(smartDetection.type);
+      const smartHeader = this.formatHeader({ ...smartDetection, description: smartDescription });
 
       const { useSmartSuggestion } = await inquirer.prompt([
         {
           type: 'confirm',
           name: 'useSmartSuggestion',
-          message: `Use smart suggestion: ${smartDetection.type}: ${smartDescription}?`,
+          message: `Use smart suggestion: ${smartHeader}?`,
           default: true,
         },
       ]);
@@ -371,16 +987,16 @@ class CommitHelper {
       if (useSmartSuggestion) {
         answers.type = smartDetection.type;
         answers.description = smartDescription;
-        answers.breaking = false;
-        answers.scope = '';
-        answers.body = '';
+        answers.breaking = Boolean(smartDetection.breaking);
+        answers.scope = smartDetection.scope || '';
+        answers.body = await this.generateSmartBody();
       }
     }
 
     // If no smart suggestion accepted or low confidence, use interactive mode
     if (!answers.type) {
       const defaultType = smartDetection ? smartDetection.type : 'feat';
-      const typeChoices = COMMIT_TYPES.map(choice => ({
+      const typeChoices = this.getCommitTypes().map(choice => ({
         ...choice,
         name: choice.value === defaultType ? `${choice.name} (🧠 suggested)` : choice.name,
       }));
@@ -399,21 +1015,28 @@ class CommitHelper {
           type: 'input',
           name: 'scope',
           message: 'Enter the scope (optional):',
+          default: smartDetection?.scope || undefined,
           validate: input =>
-            !input || /^[a-z-]+$/.test(input) || 'Scope should be lowercase with hyphens',
+            !input ||
+            /^[a-z0-9-]+$/.test(input) ||
+            'Scope should be lowercase letters, digits and hyphens',
         },
         {
           type: 'confirm',
           name: 'breaking',
-          message: 'Is this a breaking change?',
-          default: false,
+          message: smartDetection?.breaking
+            ? 'Is this a breaking change? (🧠 public API changes detected)'
+            : 'Is this a breaking change?',
+          default: Boolean(smartDetection?.breaking),
         },
         {
           type: 'input',
           name: 'description',
           message: 'Enter the commit description:',
           default: smartDetection ? await this.generateSmartDescription(defaultType) : '',
-          validate: input => input.length >= 10 || 'Description must be at least 10 characters',
+          validate: input =>
+            input.length >= this.commitSettings.min_description_length ||
+            `Description must be at least ${this.commitSettings.min_description_length} characters`,
         },
         {
           type: 'input',
@@ -426,18 +1049,19 @@ class CommitHelper {
     }
 
     // Build commit message
-    let commitMsg = answers.type;
-    if (answers.scope) {
-      commitMsg += `(${answers.scope})`;
-    }
-    if (answers.breaking) {
-      commitMsg += '!';
-    }
-    commitMsg += `: ${answers.description}`;
+    let commitMsg = this.formatHeader(answers);
 
     if (answers.body) {
       commitMsg += `\n\n${answers.body}`;
     }
+    if (answers.breaking && smartDetection?.breakingChanges.length > 0) {
+      commitMsg += `\n\n${formatBreakingFooter(smartDetection.breakingChanges)}`;
+    }
+
+    commitMsg = await this.promptTrailers(commitMsg, answers, smartDetection);
+    commitMsg = await this.addIssueReferences(commitMsg);
+    commitMsg = await this.addPlanTrailer(commitMsg, { interactive: true });
+    commitMsg = await this.addTrailers(commitMsg);
 
     log.step(`Commit message: ${commitMsg}`);
 
@@ -471,7 +1095,10 @@ class CommitHelper {
 
       if (!detection) {
         log.error('Smart detection failed, using fallback commit');
-        const fallbackMessage = 'chore: update project files';
+        const fallbackMessage = this.formatHeader({
+          type: 'chore',
+          description: 'update project files',
+        });
         return await this.executeCommit(fallbackMessage);
       }
 
@@ -479,11 +1106,15 @@ class CommitHelper {
       const smartDescription = await this.generateSmartDescription(detection.type);
 
       // Step 3: Build commit message
-      const commitMessage = `${detection.type}: ${smartDescription}`;
+      const commitMessage = await this.addPlanTrailer(
+        await this.buildSmartMessage(detection, smartDescription)
+      );
 
       // Step 4: Display analysis
       log.step('📊 Smart Analysis Results:');
       console.log(`   Type: ${detection.type}`);
+      console.log(`   Scope: ${detection.scope || '(none)'}`);
+      console.log(`   Breaking: ${detection.breaking ? 'yes' : 'no'}`);
       console.log(`   Description: ${smartDescription}`);
       console.log(`   Confidence: ${(detection.confidence * 100).toFixed(1)}%`);
       console.log(`   Reason: ${detection.reason}`);
@@ -509,11 +1140,237 @@ class CommitHelper {
     } catch (error) {
       log.error(`Smart commit mode failed: ${error.message}`);
       log.info('Using fallback commit...');
-      const fallbackMessage = 'chore: update project files';
+      const fallbackMessage = this.formatHeader({
+        type: 'chore',
+        description: 'update project files',
+      });
       return await this.executeCommit(fallbackMessage);
     }
   }
 
+  /**
+   * 🎓 Learn commit types from the conventional commits of this repository
+   */
+  async trainModel(options = {}) {
+    const types = Object.keys(this.smartDetector.patterns);
+    log.step(`Reading up to ${options.maxCommits} commits...`);
+
+    const { samples, skipped } = await collectTrainingSamples(types, options);
+    if (samples.length === 0) {
+      throw new Error(`No conventional commits of type ${types.join(', ')} in the history`);
+    }
+
+    const model = trainModel(samples, types);
+    await saveModel(model, options.output);
+    return { model, skipped };
+  }
+
+  /**
+   * Print what the model learned
+   */
+  printTrainingSummary({ model, skipped }, output) {
+    log.header('🎓 Commit model trained');
+    console.log(`Model: ${output}`);
+    console.log(`Commits learned: ${model.commits} (${skipped} skipped, not conventional)`);
+    console.log(`Features: ${model.vocabulary}`);
+    log.divider();
+    Object.entries(model.types)
+      .filter(([, stats]) => stats.commits > 0)
+      .sort(([, a], [, b]) => b.commits - a.commits)
+      .forEach(([type, stats]) => console.log(`  ${type.padEnd(10)} ${stats.commits} commits`));
+    log.divider();
+    log.success('Smart detection now blends the learned model in');
+  }
+
+  /**
+   * 🔍 Why smart detection picks its type, without committing
+   */
+  async explainDetection() {
+    const { commits: commitSettings } = await loadAutomationConfig();
+    this.smartDetector.scopeSettings = commitSettings.scopes;
+
+    const explanation = await this.smartDetector.explainDetection();
+    if (!explanation) {
+      throw new Error('No staged changes to explain');
+    }
+    return explanation;
+  }
+
+  /**
+   * Print a detection explanation
+   */
+  printExplanation(explanation) {
+    const score = value => value.toFixed(2);
+    const location = hit => `${hit.file || '(diff)'}${hit.line ? `:${hit.line}` : ''}`;
+    const { weights, fallback } = explanation;
+
+    log.header('🔍 Smart detection explained');
+    console.log(`Files (${explanation.files.length}): ${explanation.files.join(', ')}`);
+    console.log(
+      `Weighting: files ×${weights.files}, keywords ×${weights.content}` +
+        (weights.model ? `, then ${weights.model * 100}% learned model` : ' (no learned model)')
+    );
+    log.divider();
+
+    console.log(
+      `${'Type'.padEnd(10)}${'Files'.padStart(7)}${'New'.padStart(6)}${'Keywords'.padStart(10)}` +
+        `${'Model'.padStart(8)}${'Combined'.padStart(10)}`
+    );
+    for (const entry of explanation.types) {
+      const model =
+        entry.modelProbability === null ? '-' : `${(entry.modelProbability * 100).toFixed(0)}%`;
+      console.log(
+        `${entry.type.padEnd(10)}${score(entry.fileScore).padStart(7)}` +
+          `${score(entry.newFileBonus).padStart(6)}${score(entry.keywordScore).padStart(10)}` +
+          `${model.padStart(8)}${score(entry.combinedScore).padStart(10)}`
+      );
+    }
+
+    for (const entry of explanation.types) {
+      if (entry.fileMatches.length === 0 && entry.keywordHits.length === 0 && !entry.newFileBonus) {
+        continue;
+      }
+      log.divider();
+      console.log(`${entry.type}:`);
+      entry.fileMatches.forEach(match => console.log(`  📄 pattern match: ${match}`));
+      if (entry.newFileBonus) {
+        console.log(
+          `  ✨ +${entry.newFileBonus} new source files: ${explanation.newFiles.join(', ')}`
+        );
+      }
+      entry.keywordHits.slice(0, 10).forEach(hit => {
+        console.log(
+          `  🔑 "${hit.keyword}" +${hit.weight} at ${location(hit)}${hit.removed ? ' (removed)' : ''}: ${hit.text}`
+        );
+      });
+      if (entry.keywordHits.length > 10) {
+        console.log(`  … ${entry.keywordHits.length - 10} more keyword hits`);
+      }
+    }
+
+    log.divider();
+    if (fallback) {
+      console.log(
+        `⚠️ Fallback heuristics applied: combined confidence ` +
+          `${(fallback.combinedConfidence * 100).toFixed(1)}% for ${fallback.combinedType} ` +
+          `is below ${fallback.threshold * 100}%`
+      );
+    } else {
+      console.log('Fallback heuristics not needed');
+    }
+    log.success(
+      `Result: ${explanation.type}${explanation.scope ? `(${explanation.scope})` : ''}` +
+        `${explanation.breaking ? '!' : ''} - ${(explanation.confidence * 100).toFixed(1)}% confidence`
+    );
+    log.info(`Reason: ${explanation.reason}`);
+  }
+
+  /**
+   * 📏 Replay past conventional commits through the smart detector and score it
+   */
+  async evaluateDetection(options = {}) {
+    const { commits: commitSettings } = await loadAutomationConfig();
+    const commits = await listConventionalCommits(options.count);
+    if (commits.length === 0) {
+      throw new Error('No conventional commits in the history to evaluate');
+    }
+
+    // The learned model was trained on these same commits, so it is only blended in on request
+    const useModel = options.model === true;
+    const predictions = await replayCommits(commits, {
+      scopes: commitSettings.scopes,
+      useModel,
+      model: useModel ? await loadModel() : null,
+    });
+    return buildReport(predictions);
+  }
+
+  /**
+   * Print an evaluation report
+   */
+  printEvaluation(report) {
+    const percent = value => (value === null ? '-' : `${(value * 100).toFixed(1)}%`);
+
+    log.header('📏 Smart commit detection benchmark');
+    console.log(`Commits replayed: ${report.scored} (${report.errors} failed)`);
+    console.log(`Type accuracy: ${percent(report.typeAccuracy)}`);
+    console.log(`Scope accuracy: ${percent(report.scopeAccuracy)}`);
+    log.divider();
+
+    console.log('Confusion matrix (rows: actual, columns: predicted)');
+    const width = Math.max(...report.labels.map(label => label.length), 6) + 2;
+    console.log(''.padEnd(width) + report.labels.map(label => label.padStart(width)).join(''));
+    for (const actual of report.labels) {
+      const cells = report.labels.map(predicted =>
+        String(report.confusion[actual][predicted] || '.').padStart(width)
+      );
+      console.log(actual.padEnd(width) + cells.join(''));
+    }
+    log.divider();
+
+    console.log(`${'Type'.padEnd(width)}${'Precision'.padStart(11)}${'Recall'.padStart(9)}`);
+    for (const [type, stats] of Object.entries(report.perType)) {
+      console.log(
+        `${type.padEnd(width)}${percent(stats.precision).padStart(11)}${percent(stats.recall).padStart(9)}` +
+          `  (${stats.correct}/${stats.predicted} predicted, ${stats.actual} actual)`
+      );
+    }
+    log.divider();
+
+    console.log(`Calibration (expected error: ${percent(report.calibrationError)})`);
+    for (const bin of report.calibration) {
+      const range = `${bin.range[0] * 100}-${bin.range[1] * 100}%`.padEnd(10);
+      console.log(
+        `  ${range} ${String(bin.count).padStart(4)} commits  confidence ${percent(bin.meanConfidence).padStart(6)}  accuracy ${percent(bin.accuracy).padStart(6)}`
+      );
+    }
+  }
+
+  /**
+   * Print a commit range lint report, grouped by commit
+   */
+  printLintReport(report) {
+    const range = report.from ? `${report.from}..${report.to}` : report.to;
+    log.header(`📝 Commit Lint (${report.commits} commits in ${range})`);
+    console.log(`Rules: ${report.config || '@commitlint/config-conventional (no config found)'}`);
+    console.log(`Commit style: ${report.style}`);
+    report.configWarnings.forEach(warning => log.warning(warning));
+
+    // fixup!/squash!, amend! and git revert commits are linted with the message they stand for
+    const linkedAs = {
+      fixup: ' (linted as its target)',
+      amend: ' (linted as the new message)',
+      revert: ' (linted as the reverted commit)',
+    };
+
+    for (const result of report.results) {
+      const label = `${result.hash.slice(0, 7)} ${result.subject}${linkedAs[result.kind] || ''}`;
+      if (result.ignored) {
+        console.log(`⏭️  ${label} (ignored)`);
+        continue;
+      }
+      if (result.issues.length === 0) {
+        console.log(`✅ ${label}`);
+        continue;
+      }
+      log.divider();
+      console.log(`📄 ${label}`);
+      for (const issue of result.issues) {
+        const icon = issue.severity === 'error' ? '❌' : '⚠️ ';
+        console.log(`  ${icon} [${issue.code}] ${issue.message}`);
+      }
+    }
+
+    log.divider();
+    if (report.errors > 0) {
+      log.error(`${report.errors} error(s), ${report.warnings} warning(s)`);
+    } else if (report.warnings > 0) {
+      log.warning(`No errors, ${report.warnings} warning(s)`);
+    } else {
+      log.success('All commit messages are valid');
+    }
+  }
+
   /**
    * Show usage information
    */
@@ -545,7 +1402,7 @@ class CommitHelper {
     );
     console.log('  • Supports all languages and frameworks');
     console.log('');
-    console.log(`Valid commit types: ${COMMIT_TYPES.map(t => t.value).join(', ')}`);
+    console.log(`Valid commit types: ${this.commitSettings.valid_types.join(', ')}`);
     console.log('Use ! after type for breaking changes');
     console.log('');
     console.log('🎯 SMART DETECTION PATTERNS:');
@@ -567,28 +1424,88 @@ program
   .name('commit-helper')
   .description('🧠 Smart Universal Commit Assistant - AI-powered conventional commits')
   .version('2.0.0')
+  // -f/--format after a subcommand (eval, lint) belongs to the subcommand
+  .enablePositionalOptions()
   .argument('[message]', 'Commit message')
   .option('-i, --interactive', 'Interactive commit creation')
   .option('-s, --smart', '🧠 Fully automated smart commit detection')
+  .option('--split', '✂️ Split staged hunks into several logical commits')
+  .option('--fixup', '🩹 Commit the staged hunks as a fixup!/amend! of an earlier branch commit')
+  .option(
+    '--autosquash',
+    '🧹 Fold the fixup!/amend! commits of the branch (non-interactive rebase)'
+  )
+  .option('--base <ref>', 'Branch the --fixup/--autosquash range starts from (default: upstream)')
   .option('--no-verify', 'Skip pre-commit hooks and checks')
   .option('-d, --dry-run', 'Show what would be done without executing')
+  .option('--no-plan', 'Do not link the commit to an active plan item')
+  .option(
+    '--co-author <who>',
+    'Add a Co-authored-by trailer (roster alias, name, email or "Name <email>", repeatable)',
+    (value, previous) => previous.concat([value]),
+    []
+  )
+  .option('--signoff', 'Add a Signed-off-by trailer (DCO)')
+  .option('--explain', '🔍 Explain the smart detection of the staged changes, without committing')
+  .option('-f, --format <type>', 'Explain output format (console, json)', 'console')
   .option('-v, --verbose', 'Verbose output')
   .action(async (message, options) => {
     try {
-      await commitHelper.loadProjectConfig();
+      if (options.explain) {
+        const explanation = await commitHelper.explainDetection();
+        if (options.format === 'json') {
+          console.log(JSON.stringify(explanation, null, 2));
+        } else {
+          commitHelper.printExplanation(explanation);
+        }
+        return;
+      }
 
-      if (options.smart) {
+      await commitHelper.loadProjectConfig();
+      commitHelper.planTracking = options.plan;
+      commitHelper.coAuthors = options.coAuthor;
+      commitHelper.signoff = Boolean(options.signoff);
+
+      if (options.fixup || options.autosquash) {
+        // --fixup --autosquash folds the new fixup right away
+        let success = true;
+        if (options.fixup) {
+          success = await commitHelper.fixupCommitMode({
+            base: options.base,
+            dryRun: options.dryRun,
+            skipChecks: !options.verify,
+          });
+        }
+        if (success && options.autosquash) {
+          success = await commitHelper.autosquashMode({
+            base: options.base,
+            dryRun: options.dryRun,
+          });
+        }
+        process.exit(success ? 0 : 1);
+      } else if (options.split) {
+        const success = await commitHelper.splitCommitMode({
+          dryRun: options.dryRun,
+          skipChecks: !options.verify,
+        });
+        process.exit(success ? 0 : 1);
+      } else if (options.smart) {
         // Fully automated smart mode
         await commitHelper.smartCommitMode();
       } else if (options.interactive || !message) {
         await commitHelper.interactiveCommit();
       } else {
+        await commitHelper.warnUndeclaredBreakingChanges(message);
+
         if (options.dryRun) {
           log.step(`DRY RUN - Would commit: "${message}"`);
           const isValid = commitHelper.validateCommitFormat(message);
-          const bumpType = commitHelper.getVersionBumpType(message);
           log.step(`Valid format: ${isValid}`);
-          log.step(`Would apply version bump: ${bumpType}`);
+          const linked = await commitHelper.addTrailers(await commitHelper.addPlanTrailer(message));
+          if (linked !== message) {
+            log.step(`Would add trailers:\n${linked.slice(message.trimEnd().length).trim()}`);
+          }
+          log.step(`Valid trailers: ${commitHelper.checkTrailers(linked)}`);
           return;
         }
 
@@ -596,7 +1513,11 @@ program
           process.exit(1);
         }
 
-        const success = await commitHelper.executeCommit(message, !options.verify);
+        const commitMsg = await commitHelper.addPlanTrailer(message);
+        if (commitMsg !== message) {
+          log.info(`📋 Linked to plan item: ${commitMsg.split('\n').pop()}`);
+        }
+        const success = await commitHelper.executeCommit(commitMsg, !options.verify);
         process.exit(success ? 0 : 1);
       }
     } catch (error) {
@@ -608,6 +1529,113 @@ program
     }
   });
 
+program
+  .command('train')
+  .description('🎓 Learn commit types from the conventional commits of this repository')
+  .option(
+    '-n, --max-commits <count>',
+    'Number of commits to read',
+    value => parseInt(value, 10),
+    500
+  )
+  .option('-o, --output <file>', 'Model file', MODEL_FILE)
+  .action(async options => {
+    try {
+      const result = await commitHelper.trainModel(options);
+      commitHelper.printTrainingSummary(result, options.output);
+    } catch (error) {
+      log.error(`Training failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('eval')
+  .description('📏 Benchmark smart detection against the last conventional commits')
+  .option('-n, --count <count>', 'Number of commits to replay', value => parseInt(value, 10), 100)
+  .option('-f, --format <type>', 'Output format (console, json)', 'console')
+  .option('--model', 'Blend in the learned model (trained on these commits, so optimistic)', false)
+  .option('--min-accuracy <ratio>', 'Fail when type accuracy is below this ratio', parseFloat)
+  .action(async options => {
+    try {
+      if (options.model) {
+        const warning =
+          '--model: the model was trained on the replayed commits, accuracy is optimistic';
+        // stdout stays parseable in JSON mode
+        if (options.format === 'json') {
+          console.error(warning);
+        } else {
+          log.warning(warning);
+        }
+      }
+
+      const report = await commitHelper.evaluateDetection(options);
+
+      if (options.format === 'json') {
+        console.log(JSON.stringify(report, null, 2));
+      } else {
+        commitHelper.printEvaluation(report);
+      }
+
+      if (options.minAccuracy !== undefined && report.typeAccuracy < options.minAccuracy) {
+        const message = `Type accuracy ${report.typeAccuracy} is below the minimum ${options.minAccuracy}`;
+        // stdout stays parseable in JSON mode
+        if (options.format === 'json') {
+          console.error(message);
+        } else {
+          log.error(message);
+        }
+        process.exit(1);
+      }
+    } catch (error) {
+      log.error(`Evaluation failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('lint')
+  .description('📝 Lint the commit messages of a range with the commitlint.config.js rules')
+  .option('--from <ref>', 'Lint the commits after this ref (default: only --to)')
+  .option('--to <ref>', 'Last commit of the range', 'HEAD')
+  .option(
+    '-c, --config <path>',
+    'commitlint config file (default: commitlint.config.js, .commitlintrc)'
+  )
+  .option('-f, --format <type>', 'Output format (console, json, github-annotations)', 'console')
+  .action(async options => {
+    try {
+      // Headers are read in commits.style
+      const { commits: commitSettings } = await loadAutomationConfig();
+      const report = await lintCommitRange({
+        ...options,
+        style: commitSettings.style,
+        types: commitSettings.valid_types,
+      });
+
+      if (options.format === 'json') {
+        console.log(JSON.stringify(report, null, 2));
+      } else if (options.format === 'github-annotations') {
+        const annotations = formatGithubAnnotations(report);
+        if (annotations) {
+          console.log(annotations);
+        }
+        console.log(
+          `${report.commits} commits linted: ${report.errors} error(s), ${report.warnings} warning(s)`
+        );
+      } else {
+        commitHelper.printLintReport(report);
+      }
+
+      if (report.errors > 0) {
+        process.exit(1);
+      }
+    } catch (error) {
+      log.error(`Commit lint failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
 program
   .command('help')
   .description('Show detailed usage information')
@@ -619,4 +1647,5 @@ if (import.meta.url.endsWith(process.argv[1].replace(/\\/g, '/'))) {
   program.parse();
 }
 
+export { program };
 export default CommitHelper;
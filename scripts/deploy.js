@@ -16,6 +16,7 @@ import { existsSync } from 'fs';
 // Import our utilities
 import utils from './lib/utils.js';
 import gitHelper from './lib/git-helper.js';
+import { loadAutomationConfig } from './lib/automation-config.js';
 
 const program = new Command();
 
@@ -41,9 +42,17 @@ async function main(options) {
     // Show deployment configuration
     showDeploymentConfig(config);
 
+    // advanced.dry_run stops after validation
+    const { advanced } = await loadAutomationConfig();
+
     // 1. Pre-deployment checks
     await runPreDeploymentChecks(config);
 
+    if (advanced.dry_run) {
+      utils.log.warning(`DRY RUN - would deploy dist/ to ${config.target}:${config.path}`);
+      return;
+    }
+
     // 2. Backup current deployment (if exists)
     if (!options.skipBackup) {
       await createBackup(config);
@@ -482,4 +491,4 @@ if (import.meta.url.endsWith(process.argv[1].replace(/\\/g, '/'))) {
   program.parse();
 }
 
-export { main };
+export { main, program };
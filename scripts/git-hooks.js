@@ -0,0 +1,191 @@
+#!/usr/bin/env node
+
+/**
+ * 🪝 GIT HOOKS - commit-msg / prepare-commit-msg in Node
+ * Validates and pre-fills commit messages with the same validator and
+ * SmartCommitDetector as commit-helper.js; .githooks/ only holds thin entry points
+ */
+
+import { Command } from 'commander';
+import utils from './lib/utils.js';
+import CommitHelper from './commit-helper.js';
+import { emojiForType, describeStyle, BREAKING_GITMOJI } from './lib/commit-style.js';
+
+const { log, file } = utils;
+
+// Marker of `git commit -v`: everything below it is the diff shown in the editor
+const SCISSORS = /^# -+ >8 -+$/m;
+
+// Messages written by git itself, left to their own format
+const GIT_GENERATED = /^(Merge |Revert "|(fixup|squash|amend)! )/;
+
+// prepare-commit-msg sources whose message is kept as is (-m/-F, merge, squash, -c/-C/--amend)
+const KEPT_SOURCES = ['message', 'merge', 'squash', 'commit'];
+
+/**
+ * Commit message as git records it: no comment lines, nothing below the scissors line
+ */
+export function stripComments(content) {
+  const [message] = content.split(SCISSORS);
+  return message
+    .split('\n')
+    .filter(line => !line.startsWith('#'))
+    .join('\n')
+    .trim();
+}
+
+class GitHooks {
+  constructor() {
+    this.helper = new CommitHelper();
+  }
+
+  /**
+   * Hook settings from .automation-config.yml
+   */
+  get settings() {
+    return this.helper.automationConfig.hooks;
+  }
+
+  /**
+   * commit-msg: reject messages that commit-helper would reject, or missing required trailers
+   */
+  async commitMsg(messageFile) {
+    await this.helper.loadProjectConfig({ save: false });
+    if (!this.settings.commit_msg.enabled) {
+      return true;
+    }
+
+    const message = stripComments((await file.read(messageFile)) || '');
+    // Empty messages are aborted by git itself
+    if (!message || GIT_GENERATED.test(message)) {
+      return true;
+    }
+
+    if (this.helper.validateCommitFormat(message) && this.helper.checkTrailers(message)) {
+      return true;
+    }
+
+    log.error('Commit rejected. Please fix the commit message and try again.');
+    log.info(`💡 Edit the rejected message again with: git commit -e -F ${messageFile}`);
+    return false;
+  }
+
+  /**
+   * prepare-commit-msg: pre-fill the smart suggestion above git's comment block
+   */
+  async prepareCommitMsg(messageFile, source) {
+    if (KEPT_SOURCES.includes(source)) {
+      return false;
+    }
+
+    await this.helper.loadProjectConfig({ save: false });
+    const settings = this.settings.prepare_commit_msg;
+    if (!settings.enabled || (!settings.suggest && !settings.guide)) {
+      return false;
+    }
+
+    // A commit.template with actual content wins over the suggestion
+    const content = (await file.read(messageFile)) || '';
+    if (stripComments(content)) {
+      return false;
+    }
+
+    const detection = await this.helper.smartDetector.analyzeChanges();
+    if (!detection) {
+      return false;
+    }
+
+    const lines = [];
+    if (settings.suggest) {
+      const description = await this.helper.generateSmartDescription(detection.type);
+      const message = await this.helper.buildSmartMessage(detection, description);
+      lines.push(await this.helper.addTrailers(message), '');
+    }
+    if (settings.guide) {
+      lines.push(...this.formatGuide(detection), '');
+    }
+
+    await file.write(messageFile, `${lines.join('\n')}${content}`);
+    return true;
+  }
+
+  /**
+   * Commented block shown in the editor: detection result and expected format
+   */
+  formatGuide(detection) {
+    const {
+      valid_types: validTypes,
+      min_description_length: minDescriptionLength,
+      max_first_line_length: maxFirstLineLength,
+    } = this.helper.commitSettings;
+    const { signoff, required } = this.helper.trailerSettings;
+    const style = this.helper.commitStyle;
+    const scope = detection.scope ? `(${detection.scope})` : '';
+    const types =
+      style === 'conventional'
+        ? validTypes
+        : validTypes.map(type => `${emojiForType(type) || ''} ${type}`.trim());
+    const trailers = required.map(
+      rule =>
+        `# Required trailer: ${rule.token}: ${rule.description || rule.pattern || 'any value'}`
+    );
+    if (signoff) {
+      trailers.push('# Required trailer: Signed-off-by (commit with git commit -s)');
+    }
+
+    return [
+      `# 🧠 Smart detection: ${detection.type}${scope}${detection.breaking ? '!' : ''} ` +
+        `(${(detection.confidence * 100).toFixed(1)}% confidence)`,
+      `#    ${detection.reason}`,
+      '#',
+      `# Format: ${describeStyle(style).format} (${minDescriptionLength}+ characters, ` +
+        `first line up to ${maxFirstLineLength})`,
+      `# Types: ${types.join(', ')}`,
+      style === 'gitmoji'
+        ? `# Breaking changes: start with ${BREAKING_GITMOJI.emoji} and add a BREAKING CHANGE: footer`
+        : '# Breaking changes: add ! after type/scope and a BREAKING CHANGE: footer',
+      ...trailers,
+    ];
+  }
+}
+
+// CLI Setup
+const program = new Command();
+
+program
+  .name('git-hooks')
+  .description('🪝 Node git hooks sharing the commit-helper validation')
+  .version('1.0.0');
+
+program
+  .command('commit-msg <file>')
+  .description('Validate the commit message in <file> (exits 1 when invalid)')
+  .action(async messageFile => {
+    try {
+      const valid = await new GitHooks().commitMsg(messageFile);
+      process.exit(valid ? 0 : 1);
+    } catch (error) {
+      log.error(`commit-msg hook failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('prepare-commit-msg <file> [source] [sha]')
+  .description('Pre-fill <file> with the smart commit suggestion')
+  .action(async (messageFile, source) => {
+    // A suggestion is never worth blocking the commit
+    try {
+      await new GitHooks().prepareCommitMsg(messageFile, source);
+    } catch (error) {
+      log.warning(`prepare-commit-msg hook skipped: ${error.message}`);
+    }
+  });
+
+// Export for use as module
+export { GitHooks, program };
+
+// Run if called directly
+if (import.meta.url.endsWith(process.argv[1].replace(/\\/g, '/'))) {
+  program.parse();
+}
@@ -0,0 +1,250 @@
+#!/usr/bin/env node
+
+/**
+ * 🔌 API Surface - Public Interface of JS/TS Modules
+ * Extracts exports (with function arity) and commander CLI options from
+ * module source, and compares two versions to find breaking changes
+ */
+
+export const MODULE_FILE = /\.(m|c)?[jt]sx?$/;
+
+const IDENTIFIER = '[A-Za-z_$][\\w$]*';
+
+const DECLARATION = new RegExp(
+  `^\\s*export\\s+(?:declare\\s+)?(default\\s+)?(?:(async\\s+)?function\\s*\\*?\\s*(${IDENTIFIER})?\\s*(?:<[^>]*>)?\\s*\\(|(?:abstract\\s+)?class\\s+(${IDENTIFIER})|(const|let|var)\\s+(${IDENTIFIER})\\s*(?::[^=]+)?=\\s*(.*)|(interface|type|enum)\\s+(${IDENTIFIER}))`,
+  'gm'
+);
+
+const EXPORT_LIST = /^\s*export\s+(?:type\s+)?\{([^}]*)\}/gm;
+
+const DEFAULT_EXPRESSION = /^\s*export\s+default\s+(?!function\b|async\s+function\b|class\b)/gm;
+
+const COMMONJS_OBJECT = /module\.exports\s*=\s*\{([^}]*)\}/g;
+
+const COMMONJS_PROPERTY = new RegExp(`(?:module\\.)?exports\\.(${IDENTIFIER})\\s*=\\s*(.*)`, 'g');
+
+const COMMANDER_OPTION = /\.(?:option|requiredOption)\(\s*(['"`])([^'"`]+)\1/g;
+
+/**
+ * Text from an opening bracket to its matching closing bracket (exclusive)
+ */
+function balanced(source, start) {
+  const pairs = { '(': ')', '[': ']', '{': '}', '<': '>' };
+  const stack = [];
+  for (let index = start; index < source.length; index++) {
+    const char = source[index];
+    if (pairs[char] && (char !== '<' || stack.length > 0)) {
+      stack.push(pairs[char]);
+    } else if (char === stack[stack.length - 1]) {
+      stack.pop();
+      if (stack.length === 0) {
+        return source.slice(start + 1, index);
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Required and total parameter counts of a parameter list
+ */
+export function countParams(params) {
+  const list = [];
+  let depth = 0;
+  let current = '';
+  for (const char of params) {
+    if ('([{<'.includes(char)) {
+      depth++;
+    } else if (')]}>'.includes(char) && !(char === '>' && current.endsWith('='))) {
+      depth--;
+    }
+    if (char === ',' && depth === 0) {
+      list.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  list.push(current);
+
+  const names = list.map(param => param.trim()).filter(Boolean);
+  const rest = names.some(param => param.startsWith('...'));
+  const optional = param =>
+    param.startsWith('...') || /^[^=:]+\?\s*:/.test(param) || /^[^=]*[^=!<>]=[^=>]/.test(param);
+
+  return {
+    required: names.filter(param => !optional(param)).length,
+    total: rest ? Infinity : names.length,
+  };
+}
+
+/**
+ * Parameters of a function whose "(" is at the given offset
+ */
+function arityAt(source, offset) {
+  const params = balanced(source, offset);
+  return params === null ? null : countParams(params);
+}
+
+/**
+ * Arity of an exported const initializer when it is a function
+ */
+function initializerArity(source, offset, initializer) {
+  const fn = initializer.match(/^(async\s*)?(function\s*\*?\s*\w*\s*)?\(/);
+  if (fn) {
+    return arityAt(source, offset + fn[0].length - 1);
+  }
+  const single = initializer.match(new RegExp(`^(async\\s+)?(${IDENTIFIER})\\s*=>`));
+  return single ? { required: 1, total: 1 } : null;
+}
+
+/**
+ * Exports and CLI options of a module
+ *
+ * Regex based: good enough for declarations written one per statement, which
+ * is how the scripts and modules of a project usually export.
+ */
+export function extractApiSurface(source) {
+  const exports = new Map();
+  const add = (name, kind, arity = null) => {
+    if (name && !exports.has(name)) {
+      exports.set(name, { kind, arity });
+    }
+  };
+
+  for (const match of source.matchAll(DECLARATION)) {
+    const [text, isDefault, , fnName, className, , constName, initializer, typeKind, typeName] =
+      match;
+    if (text.includes('function') && !className && !constName && !typeName) {
+      add(
+        isDefault ? 'default' : fnName,
+        'function',
+        arityAt(source, match.index + text.length - 1)
+      );
+    } else if (className) {
+      add(isDefault ? 'default' : className, 'class');
+    } else if (constName) {
+      const initializerOffset = match.index + text.length - initializer.length;
+      const arity = initializerArity(source, initializerOffset, initializer.trim());
+      add(constName, arity ? 'function' : 'value', arity);
+    } else if (typeName) {
+      add(typeName, typeKind);
+    }
+  }
+
+  for (const match of source.matchAll(EXPORT_LIST)) {
+    for (const specifier of match[1].split(',')) {
+      const parts = specifier
+        .trim()
+        .replace(/^type\s+/, '')
+        .split(/\s+as\s+/);
+      add(parts[parts.length - 1].trim(), 'binding');
+    }
+  }
+
+  if (DEFAULT_EXPRESSION.test(source)) {
+    add('default', 'value');
+  }
+  DEFAULT_EXPRESSION.lastIndex = 0;
+
+  for (const match of source.matchAll(COMMONJS_OBJECT)) {
+    for (const property of match[1].split(',')) {
+      add(property.split(':')[0].trim(), 'binding');
+    }
+  }
+  for (const match of source.matchAll(COMMONJS_PROPERTY)) {
+    const offset = match.index + match[0].length - match[2].length;
+    const arity = initializerArity(source, offset, match[2].trim());
+    add(match[1], arity ? 'function' : 'value', arity);
+  }
+
+  const options = new Set();
+  for (const match of source.matchAll(COMMANDER_OPTION)) {
+    const flags = match[2].split(/[\s,|]+/).filter(flag => flag.startsWith('-'));
+    const flag = flags.find(candidate => candidate.startsWith('--')) || flags[0];
+    if (flag) {
+      options.add(flag);
+    }
+  }
+
+  return { exports, options };
+}
+
+/**
+ * "2 parameters" / "1-2 parameters" description of an arity
+ */
+function describeArity({ required, total }) {
+  if (total === Infinity) {
+    return `${required}+ parameters`;
+  }
+  if (required === total) {
+    return total === 1 ? '1 parameter' : `${total} parameters`;
+  }
+  return `${required}-${total} parameters`;
+}
+
+/**
+ * Breaking differences between two versions of a module
+ */
+export function compareApiSurface(before, after) {
+  const changes = [];
+  const removed = [...before.exports.keys()].filter(name => !after.exports.has(name));
+  const added = [...after.exports.keys()].filter(name => !before.exports.has(name));
+
+  // One removal and one addition of the same shape reads as a rename
+  const sameShape = (a, b) =>
+    a.kind === b.kind && JSON.stringify(a.arity) === JSON.stringify(b.arity);
+  if (
+    removed.length === 1 &&
+    added.length === 1 &&
+    sameShape(before.exports.get(removed[0]), after.exports.get(added[0]))
+  ) {
+    changes.push({
+      type: 'export-renamed',
+      name: removed[0],
+      text: `renamed export ${removed[0]} to ${added[0]}`,
+    });
+  } else {
+    for (const name of removed) {
+      changes.push({ type: 'export-removed', name, text: `removed export ${name}` });
+    }
+  }
+
+  for (const [name, previous] of before.exports) {
+    const current = after.exports.get(name);
+    if (!current?.arity || !previous.arity) {
+      continue;
+    }
+    // Callers break when more arguments are required or accepted ones disappear
+    if (
+      current.arity.required > previous.arity.required ||
+      current.arity.total < previous.arity.total
+    ) {
+      changes.push({
+        type: 'arity-changed',
+        name,
+        text: `${name} now takes ${describeArity(current.arity)} (was ${describeArity(previous.arity)})`,
+      });
+    }
+  }
+
+  for (const option of before.options) {
+    if (!after.options.has(option)) {
+      changes.push({
+        type: 'cli-option-removed',
+        name: option,
+        text: `removed CLI option ${option}`,
+      });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * BREAKING CHANGE footer listing the detected changes
+ */
+export function formatBreakingFooter(changes) {
+  const lines = changes.map(change => `  - ${change.file}: ${change.text}`);
+  return `BREAKING CHANGE: public API changed\n${lines.join('\n')}`;
+}
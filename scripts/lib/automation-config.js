@@ -0,0 +1,426 @@
+#!/usr/bin/env node
+
+/**
+ * ⚙️ Automation Config - Shared .automation-config.yml Loader
+ * Parses, validates and merges the project automation settings with built-in defaults
+ */
+
+import { parseDocument } from 'yaml';
+import utils from './utils.js';
+import { COMMIT_STYLES, DEFAULT_STYLE } from './commit-style.js';
+
+const { file } = utils;
+
+export const CONFIG_FILE = '.automation-config.yml';
+
+export const PROJECT_TYPES = [
+  'javascript',
+  'python',
+  'go',
+  'rust',
+  'php',
+  'java',
+  'csharp',
+  'ruby',
+  'generic',
+];
+
+const BUMP_TYPES = ['patch', 'minor', 'major'];
+
+/**
+ * Schema builders
+ */
+const string = (options = {}) => ({ type: 'string', ...options });
+const number = (options = {}) => ({ type: 'number', ...options });
+const boolean = () => ({ type: 'boolean' });
+const list = items => ({ type: 'list', items });
+const map = values => ({ type: 'map', values });
+const object = properties => ({ type: 'object', properties });
+const any = () => ({ type: 'any' });
+const oneOf = (...options) => ({ type: 'oneOf', options });
+
+const CONFIG_SCHEMA = object({
+  detection: object({
+    force_type: string({ enum: PROJECT_TYPES }),
+    custom_patterns: map(list(string())),
+  }),
+  commits: object({
+    enforce_conventional: boolean(),
+    style: string({ enum: COMMIT_STYLES }),
+    valid_types: list(string({ pattern: /^[a-z][a-z0-9-]*$/ })),
+    min_description_length: number({ min: 1 }),
+    max_first_line_length: number({ min: 10 }),
+    auto_suggest: boolean(),
+    scopes: object({
+      infer: boolean(),
+      mapping: map(string({ pattern: /^([a-z0-9][a-z0-9-]*)?$/ })),
+    }),
+    trailers: object({
+      roster: string(),
+      signoff: boolean(),
+      required: list(
+        object({
+          token: string({ pattern: /^[A-Za-z][\w-]*$/ }),
+          pattern: string(),
+          description: string(),
+        })
+      ),
+    }),
+  }),
+  versioning: object({
+    default_bump: string({ enum: BUMP_TYPES }),
+    auto_bump: object({
+      // No longer read (commits do not bump the version), still accepted in older configs
+      enabled: boolean(),
+      rules: map(string({ enum: BUMP_TYPES })),
+    }),
+    update_files: map(list(string())),
+  }),
+  hooks: object({
+    pre_commit: object({
+      enabled: boolean(),
+      // Per-language map, or a flat list in project overrides
+      checks: oneOf(map(list(string())), list(string())),
+    }),
+    post_commit: object({
+      enabled: boolean(),
+      actions: list(string()),
+    }),
+    commit_msg: object({
+      enabled: boolean(),
+    }),
+    prepare_commit_msg: object({
+      enabled: boolean(),
+      suggest: boolean(),
+      guide: boolean(),
+    }),
+  }),
+  releases: object({
+    auto_release: object({
+      enabled: boolean(),
+      conditions: list(map(any())),
+    }),
+    release_notes: object({
+      enabled: boolean(),
+      include_types: list(string()),
+      group_by_type: boolean(),
+      sections: map(list(string())),
+    }),
+  }),
+  ci: object({
+    github_actions: object({
+      enabled: boolean(),
+      node_version: string(),
+      python_version: string(),
+      go_version: string(),
+      rust_version: string(),
+      test_matrix: list(string()),
+      security_scan: boolean(),
+    }),
+  }),
+  notifications: object({
+    success: object({
+      enabled: boolean(),
+      channels: list(string({ enum: ['console', 'webhook', 'email'] })),
+    }),
+    error: object({
+      enabled: boolean(),
+      channels: list(string({ enum: ['console', 'webhook', 'email'] })),
+    }),
+    webhook: object({
+      url: string(),
+      headers: map(string()),
+    }),
+  }),
+  rules: object({
+    always_on_token_budget: number({ min: 0 }),
+    min_duplicate_length: number({ min: 1 }),
+  }),
+  memory: object({
+    dir: string(),
+    stale_after_commits: number({ min: 0 }),
+  }),
+  advanced: object({
+    log_level: string({ enum: ['debug', 'info', 'warn', 'error'] }),
+    log_file: string(),
+    log_retention: number({ min: 0 }),
+    dry_run: boolean(),
+    skip_checks: list(string()),
+    scripts_dir: string(),
+    hooks_dir: string(),
+  }),
+  overrides: map(any()),
+});
+
+/**
+ * Built-in defaults (same values as the shipped .automation-config.yml)
+ */
+export const DEFAULT_AUTOMATION_CONFIG = {
+  detection: {
+    force_type: null,
+    custom_patterns: {},
+  },
+  commits: {
+    enforce_conventional: true,
+    style: DEFAULT_STYLE,
+    valid_types: [
+      'feat',
+      'fix',
+      'docs',
+      'style',
+      'refactor',
+      'perf',
+      'test',
+      'build',
+      'ci',
+      'chore',
+      'revert',
+    ],
+    min_description_length: 10,
+    max_first_line_length: 72,
+    auto_suggest: true,
+    scopes: {
+      infer: true,
+      mapping: {},
+    },
+    trailers: {
+      roster: '.github/team.yml',
+      signoff: false,
+      required: [],
+    },
+  },
+  versioning: {
+    default_bump: 'patch',
+    auto_bump: {
+      rules: {
+        feat: 'minor',
+        fix: 'patch',
+        perf: 'patch',
+      },
+    },
+    update_files: {
+      javascript: ['package.json', 'VERSION'],
+      python: ['pyproject.toml', 'setup.py', 'VERSION'],
+      go: ['VERSION'],
+      rust: ['Cargo.toml', 'VERSION'],
+      generic: ['VERSION'],
+    },
+  },
+  hooks: {
+    pre_commit: { enabled: true, checks: {} },
+    post_commit: { enabled: true, actions: [] },
+    commit_msg: { enabled: true },
+    prepare_commit_msg: { enabled: true, suggest: true, guide: true },
+  },
+  releases: {
+    auto_release: { enabled: false, conditions: [] },
+    release_notes: { enabled: true, include_types: [], group_by_type: true, sections: {} },
+  },
+  ci: {
+    github_actions: { enabled: true, test_matrix: [], security_scan: true },
+  },
+  notifications: {
+    success: { enabled: true, channels: ['console'] },
+    error: { enabled: true, channels: ['console'] },
+    webhook: { url: '', headers: {} },
+  },
+  rules: {
+    always_on_token_budget: 2000,
+    min_duplicate_length: 80,
+  },
+  memory: {
+    dir: 'memory-bank',
+    stale_after_commits: 20,
+  },
+  advanced: {
+    log_level: 'info',
+    log_file: '.automation/automation.log',
+    log_retention: 100,
+    dry_run: false,
+    skip_checks: [],
+    scripts_dir: 'scripts',
+    hooks_dir: '.githooks',
+  },
+  overrides: {},
+};
+
+/**
+ * Describe a value for error messages
+ */
+function describe(value) {
+  if (Array.isArray(value)) {
+    return 'a list';
+  }
+  if (value === null) {
+    return 'null';
+  }
+  return typeof value === 'object' ? 'a mapping' : `${typeof value} ${JSON.stringify(value)}`;
+}
+
+/**
+ * Validate a value against a schema node, collecting human readable errors
+ */
+function validateNode(value, schema, path, errors) {
+  // Empty YAML values (`key:`) fall back to defaults
+  if (value === null || value === undefined || schema.type === 'any') {
+    return;
+  }
+
+  switch (schema.type) {
+    case 'oneOf': {
+      const attempts = schema.options.map(option => {
+        const optionErrors = [];
+        validateNode(value, option, path, optionErrors);
+        return optionErrors;
+      });
+      if (attempts.every(attempt => attempt.length > 0)) {
+        errors.push(...attempts[0]);
+      }
+      break;
+    }
+
+    case 'string':
+      if (typeof value !== 'string') {
+        errors.push(`${path}: expected a string, got ${describe(value)}`);
+      } else if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path}: "${value}" is not one of ${schema.enum.join(', ')}`);
+      } else if (schema.pattern && !schema.pattern.test(value)) {
+        errors.push(`${path}: "${value}" does not match ${schema.pattern}`);
+      }
+      break;
+
+    case 'number':
+      if (typeof value !== 'number' || Number.isNaN(value)) {
+        errors.push(`${path}: expected a number, got ${describe(value)}`);
+      } else if (schema.min !== undefined && value < schema.min) {
+        errors.push(`${path}: must be at least ${schema.min} (got ${value})`);
+      }
+      break;
+
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        errors.push(`${path}: expected true or false, got ${describe(value)}`);
+      }
+      break;
+
+    case 'list':
+      if (!Array.isArray(value)) {
+        errors.push(`${path}: expected a list, got ${describe(value)}`);
+      } else {
+        value.forEach((item, index) =>
+          validateNode(item, schema.items, `${path}[${index}]`, errors)
+        );
+      }
+      break;
+
+    case 'map':
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${path}: expected a mapping, got ${describe(value)}`);
+        break;
+      }
+      for (const [key, child] of Object.entries(value)) {
+        const childPath = path ? `${path}.${key}` : key;
+        if (schema.type === 'map') {
+          validateNode(child, schema.values, childPath, errors);
+        } else if (!schema.properties[key]) {
+          errors.push(
+            `${childPath}: unknown key (expected one of ${Object.keys(schema.properties).join(', ')})`
+          );
+        } else {
+          validateNode(child, schema.properties[key], childPath, errors);
+        }
+      }
+      break;
+  }
+}
+
+/**
+ * Validate a raw config object, returning a list of error messages
+ */
+export function validateAutomationConfig(raw) {
+  const errors = [];
+  validateNode(raw, CONFIG_SCHEMA, '', errors);
+
+  // Project overrides follow the same schema (minus nested overrides)
+  for (const [projectType, override] of Object.entries(raw?.overrides || {})) {
+    if (!PROJECT_TYPES.includes(projectType)) {
+      errors.push(`overrides.${projectType}: unknown project type`);
+      continue;
+    }
+    if (override && override.overrides) {
+      errors.push(`overrides.${projectType}.overrides: overrides cannot be nested`);
+    }
+    validateNode(override, CONFIG_SCHEMA, `overrides.${projectType}`, errors);
+  }
+
+  return errors;
+}
+
+/**
+ * Deep merge plain objects (lists and scalars from `source` replace `target`)
+ */
+function deepMerge(target, source) {
+  if (!source || typeof source !== 'object' || Array.isArray(source)) {
+    return source === null || source === undefined ? target : source;
+  }
+
+  const merged = { ...target };
+  for (const [key, value] of Object.entries(source)) {
+    const current = target?.[key];
+    merged[key] =
+      current && typeof current === 'object' && !Array.isArray(current)
+        ? deepMerge(current, value)
+        : (value ?? current);
+  }
+  return merged;
+}
+
+/**
+ * Apply `overrides.<projectType>` on top of the base configuration
+ */
+export function applyProjectOverrides(config, projectType) {
+  const override = config.overrides?.[projectType];
+  return override ? deepMerge(config, override) : config;
+}
+
+let cachedConfig = null;
+
+/**
+ * Load, validate and merge .automation-config.yml
+ * Throws an Error listing every problem when the file is invalid
+ */
+export async function loadAutomationConfig(options = {}) {
+  const configPath = options.path || CONFIG_FILE;
+
+  if (cachedConfig && !options.reload && cachedConfig.path === configPath) {
+    return cachedConfig.config;
+  }
+
+  const content = await file.read(configPath);
+  let raw = {};
+
+  if (content !== null) {
+    const document = parseDocument(content);
+    if (document.errors.length > 0) {
+      const details = document.errors.map(error => `  - ${error.message.split('\n')[0]}`);
+      throw new Error(`Invalid YAML in ${configPath}:\n${details.join('\n')}`);
+    }
+    raw = document.toJS() || {};
+
+    const errors = validateAutomationConfig(raw);
+    if (errors.length > 0) {
+      throw new Error(
+        `Invalid ${configPath} (${errors.length} error${errors.length > 1 ? 's' : ''}):\n${errors
+          .map(error => `  - ${error}`)
+          .join('\n')}`
+      );
+    }
+  }
+
+  const config = deepMerge(DEFAULT_AUTOMATION_CONFIG, raw);
+  cachedConfig = { path: configPath, config };
+  return config;
+}
+
+export default loadAutomationConfig;
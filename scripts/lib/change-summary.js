@@ -0,0 +1,358 @@
+#!/usr/bin/env node
+
+/**
+ * 📝 Change Summary - Symbols and Stats of a Diff
+ * Finds the functions and classes a diff adds, modifies or removes, and
+ * turns them into a commit subject, a per-directory body and issue references
+ */
+
+import path from 'path';
+import { parseDiff } from './commit-splitter.js';
+
+// Conventional subject length for the description part
+const SUBJECT_MAX_LENGTH = 50;
+
+// Names listed per bullet before "and N more"
+const BODY_MAX_NAMES = 5;
+
+const IDENTIFIER = '[A-Za-z_$][\\w$]*';
+
+const JS_PATTERNS = [
+  {
+    kind: 'function',
+    regex: new RegExp(
+      `^\\s*(?:export\\s+)?(?:default\\s+)?(?:async\\s+)?function\\s*\\*?\\s*(${IDENTIFIER})`
+    ),
+  },
+  {
+    kind: 'class',
+    regex: new RegExp(
+      `^\\s*(?:export\\s+)?(?:default\\s+)?(?:abstract\\s+)?class\\s+(${IDENTIFIER})`
+    ),
+  },
+  {
+    kind: 'function',
+    regex: new RegExp(
+      `^\\s*(?:export\\s+)?(?:const|let|var)\\s+(${IDENTIFIER})\\s*=\\s*(?:async\\s+)?(?:function\\b|\\([^)]*\\)\\s*=>|${IDENTIFIER}\\s*=>)`
+    ),
+  },
+  {
+    kind: 'type',
+    regex: new RegExp(
+      `^\\s*(?:export\\s+)?(?:declare\\s+)?(?:interface|type|enum)\\s+(${IDENTIFIER})`
+    ),
+  },
+  {
+    kind: 'method',
+    regex: new RegExp(
+      `^\\s+(?:(?:static|async|get|set|public|private|protected|readonly)\\s+)*\\*?(${IDENTIFIER})\\s*\\([^)]*\\)\\s*(?::[^{]+)?\\{\\s*$`
+    ),
+  },
+];
+
+// Declarations per file extension (the first matching pattern wins)
+const SYMBOL_PATTERNS = {
+  js: JS_PATTERNS,
+  py: [
+    { kind: 'function', regex: /^\s*(?:async\s+)?def\s+(\w+)\s*\(/ },
+    { kind: 'class', regex: /^\s*class\s+(\w+)/ },
+  ],
+  go: [
+    { kind: 'function', regex: /^func\s+(?:\([^)]*\)\s*)?(\w+)\s*[[(]/ },
+    { kind: 'type', regex: /^type\s+(\w+)\s+(?:struct|interface)\b/ },
+  ],
+  rs: [
+    {
+      kind: 'function',
+      regex: /^\s*(?:pub(?:\([^)]*\))?\s+)?(?:async\s+)?(?:unsafe\s+)?fn\s+(\w+)/,
+    },
+    { kind: 'type', regex: /^\s*(?:pub(?:\([^)]*\))?\s+)?(?:struct|enum|trait)\s+(\w+)/ },
+  ],
+  php: [
+    {
+      kind: 'function',
+      regex: /^\s*(?:(?:public|private|protected|static|final|abstract)\s+)*function\s+(\w+)/,
+    },
+    { kind: 'class', regex: /^\s*(?:(?:final|abstract)\s+)?(?:class|interface|trait)\s+(\w+)/ },
+  ],
+  java: [
+    {
+      kind: 'class',
+      regex:
+        /^\s*(?:(?:public|private|protected|static|final|abstract|sealed)\s+)*(?:class|interface|enum|record)\s+(\w+)/,
+    },
+    {
+      kind: 'method',
+      regex:
+        /^\s*(?:(?:public|private|protected|static|final|abstract|async|override|virtual)\s+)+[\w<>[\],.?\s]+?\s+(\w+)\s*\(/,
+    },
+  ],
+  sh: [{ kind: 'function', regex: /^\s*(?:function\s+)?([A-Za-z_][\w-]*)\s*\(\)\s*\{/ }],
+};
+
+const LANGUAGES = {
+  '.js': 'js',
+  '.mjs': 'js',
+  '.cjs': 'js',
+  '.jsx': 'js',
+  '.ts': 'js',
+  '.tsx': 'js',
+  '.py': 'py',
+  '.go': 'go',
+  '.rs': 'rs',
+  '.php': 'php',
+  '.java': 'java',
+  '.cs': 'java',
+  '.sh': 'sh',
+  '.bash': 'sh',
+};
+
+// Control-flow keywords that look like method declarations ("if (x) {")
+const NOT_SYMBOLS = new Set([
+  'if',
+  'for',
+  'while',
+  'switch',
+  'catch',
+  'return',
+  'function',
+  'with',
+]);
+
+// Issue numbers in branch names: feature/123-login, fix/GH-45, 78_cleanup
+const BRANCH_ISSUE = /(?:^|[/_-])(?:gh-|issue-|#)?([1-9]\d*)(?=[/_-]|$)/gi;
+
+// Dates in branch names are not issue numbers (hotfix/2024-05-01)
+const BRANCH_DATE = /\d{4}-\d{2}-\d{2}/g;
+
+/**
+ * Declaration on a line of a file, or null
+ */
+export function findSymbol(filePath, line) {
+  const patterns = SYMBOL_PATTERNS[LANGUAGES[path.posix.extname(filePath).toLowerCase()]];
+  for (const { kind, regex } of patterns || []) {
+    const name = line.match(regex)?.[1];
+    if (name && !NOT_SYMBOLS.has(name)) {
+      return { name, kind };
+    }
+  }
+  return null;
+}
+
+/**
+ * Display name of a symbol: "parse()" for functions, "Parser" for classes and types
+ */
+function displayName(symbol) {
+  return symbol.kind === 'function' || symbol.kind === 'method' ? `${symbol.name}()` : symbol.name;
+}
+
+/**
+ * Symbols declared, removed and touched by the hunks of one file
+ */
+function fileSymbols(entry) {
+  const declaredAdded = new Map();
+  const declaredRemoved = new Map();
+  const touched = new Map();
+
+  for (const hunk of entry.hunks) {
+    // Enclosing declaration: the hunk header context, then the declarations seen in the hunk
+    let current = findSymbol(entry.path, hunk.lines[0].replace(/^@@[^@]*@@\s?/, ''));
+
+    for (const line of hunk.lines.slice(1)) {
+      const marker = line[0];
+      const symbol = findSymbol(entry.path, line.slice(1));
+      if (symbol) {
+        current = symbol;
+        if (marker === '+') {
+          declaredAdded.set(symbol.name, symbol);
+        } else if (marker === '-') {
+          declaredRemoved.set(symbol.name, symbol);
+        }
+      } else if ((marker === '+' || marker === '-') && current && line.slice(1).trim()) {
+        touched.set(current.name, current);
+      }
+    }
+  }
+
+  const added = [...declaredAdded.values()].filter(symbol => !declaredRemoved.has(symbol.name));
+  const removed = [...declaredRemoved.values()].filter(symbol => !declaredAdded.has(symbol.name));
+  const changed = new Set([...added, ...removed].map(symbol => symbol.name));
+  const modified = [
+    ...[...declaredAdded.values()].filter(symbol => declaredRemoved.has(symbol.name)),
+    ...touched.values(),
+  ].filter(
+    (symbol, index, all) =>
+      !changed.has(symbol.name) && all.findIndex(other => other.name === symbol.name) === index
+  );
+
+  return { added, modified, removed };
+}
+
+/**
+ * Status, line counts and symbols of one parsed diff file (or a subset of its hunks)
+ */
+export function summarizeEntry(entry) {
+  const lines = entry.hunks.flatMap(hunk => hunk.lines.slice(1));
+  return {
+    path: entry.path,
+    status: entry.status,
+    binary: entry.binary,
+    additions: lines.filter(line => line.startsWith('+')).length,
+    deletions: lines.filter(line => line.startsWith('-')).length,
+    symbols: fileSymbols(entry),
+  };
+}
+
+/**
+ * Files of a diff with their status, line counts and symbols
+ */
+export function summarizeDiff(diff) {
+  return parseDiff(diff).map(summarizeEntry);
+}
+
+/**
+ * Symbols of several files, each name once
+ */
+function collectSymbols(files) {
+  const unique = symbols =>
+    symbols.filter(
+      (symbol, index) => symbols.findIndex(other => other.name === symbol.name) === index
+    );
+  return {
+    added: unique(files.flatMap(entry => entry.symbols.added)),
+    modified: unique(files.flatMap(entry => entry.symbols.modified)),
+    removed: unique(files.flatMap(entry => entry.symbols.removed)),
+  };
+}
+
+/**
+ * "a(), b() and 3 more" within a length budget
+ */
+function joinNames(names, maxLength = Infinity, maxNames = 3) {
+  for (let count = Math.min(names.length, maxNames); count >= 1; count--) {
+    const shown = names.slice(0, count);
+    const rest = names.length - count;
+    const text =
+      rest > 0
+        ? `${shown.join(', ')} and ${rest} more`
+        : shown.length > 1
+          ? `${shown.slice(0, -1).join(', ')} and ${shown[shown.length - 1]}`
+          : shown[0];
+    if (text.length <= maxLength || count === 1) {
+      return text;
+    }
+  }
+  return '';
+}
+
+const SUBJECT_VERBS = {
+  fix: 'fix',
+  refactor: 'refactor',
+  perf: 'optimize',
+  docs: 'document',
+  style: 'format',
+  test: 'test',
+};
+
+/**
+ * Commit description naming the symbols touched, or null when the diff declares none
+ */
+export function describeSymbols(commitType, files) {
+  const { added, modified, removed } = collectSymbols(files);
+
+  let verb;
+  let symbols;
+  if (commitType === 'feat' && added.length > 0) {
+    [verb, symbols] = ['add', added];
+  } else if (modified.length > 0) {
+    [verb, symbols] = [SUBJECT_VERBS[commitType] || 'update', modified];
+  } else if (added.length > 0) {
+    [verb, symbols] = ['add', added];
+  } else if (removed.length > 0) {
+    [verb, symbols] = ['remove', removed];
+  } else {
+    return null;
+  }
+
+  const names = symbols.map(displayName);
+  return `${verb} ${joinNames(names, SUBJECT_MAX_LENGTH - verb.length - 1)}`;
+}
+
+/**
+ * "3 files changed, 42 insertions(+), 7 deletions(-)", zero counts left out like git --shortstat
+ */
+function formatStats(files) {
+  const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+  const additions = files.reduce((sum, entry) => sum + entry.additions, 0);
+  const deletions = files.reduce((sum, entry) => sum + entry.deletions, 0);
+  return [
+    `${plural(files.length, 'file')} changed`,
+    additions > 0 && `${plural(additions, 'insertion')}(+)`,
+    deletions > 0 && `${plural(deletions, 'deletion')}(-)`,
+  ]
+    .filter(Boolean)
+    .join(', ');
+}
+
+/**
+ * Commit body: one bullet per directory, then the stats
+ */
+export function formatBody(files) {
+  const groups = new Map();
+  for (const entry of files) {
+    const dir = path.posix.dirname(entry.path);
+    if (!groups.has(dir)) {
+      groups.set(dir, []);
+    }
+    groups.get(dir).push(entry);
+  }
+
+  const bullets = [];
+  for (const [dir, entries] of groups) {
+    const { added, modified, removed } = collectSymbols(entries);
+    const parts = [];
+    const list = symbols => joinNames(symbols.map(displayName), Infinity, BODY_MAX_NAMES);
+    if (added.length > 0) {
+      parts.push(`add ${list(added)}`);
+    }
+    if (modified.length > 0) {
+      parts.push(`update ${list(modified)}`);
+    }
+    if (removed.length > 0) {
+      parts.push(`remove ${list(removed)}`);
+    }
+
+    // Files whose changes name no symbol are listed by status
+    const plain = entries.filter(
+      entry =>
+        entry.symbols.added.length +
+          entry.symbols.modified.length +
+          entry.symbols.removed.length ===
+        0
+    );
+    const verbs = { added: 'add', deleted: 'remove', renamed: 'rename' };
+    for (const verb of ['add', 'update', 'remove', 'rename']) {
+      const names = plain
+        .filter(entry => (verbs[entry.status] || 'update') === verb)
+        .map(entry => path.posix.basename(entry.path));
+      if (names.length > 0) {
+        parts.push(`${verb} ${joinNames(names, Infinity, BODY_MAX_NAMES)}`);
+      }
+    }
+
+    bullets.push(`- ${dir === '.' ? '(root)' : dir}: ${parts.join('; ')}`);
+  }
+
+  return `${bullets.join('\n')}\n\n${formatStats(files)}`;
+}
+
+/**
+ * "Refs #123" footer from the issue numbers of a branch name, or null
+ */
+export function branchReferences(branch) {
+  const numbers = [...(branch || '').replace(BRANCH_DATE, '').matchAll(BRANCH_ISSUE)].map(
+    match => `#${match[1]}`
+  );
+  const unique = [...new Set(numbers)];
+  return unique.length > 0 ? `Refs ${unique.join(', ')}` : null;
+}
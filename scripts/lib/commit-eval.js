@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+
+/**
+ * 📏 Commit Eval - Accuracy Benchmark for Smart Commit Detection
+ * Replays past conventional commits through SmartCommitDetector and scores
+ * the predicted type and scope: confusion matrix, precision, calibration
+ */
+
+import utils from './utils.js';
+import SmartCommitDetector from './smart-commit-detector.js';
+import { parseCommitHeader } from './commit-model.js';
+
+const { cmd } = utils;
+
+// Confidence bins of the calibration table
+const CALIBRATION_BINS = 5;
+
+/**
+ * Last conventional commits of the history (merges excluded), newest first
+ */
+export async function listConventionalCommits(count) {
+  const history = await cmd.execFile('git', ['log', '--no-merges', '--format=%H%x1f%s'], {
+    maxBuffer: 64 * 1024 * 1024,
+  });
+  if (!history.success) {
+    throw new Error(`Cannot read the git history: ${history.stderr}`);
+  }
+
+  const commits = [];
+  for (const line of history.stdout.split('\n').filter(Boolean)) {
+    const [hash, subject] = line.split('\x1f');
+    const header = parseCommitHeader(subject || '');
+    if (header) {
+      commits.push({ hash, subject, ...header });
+      if (commits.length >= count) {
+        break;
+      }
+    }
+  }
+  return commits;
+}
+
+/**
+ * Predict each commit from its own diff
+ */
+export async function replayCommits(commits, options = {}) {
+  const predictions = [];
+  for (const commit of commits) {
+    const detector = new SmartCommitDetector({ ...options, revision: commit.hash });
+    try {
+      const result = await detector.analyzeChanges();
+      if (!result) {
+        continue;
+      }
+      predictions.push({
+        hash: commit.hash,
+        subject: commit.subject,
+        actual: { type: commit.type, scope: commit.scope },
+        predicted: { type: result.type, scope: result.scope, confidence: result.confidence },
+      });
+    } catch (error) {
+      predictions.push({
+        hash: commit.hash,
+        subject: commit.subject,
+        actual: { type: commit.type, scope: commit.scope },
+        error: error.message,
+      });
+    }
+  }
+  return predictions;
+}
+
+/**
+ * Ratio rounded for reports, or null when undefined
+ */
+function ratio(count, total) {
+  return total > 0 ? Math.round((count / total) * 1000) / 1000 : null;
+}
+
+/**
+ * Confusion matrix, per-type precision and recall, scope accuracy and calibration
+ */
+export function buildReport(predictions) {
+  const scored = predictions.filter(prediction => !prediction.error);
+  const correct = scored.filter(({ actual, predicted }) => actual.type === predicted.type);
+
+  const labels = [
+    ...new Set(scored.flatMap(({ actual, predicted }) => [actual.type, predicted.type])),
+  ].sort();
+
+  const confusion = Object.fromEntries(
+    labels.map(actual => [actual, Object.fromEntries(labels.map(predicted => [predicted, 0]))])
+  );
+  scored.forEach(({ actual, predicted }) => confusion[actual.type][predicted.type]++);
+
+  const perType = Object.fromEntries(
+    labels.map(type => {
+      const predictedCount = labels.reduce((sum, actual) => sum + confusion[actual][type], 0);
+      const actualCount = labels.reduce((sum, predicted) => sum + confusion[type][predicted], 0);
+      const hits = confusion[type][type];
+      return [
+        type,
+        {
+          actual: actualCount,
+          predicted: predictedCount,
+          correct: hits,
+          precision: ratio(hits, predictedCount),
+          recall: ratio(hits, actualCount),
+        },
+      ];
+    })
+  );
+
+  // Scope: exact match, a missing scope on both sides counts as a match
+  const scopeCorrect = scored.filter(
+    ({ actual, predicted }) => (actual.scope || null) === (predicted.scope || null)
+  );
+
+  // Calibration: observed accuracy against mean confidence per confidence bin
+  const calibration = Array.from({ length: CALIBRATION_BINS }, (_, index) => {
+    const low = index / CALIBRATION_BINS;
+    const high = (index + 1) / CALIBRATION_BINS;
+    const inBin = scored.filter(({ predicted }) => {
+      const confidence = Math.min(predicted.confidence, 1);
+      return confidence >= low && (confidence < high || index === CALIBRATION_BINS - 1);
+    });
+    const meanConfidence =
+      inBin.reduce((sum, { predicted }) => sum + Math.min(predicted.confidence, 1), 0) /
+      (inBin.length || 1);
+    const hits = inBin.filter(({ actual, predicted }) => actual.type === predicted.type).length;
+    return {
+      range: [low, high],
+      count: inBin.length,
+      meanConfidence: inBin.length > 0 ? ratio(meanConfidence, 1) : null,
+      accuracy: ratio(hits, inBin.length),
+    };
+  });
+
+  // Expected calibration error: confidence gap weighted by bin size
+  const calibrationError = ratio(
+    calibration
+      .filter(bin => bin.count > 0)
+      .reduce((sum, bin) => sum + bin.count * Math.abs(bin.accuracy - bin.meanConfidence), 0),
+    scored.length
+  );
+
+  return {
+    commits: predictions.length,
+    scored: scored.length,
+    errors: predictions.length - scored.length,
+    typeAccuracy: ratio(correct.length, scored.length),
+    scopeAccuracy: ratio(scopeCorrect.length, scored.length),
+    labels,
+    confusion,
+    perType,
+    calibration,
+    calibrationError,
+    predictions,
+  };
+}
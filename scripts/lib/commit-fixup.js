@@ -0,0 +1,234 @@
+#!/usr/bin/env node
+
+/**
+ * 🩹 Commit Fixup - Staged Hunks to Earlier Commits
+ * Blames the lines touched by the staged hunks to find which commits of the
+ * branch (since the merge-base) they belong to, as fixup!/amend! targets
+ */
+
+import utils from './utils.js';
+import { parseDiff } from './commit-splitter.js';
+
+const { cmd } = utils;
+
+// Subjects git folds into an earlier commit on `rebase --autosquash`
+export const AUTOSQUASH_PREFIX = /^(fixup|amend|squash)! /;
+
+/**
+ * Lines of the committed file a hunk touches: removed lines, or the lines
+ * around a pure insertion
+ */
+export function touchedLines(hunk) {
+  const header = hunk.lines[0].match(/^@@ -(\d+)(?:,\d+)? /);
+  let oldLine = header ? parseInt(header[1], 10) : 1;
+  const touched = new Set();
+  let previous = null;
+  let pendingInsert = false;
+  // Added lines replacing removed ones are already covered by the removed lines
+  let replacing = false;
+
+  for (const line of hunk.lines.slice(1)) {
+    if (line.startsWith('-')) {
+      touched.add(oldLine);
+      previous = oldLine;
+      oldLine++;
+      replacing = true;
+    } else if (line.startsWith('+')) {
+      pendingInsert ||= !replacing;
+    } else if (!line.startsWith('\\')) {
+      replacing = false;
+      if (pendingInsert) {
+        touched.add(oldLine);
+        if (previous) {
+          touched.add(previous);
+        }
+        pendingInsert = false;
+      }
+      previous = oldLine;
+      oldLine++;
+    }
+  }
+  // Insertion at the end of the hunk: only the line before exists
+  if (pendingInsert && previous) {
+    touched.add(previous);
+  }
+
+  return [...touched].sort((a, b) => a - b);
+}
+
+/**
+ * Consecutive line numbers as "-L start,end" ranges
+ */
+function lineRanges(lines) {
+  const ranges = [];
+  for (const line of lines) {
+    const last = ranges[ranges.length - 1];
+    if (last && line === last[1] + 1) {
+      last[1] = line;
+    } else {
+      ranges.push([line, line]);
+    }
+  }
+  return ranges;
+}
+
+/**
+ * Path of the file before the staged change (renames keep blaming the old path)
+ */
+function previousPath(entry) {
+  const source = entry.header.find(line => /^(--- a\/|rename from )/.test(line));
+  return source ? source.replace(/^(--- a\/|rename from )/, '') : entry.path;
+}
+
+/**
+ * Commits that last touched the given lines, within `base..HEAD`
+ * Boundary lines (older than the merge-base) are left out
+ */
+async function blameLines(base, filePath, lines) {
+  const ranges = lineRanges(lines).flatMap(([start, end]) => ['-L', `${start},${end}`]);
+  const result = await cmd.execFile(
+    'git',
+    ['blame', '--porcelain', ...ranges, `${base}..HEAD`, '--', filePath],
+    { maxBuffer: 16 * 1024 * 1024 }
+  );
+  if (!result.success) {
+    return new Map();
+  }
+
+  const counts = new Map();
+  const boundaries = new Set();
+  let current = null;
+  for (const line of result.stdout.split('\n')) {
+    const header = line.match(/^([0-9a-f]{40}) \d+ \d+/);
+    if (header) {
+      current = header[1];
+    } else if (line === 'boundary') {
+      boundaries.add(current);
+    } else if (line.startsWith('\t') && current) {
+      counts.set(current, (counts.get(current) || 0) + 1);
+    }
+  }
+
+  for (const hash of boundaries) {
+    counts.delete(hash);
+  }
+  return counts;
+}
+
+/**
+ * Branch commits since `base`, newest first
+ */
+async function readBranchCommits(base) {
+  const result = await cmd.execFile('git', ['log', '--format=%H%x1f%s', `${base}..HEAD`]);
+  if (!result.success) {
+    throw new Error(`Cannot read the branch history: ${result.stderr}`);
+  }
+  return result.stdout
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => {
+      const [hash, subject] = line.split('\x1f');
+      return { hash, subject };
+    });
+}
+
+/**
+ * Commit a fixup!/amend! commit ultimately points to (the newest matching subject)
+ */
+function resolveTarget(commit, commits) {
+  let target = commit;
+  const seen = new Set();
+  while (AUTOSQUASH_PREFIX.test(target.subject) && !seen.has(target.hash)) {
+    seen.add(target.hash);
+    const subject = target.subject.replace(AUTOSQUASH_PREFIX, '');
+    const original = commits.find(
+      candidate => candidate.subject === subject || candidate.hash.startsWith(subject)
+    );
+    if (!original) {
+      break;
+    }
+    target = original;
+  }
+  return target;
+}
+
+/**
+ * Rank the branch commits that last touched the staged hunks
+ * Returns { hunks, unmatched, targets: [{ hash, subject, hunks, lines, files }] }
+ */
+export async function findFixupTargets(base) {
+  const diff = await cmd.execFile(
+    'git',
+    [
+      '-c',
+      'core.quotePath=false',
+      'diff',
+      '--cached',
+      '--no-color',
+      '--no-ext-diff',
+      '--src-prefix=a/',
+      '--dst-prefix=b/',
+    ],
+    { maxBuffer: 64 * 1024 * 1024 }
+  );
+  if (!diff.success) {
+    throw new Error(`Cannot read staged changes: ${diff.stderr}`);
+  }
+
+  const commits = await readBranchCommits(base);
+  const order = new Map(commits.map((commit, index) => [commit.hash, index]));
+  const targets = new Map();
+  let hunks = 0;
+  let unmatched = 0;
+
+  for (const entry of parseDiff(diff.stdout)) {
+    // New files have no history to fix up
+    if (entry.status === 'added' || entry.binary) {
+      unmatched += Math.max(entry.hunks.length, 1);
+      hunks += Math.max(entry.hunks.length, 1);
+      continue;
+    }
+
+    const filePath = previousPath(entry);
+    for (const hunk of entry.hunks) {
+      hunks++;
+      const counts = await blameLines(base, filePath, touchedLines(hunk));
+      const hunkTargets = new Set();
+      for (const [hash, lines] of counts) {
+        const commit = commits.find(candidate => candidate.hash === hash);
+        if (!commit) {
+          continue;
+        }
+        const target = resolveTarget(commit, commits);
+        if (!targets.has(target.hash)) {
+          targets.set(target.hash, { ...target, hunks: 0, lines: 0, files: new Set() });
+        }
+        const summary = targets.get(target.hash);
+        summary.lines += lines;
+        summary.files.add(entry.path);
+        hunkTargets.add(summary);
+      }
+      if (hunkTargets.size === 0) {
+        unmatched++;
+      }
+      hunkTargets.forEach(summary => summary.hunks++);
+    }
+  }
+
+  // Most hunks first, then the most recent commit
+  const ranked = [...targets.values()]
+    .map(target => ({ ...target, files: [...target.files] }))
+    .sort(
+      (a, b) => b.hunks - a.hunks || b.lines - a.lines || order.get(a.hash) - order.get(b.hash)
+    );
+
+  return { hunks, unmatched, targets: ranked };
+}
+
+/**
+ * fixup!/amend!/squash! commits waiting to be folded, newest first
+ */
+export async function listAutosquashCommits(base) {
+  const commits = await readBranchCommits(base);
+  return commits.filter(commit => AUTOSQUASH_PREFIX.test(commit.subject));
+}
@@ -0,0 +1,593 @@
+#!/usr/bin/env node
+
+/**
+ * 📝 Commit Lint - commitlint Rules over a Range of Commits
+ * Loads commitlint.config.js (or .commitlintrc) and checks every commit message
+ * of a range with the same rules, without installing @commitlint/cli
+ */
+
+import path from 'path';
+import vm from 'vm';
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
+import { types } from 'util';
+import { parse as parseYaml } from 'yaml';
+import utils from './utils.js';
+import { parseHeader } from './commit-style.js';
+
+const { file, cmd } = utils;
+
+export const COMMITLINT_FILES = [
+  'commitlint.config.js',
+  'commitlint.config.cjs',
+  'commitlint.config.mjs',
+  '.commitlintrc.json',
+  '.commitlintrc.yml',
+  '.commitlintrc.yaml',
+  '.commitlintrc',
+];
+
+// Rules of @commitlint/config-conventional, the usual `extends` of commitlint configs
+const CONVENTIONAL_RULES = {
+  'body-leading-blank': [1, 'always'],
+  'body-max-line-length': [2, 'always', 100],
+  'footer-leading-blank': [1, 'always'],
+  'footer-max-line-length': [2, 'always', 100],
+  'header-max-length': [2, 'always', 100],
+  'subject-case': [2, 'never', ['sentence-case', 'start-case', 'pascal-case', 'upper-case']],
+  'subject-empty': [2, 'never'],
+  'subject-full-stop': [2, 'never', '.'],
+  'type-case': [2, 'always', 'lower-case'],
+  'type-empty': [2, 'never'],
+  'type-enum': [
+    2,
+    'always',
+    ['build', 'chore', 'ci', 'docs', 'feat', 'fix', 'perf', 'refactor', 'revert', 'style', 'test'],
+  ],
+};
+
+const PRESETS = {
+  '@commitlint/config-conventional': CONVENTIONAL_RULES,
+};
+
+// Messages commitlint skips by default, skipped here only with `defaultIgnores: true`
+const DEFAULT_IGNORES = [
+  /^((Merge pull request)|(Merge (.*?) into (.*?)|(Merge branch (.*?)))(?:\r?\n)*$)/m,
+  /^(Merge tag (.*?))(?:\r?\n)*$/m,
+  /^Merge remote-tracking branch (.*)/m,
+  /^Merged (.*?)(in|into) (.*)/m,
+  /^(R|r)evert (.*)/,
+  /^(fixup|squash|amend)!/,
+  /^Automatic merge(.*)/m,
+  /^Auto-merged (.*?) into (.*)/m,
+];
+
+const HEADER = /^(\w*)(?:\(([^)]*)\))?(!)?: (.*)$/;
+
+// Autosquash prefixes (possibly stacked) and the subject `git revert` generates
+const AUTOSQUASH_PREFIX = /^((?:fixup|squash|amend)! )+/;
+const GIT_REVERT = /^Revert "(.*)"$/;
+
+// Merge messages git, GitHub and GitLab generate
+const GENERATED_MERGE =
+  /^(Merge (branch|remote-tracking branch|tag|pull request|commit) |Merge .+ into )/;
+
+// "Token: value", "Token #value" and "BREAKING CHANGE: ..." footer lines
+const FOOTER_TOKEN = /^([A-Za-z][\w-]*(: | #)|BREAKING[ -]CHANGE: )/;
+
+const CASES = {
+  'lower-case': value => value === value.toLowerCase(),
+  'upper-case': value => value === value.toUpperCase(),
+  'camel-case': value => /^[a-z][a-zA-Z0-9]*$/.test(value),
+  'kebab-case': value => /^[a-z0-9]+(-[a-z0-9]+)*$/.test(value),
+  'snake-case': value => /^[a-z0-9]+(_[a-z0-9]+)*$/.test(value),
+  'pascal-case': value => /^[A-Z][a-zA-Z0-9]*$/.test(value),
+  'sentence-case': value => {
+    const letter = value.match(/\p{L}/u)?.[0];
+    return letter === letter.toUpperCase();
+  },
+  'start-case': value =>
+    value
+      .split(/\s+/)
+      .filter(word => /\p{L}/u.test(word))
+      .every(word => {
+        const letter = word.match(/\p{L}/u)[0];
+        return letter === letter.toUpperCase();
+      }),
+};
+
+/**
+ * Whether a value is written in a commitlint case (quoted code and values without letters always match)
+ */
+function hasCase(value, name) {
+  const text = value.replace(/`.*?`|".*?"|'.*?'/g, '').trim();
+  if (!/\p{L}/u.test(text)) {
+    return true;
+  }
+  const check = CASES[name] || CASES[name.replace(/case$/, '-case')];
+  if (!check) {
+    throw new Error(`Unknown case "${name}"`);
+  }
+  return check(text);
+}
+
+/**
+ * Evaluate a CommonJS config file, or import it when it is an ES module
+ */
+async function loadScriptConfig(configPath) {
+  const absolute = path.resolve(configPath);
+  if (!configPath.endsWith('.mjs')) {
+    const module = { exports: {} };
+    try {
+      vm.runInNewContext(
+        await file.read(configPath),
+        {
+          module,
+          exports: module.exports,
+          require: createRequire(absolute),
+          __filename: absolute,
+          __dirname: path.dirname(absolute),
+          process,
+          console,
+        },
+        { filename: absolute }
+      );
+      return module.exports;
+    } catch (error) {
+      // `export default` is a syntax error for a CommonJS wrapper
+      // (errors thrown inside the vm context are not instances of this realm's SyntaxError)
+      if (error.name !== 'SyntaxError') {
+        throw error;
+      }
+    }
+  }
+  const imported = await import(pathToFileURL(absolute).href);
+  return imported.default ?? imported;
+}
+
+/**
+ * `ignores` entries as message predicates: functions as in commitlint, plus regular
+ * expressions and pattern strings, which .commitlintrc.json/.yml can only hold
+ */
+function compileIgnores(ignores) {
+  if (!Array.isArray(ignores)) {
+    throw new Error('ignores: expected a list');
+  }
+  return ignores.map((ignore, index) => {
+    if (typeof ignore === 'function') {
+      return ignore;
+    }
+    // Configs evaluated in a vm context hold that context's RegExp, so no instanceof
+    if (types.isRegExp(ignore) || typeof ignore === 'string') {
+      let pattern;
+      try {
+        pattern = new RegExp(ignore);
+      } catch (error) {
+        throw new Error(`ignores[${index}]: ${error.message}`);
+      }
+      return message => pattern.test(message);
+    }
+    throw new Error(
+      `ignores[${index}]: expected a function, a regular expression or a pattern string`
+    );
+  });
+}
+
+/**
+ * Load the commitlint configuration with its presets resolved
+ */
+export async function loadCommitlintConfig(configPath = null) {
+  const found = configPath || COMMITLINT_FILES.find(candidate => file.exists(candidate));
+  const warnings = [];
+  let raw = { extends: ['@commitlint/config-conventional'] };
+
+  if (found) {
+    if (!file.exists(found)) {
+      throw new Error(`Commitlint config not found: ${found}`);
+    }
+    raw = /\.(c|m)?js$/.test(found)
+      ? await loadScriptConfig(found)
+      : parseYaml((await file.read(found)) || '') || {};
+  }
+
+  let rules = {};
+  for (const preset of [raw.extends || []].flat()) {
+    if (PRESETS[preset]) {
+      rules = { ...rules, ...PRESETS[preset] };
+    } else {
+      warnings.push(`extends "${preset}" is not supported, its rules are not applied`);
+    }
+  }
+
+  for (const [name, setting] of Object.entries(raw.rules || {})) {
+    rules[name] = typeof setting === 'function' ? await setting() : setting;
+  }
+  for (const name of Object.keys(rules)) {
+    if (!RULES[name]) {
+      warnings.push(`rule "${name}" is not supported`);
+      delete rules[name];
+    }
+  }
+
+  return {
+    path: found || null,
+    rules,
+    ignores: compileIgnores(raw.ignores || []),
+    defaultIgnores: raw.defaultIgnores === true,
+    warnings,
+  };
+}
+
+/**
+ * Type, scope, breaking flag and subject of a header in a commit style (commits.style)
+ * Plain conventional headers are read like conventional-commits-parser, the other styles
+ * by commit-style, so a gitmoji subject is the text after its emoji
+ */
+function parseStyledHeader(header, style) {
+  if (style === 'conventional') {
+    const match = header.match(HEADER);
+    return match
+      ? { type: match[1], scope: match[2] || null, breaking: Boolean(match[3]), subject: match[4] }
+      : null;
+  }
+
+  const parsed = parseHeader(header);
+  return parsed?.type
+    ? {
+        type: parsed.type,
+        scope: parsed.scope,
+        breaking: parsed.breaking,
+        subject: parsed.description,
+      }
+    : null;
+}
+
+/**
+ * Types a config's type-enum rule allows, or null when it does not restrict them
+ */
+export function allowedTypes(config) {
+  const [level, when = 'always', value] = config.rules['type-enum'] || [];
+  return level && when === 'always' && Array.isArray(value) ? value : null;
+}
+
+/**
+ * Header, body and footer of a commit message, like conventional-commits-parser
+ */
+export function parseCommitMessage(message, style = 'conventional') {
+  const lines = message.replace(/\r\n/g, '\n').trimEnd().split('\n');
+  const header = lines[0];
+  const parsed = parseStyledHeader(header, style);
+
+  // The footer starts at the first token line followed only by tokens and continuations
+  let footerStart = lines.length;
+  for (let index = lines.length - 1; index >= 1; index--) {
+    if (FOOTER_TOKEN.test(lines[index])) {
+      footerStart = index;
+    } else if (lines[index].trim() && !/^\s/.test(lines[index])) {
+      break;
+    }
+  }
+
+  const text = part => part.join('\n').trim() || null;
+  return {
+    raw: message,
+    header,
+    type: parsed?.type || null,
+    scope: parsed?.scope || null,
+    breaking: Boolean(parsed?.breaking),
+    subject: parsed?.subject || null,
+    body: text(lines.slice(1, footerStart)),
+    footer: text(lines.slice(footerStart)),
+    lines,
+    footerStart,
+  };
+}
+
+const list = values => `[${values.join(', ')}]`;
+const maxLength = (value, length) => !value || value.length <= length;
+const minLength = (value, length) => !value || value.length >= length;
+const maxLineLength = (value, length) =>
+  !value || value.split('\n').every(line => line.length <= length);
+const scopes = scope => (scope ? scope.split(/[/\\,]\s*/) : []);
+const casesOf = value => (Array.isArray(value) ? value : value?.cases || [value]);
+
+/**
+ * Rule checks: (parsed, when, value) → [valid, message]
+ */
+const RULES = {
+  'type-enum': (commit, when, value) => [
+    !commit.type || value.includes(commit.type) === (when !== 'never'),
+    `type must ${when === 'never' ? 'not ' : ''}be one of ${list(value)}`,
+  ],
+  'type-case': (commit, when, value) => [
+    !commit.type || casesOf(value).some(name => hasCase(commit.type, name)) === (when !== 'never'),
+    `type must ${when === 'never' ? 'not ' : ''}be ${casesOf(value).join(', ')}`,
+  ],
+  'type-empty': (commit, when) => [
+    Boolean(commit.type) === (when === 'never'),
+    when === 'never' ? 'type may not be empty' : 'type must be empty',
+  ],
+  'type-max-length': (commit, _when, value) => [
+    maxLength(commit.type, value),
+    `type must not be longer than ${value} characters`,
+  ],
+  'type-min-length': (commit, _when, value) => [
+    minLength(commit.type, value),
+    `type must not be shorter than ${value} characters`,
+  ],
+  'scope-enum': (commit, when, value) => [
+    scopes(commit.scope).every(scope => value.includes(scope) === (when !== 'never')),
+    `scope must ${when === 'never' ? 'not ' : ''}be one of ${list(value)}`,
+  ],
+  'scope-case': (commit, when, value) => [
+    scopes(commit.scope).every(
+      scope => casesOf(value).some(name => hasCase(scope, name)) === (when !== 'never')
+    ),
+    `scope must ${when === 'never' ? 'not ' : ''}be ${casesOf(value).join(', ')}`,
+  ],
+  'scope-empty': (commit, when) => [
+    Boolean(commit.scope) === (when === 'never'),
+    when === 'never' ? 'scope may not be empty' : 'scope must be empty',
+  ],
+  'scope-max-length': (commit, _when, value) => [
+    maxLength(commit.scope, value),
+    `scope must not be longer than ${value} characters`,
+  ],
+  'scope-min-length': (commit, _when, value) => [
+    minLength(commit.scope, value),
+    `scope must not be shorter than ${value} characters`,
+  ],
+  'subject-case': (commit, when, value) => [
+    !commit.subject ||
+      casesOf(value).some(name => hasCase(commit.subject, name)) === (when !== 'never'),
+    `subject must ${when === 'never' ? 'not ' : ''}be ${casesOf(value).join(', ')}`,
+  ],
+  'subject-empty': (commit, when) => [
+    Boolean(commit.subject) === (when === 'never'),
+    when === 'never' ? 'subject may not be empty' : 'subject must be empty',
+  ],
+  'subject-full-stop': (commit, when, value = '.') => [
+    !commit.subject || commit.subject.endsWith(value) === (when !== 'never'),
+    `subject ${when === 'never' ? 'may not' : 'must'} end with full stop`,
+  ],
+  'subject-max-length': (commit, _when, value) => [
+    maxLength(commit.subject, value),
+    `subject must not be longer than ${value} characters`,
+  ],
+  'subject-min-length': (commit, _when, value) => [
+    minLength(commit.subject, value),
+    `subject must not be shorter than ${value} characters`,
+  ],
+  'subject-exclamation-mark': (commit, when) => [
+    commit.breaking === (when !== 'never'),
+    `subject ${when === 'never' ? 'must not' : 'must'} have an exclamation mark in the header`,
+  ],
+  'header-max-length': (commit, _when, value) => [
+    maxLength(commit.header, value),
+    `header must not be longer than ${value} characters, current length is ${commit.header.length}`,
+  ],
+  'header-min-length': (commit, _when, value) => [
+    minLength(commit.header, value),
+    `header must not be shorter than ${value} characters, current length is ${commit.header.length}`,
+  ],
+  'header-case': (commit, when, value) => [
+    casesOf(value).some(name => hasCase(commit.header, name)) === (when !== 'never'),
+    `header must ${when === 'never' ? 'not ' : ''}be ${casesOf(value).join(', ')}`,
+  ],
+  'header-full-stop': (commit, when, value = '.') => [
+    commit.header.endsWith(value) === (when !== 'never'),
+    `header ${when === 'never' ? 'may not' : 'must'} end with full stop`,
+  ],
+  'header-trim': commit => [
+    commit.header === commit.header.trim(),
+    'header must not be surrounded by whitespace',
+  ],
+  'body-leading-blank': (commit, when) => [
+    !commit.body || (commit.lines[1] === '') === (when !== 'never'),
+    `body ${when === 'never' ? 'may not' : 'must'} have leading blank line`,
+  ],
+  'body-empty': (commit, when) => [
+    Boolean(commit.body) === (when === 'never'),
+    when === 'never' ? 'body may not be empty' : 'body must be empty',
+  ],
+  'body-max-length': (commit, _when, value) => [
+    maxLength(commit.body, value),
+    `body must not be longer than ${value} characters`,
+  ],
+  'body-max-line-length': (commit, _when, value) => [
+    maxLineLength(commit.body, value),
+    `body's lines must not be longer than ${value} characters`,
+  ],
+  'body-min-length': (commit, _when, value) => [
+    minLength(commit.body, value),
+    `body must not be shorter than ${value} characters`,
+  ],
+  'footer-leading-blank': (commit, when) => [
+    !commit.footer || (commit.lines[commit.footerStart - 1] === '') === (when !== 'never'),
+    `footer ${when === 'never' ? 'may not' : 'must'} have leading blank line`,
+  ],
+  'footer-empty': (commit, when) => [
+    Boolean(commit.footer) === (when === 'never'),
+    when === 'never' ? 'footer may not be empty' : 'footer must be empty',
+  ],
+  'footer-max-length': (commit, _when, value) => [
+    maxLength(commit.footer, value),
+    `footer must not be longer than ${value} characters`,
+  ],
+  'footer-max-line-length': (commit, _when, value) => [
+    maxLineLength(commit.footer, value),
+    `footer's lines must not be longer than ${value} characters`,
+  ],
+  'footer-min-length': (commit, _when, value) => [
+    minLength(commit.footer, value),
+    `footer must not be shorter than ${value} characters`,
+  ],
+  'trailer-exists': (commit, when, value) => [
+    (commit.footer || '').split('\n').some(line => line.startsWith(value)) === (when !== 'never'),
+    `message ${when === 'never' ? 'must not' : 'must'} have \`${value}\` trailer`,
+  ],
+  'signed-off-by': (commit, when, value = 'Signed-off-by:') => [
+    (commit.footer || '').split('\n').some(line => line.startsWith(value)) === (when !== 'never'),
+    `message ${when === 'never' ? 'must not' : 'must'} be signed off`,
+  ],
+};
+
+/**
+ * Whether commitlint would skip a message (config `ignores` and default ignores)
+ */
+export function isIgnored(message, config) {
+  return (
+    config.ignores.some(ignore => ignore(message)) ||
+    (config.defaultIgnores && DEFAULT_IGNORES.some(pattern => pattern.test(message)))
+  );
+}
+
+/**
+ * Violations of one commit message: [{ severity, code, message }]
+ */
+export function lintMessage(message, config, style = 'conventional') {
+  const commit = parseCommitMessage(message, style);
+  const issues = [];
+  for (const [name, setting] of Object.entries(config.rules)) {
+    const [level, when = 'always', value] = setting || [];
+    if (!level) {
+      continue;
+    }
+    const [valid, text] = RULES[name](commit, when, value);
+    if (!valid) {
+      issues.push({ severity: level === 2 ? 'error' : 'warning', code: name, message: text });
+    }
+  }
+  return issues;
+}
+
+/**
+ * Message a commit is linted with: fixup!/squash! commits and `git revert` subjects stand for
+ * the commit they target, amend! commits for the message they replace it with
+ * Returns { kind, message } (kind: commit, fixup, amend, revert or merge)
+ */
+export function lintTarget(message, { merge = false } = {}) {
+  const [header, ...rest] = message.split('\n');
+
+  if (merge && GENERATED_MERGE.test(header)) {
+    return { kind: 'merge', message: null };
+  }
+
+  const prefix = header.match(AUTOSQUASH_PREFIX);
+  if (prefix) {
+    if (prefix[0].trim().endsWith('amend!')) {
+      // amend! <target subject>, a blank line, then the new message
+      return { kind: 'amend', message: rest.join('\n').trim() || header };
+    }
+    return { kind: 'fixup', message: [header.slice(prefix[0].length), ...rest].join('\n') };
+  }
+
+  const revert = header.match(GIT_REVERT);
+  if (revert) {
+    return { kind: 'revert', message: revert[1] };
+  }
+
+  return { kind: 'commit', message };
+}
+
+/**
+ * Commits of a range, oldest first: from..to, or only `to` without `from`
+ */
+export async function readCommitRange(from, to = 'HEAD') {
+  for (const ref of [from, to].filter(Boolean)) {
+    const exists = /^[\w./@{}~^-]+$/.test(ref)
+      ? await cmd.execFile('git', ['rev-parse', '--verify', '--quiet', `${ref}^{commit}`])
+      : { success: false };
+    if (!exists.success) {
+      throw new Error(`Unknown git ref: ${ref}`);
+    }
+  }
+
+  const range = from ? [`${from}..${to}`] : ['-1', to];
+  const history = await cmd.execFile(
+    'git',
+    ['log', '--reverse', '--format=%H%x1f%P%x1f%B%x1e', ...range],
+    {
+      maxBuffer: 64 * 1024 * 1024,
+    }
+  );
+  if (!history.success) {
+    throw new Error(`Cannot read the git history: ${history.stderr}`);
+  }
+
+  return history.stdout
+    .split('\x1e')
+    .filter(record => record.trim())
+    .map(record => {
+      const [hash, parents, message] = record.replace(/^\n/, '').split('\x1f');
+      return { hash, merge: parents.split(' ').length > 1, message: message.trim() };
+    });
+}
+
+/**
+ * Lint every commit of a range, reading headers in `options.style` (commits.style)
+ */
+export async function lintCommitRange(options = {}) {
+  const style = options.style || 'conventional';
+  const config = await loadCommitlintConfig(options.config);
+  // Without a commitlint config, commits.valid_types is the type list, as at commit time
+  if (!config.path && options.types) {
+    config.rules['type-enum'] = [2, 'always', options.types];
+  }
+  const commits = await readCommitRange(options.from, options.to);
+
+  const results = commits.map(({ hash, merge, message }) => {
+    const subject = message.split('\n')[0];
+    if (isIgnored(message, config)) {
+      return { hash, subject, kind: 'ignored', ignored: true, issues: [] };
+    }
+
+    const target = lintTarget(message, { merge });
+    const issues = target.message
+      ? lintMessage(target.message, config, style)
+      : [
+          {
+            severity: 'warning',
+            code: 'merge-commit',
+            message: 'generated merge message, not linted (its commits are linted themselves)',
+          },
+        ];
+    return { hash, subject, kind: target.kind, ignored: false, issues };
+  });
+  const issues = results.flatMap(result =>
+    result.issues.map(issue => ({ hash: result.hash, subject: result.subject, ...issue }))
+  );
+
+  return {
+    config: config.path,
+    configWarnings: config.warnings,
+    style,
+    from: options.from || null,
+    to: options.to || 'HEAD',
+    commits: results.length,
+    ignored: results.filter(result => result.ignored).length,
+    errors: issues.filter(issue => issue.severity === 'error').length,
+    warnings: issues.filter(issue => issue.severity === 'warning').length,
+    results,
+    issues,
+  };
+}
+
+/**
+ * GitHub Actions workflow commands, one annotation per violation
+ */
+export function formatGithubAnnotations(report) {
+  const data = text => text.replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+  const property = text => data(text).replace(/:/g, '%3A').replace(/,/g, '%2C');
+
+  return [
+    ...report.configWarnings.map(
+      warning => `::warning title=${property('commit lint')}::${data(warning)}`
+    ),
+    ...report.issues.map(
+      issue =>
+        `::${issue.severity} title=${property(`commit ${issue.hash.slice(0, 7)} [${issue.code}]`)}::` +
+        data(`${issue.message} ("${issue.subject}")`)
+    ),
+  ].join('\n');
+}
@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+
+/**
+ * 🎓 Commit Model - Commit Types Learned from the Repository History
+ * Naive Bayes classifier over file paths, extensions and diff tokens,
+ * trained on the conventional commits of `git log` and stored locally
+ */
+
+import path from 'path';
+import utils from './utils.js';
+import { parseHeader } from './commit-style.js';
+
+const { file, cmd } = utils;
+
+export const MODEL_FILE = '.automation/commit-model.json';
+
+const MODEL_VERSION = 1;
+
+const DIFF_TOKEN = /[a-z_][a-z0-9_]{2,}/g;
+
+// Distinct diff tokens kept per commit, so large diffs do not drown the paths
+const MAX_DIFF_TOKENS = 200;
+
+// Features seen in fewer commits are dropped from the saved model
+const MIN_FEATURE_COUNT = 2;
+
+/**
+ * Features of a change: directories, extensions, file names and diff tokens
+ */
+export function extractFeatures(files, diff = '') {
+  const features = new Set();
+
+  for (const filePath of files) {
+    const dirs = path.posix
+      .dirname(filePath)
+      .split('/')
+      .filter(dir => dir !== '.');
+    dirs.forEach((_, depth) => features.add(`dir:${dirs.slice(0, depth + 1).join('/')}`));
+    features.add(`ext:${path.posix.extname(filePath).toLowerCase() || 'none'}`);
+    features.add(`name:${path.posix.basename(filePath).toLowerCase()}`);
+  }
+
+  const changed = diff
+    .split('\n')
+    .filter(line => /^[+-]/.test(line) && !/^(\+\+\+|---) /.test(line))
+    .join('\n')
+    .toLowerCase();
+  const tokens = new Set();
+  for (const token of changed.match(DIFF_TOKEN) || []) {
+    if (tokens.size >= MAX_DIFF_TOKENS) {
+      break;
+    }
+    tokens.add(token);
+  }
+  tokens.forEach(token => features.add(`tok:${token}`));
+
+  return [...features];
+}
+
+/**
+ * Type and scope of a commit subject (conventional, gitmoji or both), or null
+ */
+export function parseCommitHeader(subject) {
+  const header = parseHeader(subject);
+  return header?.type ? { type: header.type, scope: header.scope } : null;
+}
+
+/**
+ * Train a model from labelled samples ({ type, features })
+ */
+export function trainModel(samples, types) {
+  const counts = {};
+  for (const sample of samples) {
+    for (const feature of sample.features) {
+      counts[feature] ??= {};
+      counts[feature][sample.type] = (counts[feature][sample.type] || 0) + 1;
+    }
+  }
+
+  for (const [feature, perType] of Object.entries(counts)) {
+    const total = Object.values(perType).reduce((sum, count) => sum + count, 0);
+    if (total < MIN_FEATURE_COUNT) {
+      delete counts[feature];
+    }
+  }
+
+  const typeStats = Object.fromEntries(types.map(type => [type, { commits: 0, features: 0 }]));
+  samples.forEach(sample => typeStats[sample.type].commits++);
+  for (const perType of Object.values(counts)) {
+    for (const [type, count] of Object.entries(perType)) {
+      typeStats[type].features += count;
+    }
+  }
+
+  return {
+    version: MODEL_VERSION,
+    trainedAt: new Date().toISOString(),
+    commits: samples.length,
+    vocabulary: Object.keys(counts).length,
+    types: typeStats,
+    counts,
+  };
+}
+
+/**
+ * Probability of each type for a change, with Laplace smoothing
+ */
+export function classify(model, features) {
+  // Types never seen in training would win on smoothing alone
+  const types = Object.keys(model.types).filter(type => model.types[type].commits > 0);
+  const known = features.filter(feature => model.counts[feature]);
+
+  const logScores = types.map(type => {
+    const stats = model.types[type];
+    let score = Math.log((stats.commits + 1) / (model.commits + types.length));
+    for (const feature of known) {
+      const count = model.counts[feature][type] || 0;
+      score += Math.log((count + 1) / (stats.features + model.vocabulary));
+    }
+    return score;
+  });
+
+  // Softmax, shifted by the maximum to stay within floating point range
+  const max = Math.max(...logScores);
+  const weights = logScores.map(score => Math.exp(score - max));
+  const sum = weights.reduce((total, weight) => total + weight, 0);
+  const probabilities = Object.fromEntries(
+    types.map((type, index) => [type, weights[index] / sum])
+  );
+
+  const type = types.reduce((best, candidate) =>
+    probabilities[candidate] > probabilities[best] ? candidate : best
+  );
+  return { type, probability: probabilities[type], probabilities, known: known.length };
+}
+
+/**
+ * Labelled samples from the conventional commits of the history
+ */
+export async function collectTrainingSamples(types, options = {}) {
+  const { maxCommits = 500 } = options;
+  const history = await cmd.execFile(
+    'git',
+    [
+      '-c',
+      'core.quotePath=false',
+      'log',
+      '--no-merges',
+      '-n',
+      String(maxCommits),
+      '--format=%x1e%H%x1f%s',
+      '--name-only',
+    ],
+    { maxBuffer: 64 * 1024 * 1024 }
+  );
+  if (!history.success) {
+    throw new Error(`Cannot read the git history: ${history.stderr}`);
+  }
+
+  const samples = [];
+  let skipped = 0;
+  for (const record of history.stdout.split('\x1e').filter(entry => entry.trim())) {
+    const [header, ...fileLines] = record.trim().split('\n');
+    const [hash, subject] = header.split('\x1f');
+    const type = parseCommitHeader(subject || '')?.type;
+    if (!type || !types.includes(type)) {
+      skipped++;
+      continue;
+    }
+
+    const diff = await cmd.execFile(
+      'git',
+      ['show', '--format=', '--unified=0', '--no-color', '--no-ext-diff', '--no-renames', hash],
+      { maxBuffer: 64 * 1024 * 1024 }
+    );
+    const files = fileLines.map(line => line.trim()).filter(Boolean);
+    samples.push({ type, features: extractFeatures(files, diff.success ? diff.stdout : '') });
+  }
+
+  return { samples, skipped };
+}
+
+/**
+ * Read the saved model, or null when missing, invalid or from another version
+ */
+export async function loadModel(modelFile = MODEL_FILE) {
+  const content = await file.read(modelFile);
+  if (content === null) {
+    return null;
+  }
+  try {
+    const model = JSON.parse(content);
+    return model.version === MODEL_VERSION ? model : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Save a trained model
+ */
+export async function saveModel(model, modelFile = MODEL_FILE) {
+  await file.write(modelFile, JSON.stringify(model) + '\n');
+}
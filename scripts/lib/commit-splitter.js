@@ -0,0 +1,396 @@
+#!/usr/bin/env node
+
+/**
+ * ✂️ Commit Splitter - Staged Hunks to Logical Commits
+ * Groups the staged hunks by intent (dependencies, docs, tests with their
+ * sources, fixes, features) and commits each group with partial staging
+ */
+
+import path from 'path';
+import { rm } from 'fs/promises';
+import utils from './utils.js';
+import { formatHeader, DEFAULT_STYLE } from './commit-style.js';
+
+const { cmd, file } = utils;
+
+// Manifests and lockfiles committed together as a dependency update
+const DEPENDENCY_FILES =
+  /^(package\.json|package-lock\.json|npm-shrinkwrap\.json|yarn\.lock|pnpm-lock\.yaml|Cargo\.(toml|lock)|go\.(mod|sum)|requirements[\w-]*\.txt|pyproject\.toml|poetry\.lock|Pipfile(\.lock)?|Gemfile(\.lock)?|composer\.(json|lock))$/;
+
+const SOURCE_FILE = /\.(js|mjs|cjs|jsx|ts|tsx|py|go|rs|php|java|rb|cs|c|cpp|h|sh)$/;
+
+const TEST_FILE =
+  /(\.(test|spec)\.\w+$|_test\.\w+$|(^|\/)test_[^/]+$|(^|\/)(tests?|__tests__|spec)\/)/;
+
+const COMMENT_LINE = /^\s*(\/\/|\/\*|\*|#(?!!)|<!--|-->)/;
+
+const FIX_KEYWORDS = /\b(fix(es|ed)?|bug|issue|crash|regression|workaround|typo)\b/i;
+
+// Commit order: dependencies and tooling first, documentation last
+const TYPE_ORDER = [
+  'build',
+  'ci',
+  'chore',
+  'style',
+  'refactor',
+  'fix',
+  'feat',
+  'perf',
+  'test',
+  'docs',
+];
+
+const DIFF_OPTIONS = [
+  '--cached',
+  '--binary',
+  '--no-color',
+  '--no-ext-diff',
+  '--src-prefix=a/',
+  '--dst-prefix=b/',
+  '--diff-algorithm=default',
+];
+
+/**
+ * Split a `git diff` into files, each with its header lines and hunks
+ */
+export function parseDiff(diff) {
+  const files = [];
+  let current = null;
+  let hunk = null;
+
+  for (const line of diff.split('\n')) {
+    if (line.startsWith('diff --git ')) {
+      current = { header: [line], hunks: [], status: 'modified', binary: false, path: null };
+      hunk = null;
+      files.push(current);
+    } else if (!current) {
+      continue;
+    } else if (line.startsWith('@@')) {
+      hunk = { lines: [line] };
+      current.hunks.push(hunk);
+    } else if (hunk) {
+      hunk.lines.push(line);
+    } else {
+      current.header.push(line);
+      if (line.startsWith('new file mode')) {
+        current.status = 'added';
+      } else if (line.startsWith('deleted file mode')) {
+        current.status = 'deleted';
+      } else if (line.startsWith('rename from') || line.startsWith('copy from')) {
+        current.status = 'renamed';
+      } else if (line.startsWith('old mode')) {
+        current.status = 'mode';
+      } else if (line.startsWith('GIT binary patch') || line.startsWith('Binary files')) {
+        current.binary = true;
+      } else if (line.startsWith('+++ b/') || line.startsWith('rename to ')) {
+        current.path = line.replace(/^(\+\+\+ b\/|rename to )/, '');
+      } else if (line.startsWith('--- a/') && !current.path) {
+        current.path = line.slice(6);
+      }
+    }
+  }
+
+  for (const entry of files) {
+    // Binary files without ---/+++ lines: take the b/ path of the diff line
+    entry.path ??= entry.header[0].match(/ b\/(.+)$/)?.[1] || entry.header[0];
+    // Trailing empty line left by the final newline belongs to no hunk
+    const last = entry.hunks[entry.hunks.length - 1];
+    if (last && last.lines[last.lines.length - 1] === '') {
+      last.lines.pop();
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Patch text applying the given units (whole files or single hunks)
+ */
+export function buildPatch(units) {
+  const byFile = new Map();
+  for (const unit of units) {
+    if (!byFile.has(unit.file)) {
+      byFile.set(unit.file, []);
+    }
+    byFile.get(unit.file).push(...unit.hunks);
+  }
+
+  const parts = [];
+  for (const [entry, hunks] of byFile) {
+    const ordered = entry.hunks.filter(hunk => hunks.includes(hunk));
+    parts.push(...entry.header, ...ordered.flatMap(hunk => hunk.lines));
+  }
+  return parts.join('\n') + '\n';
+}
+
+/**
+ * Added and removed lines of a hunk, without their +/- prefix
+ */
+function changedLines(hunk) {
+  const added = [];
+  const removed = [];
+  for (const line of hunk.lines.slice(1)) {
+    if (line.startsWith('+')) {
+      added.push(line.slice(1));
+    } else if (line.startsWith('-')) {
+      removed.push(line.slice(1));
+    }
+  }
+  return { added, removed };
+}
+
+/**
+ * File name without directories, extension and test markers ("auth.test.js" → "auth")
+ */
+function moduleStem(filePath) {
+  return path
+    .basename(filePath)
+    .replace(/\.[^.]+$/, '')
+    .replace(/(\.(test|spec)|_test)$/, '')
+    .replace(/^test_/, '');
+}
+
+/**
+ * Commit Splitter
+ */
+export class CommitSplitter {
+  constructor(detector, options = {}) {
+    this.detector = detector;
+    this.style = options.style || DEFAULT_STYLE;
+  }
+
+  /**
+   * Parse the staged changes (written to a file so trailing whitespace survives)
+   */
+  async readStagedDiff() {
+    const gitDir = await this.getGitDir();
+    const output = path.join(gitDir, 'cursor-tools-split.diff');
+    const result = await cmd.execFile('git', [
+      '-c',
+      'core.quotePath=false',
+      'diff',
+      ...DIFF_OPTIONS,
+      `--output=${output}`,
+    ]);
+    if (!result.success) {
+      throw new Error(`Cannot read staged changes: ${result.stderr}`);
+    }
+
+    const diff = (await file.read(output)) || '';
+    await rm(output, { force: true });
+    return { diff, files: parseDiff(diff) };
+  }
+
+  /**
+   * Absolute .git directory, where temporary patches are kept
+   */
+  async getGitDir() {
+    const result = await cmd.execFile('git', ['rev-parse', '--absolute-git-dir']);
+    if (!result.success) {
+      throw new Error('Not in a Git repository');
+    }
+    return result.stdout;
+  }
+
+  /**
+   * Commit type suggested by the existing file patterns (first matching type)
+   */
+  fileType(filePath) {
+    const analysis = this.detector.analyzeFile(filePath);
+    return Object.keys(analysis).find(type => analysis[type].score > 0) || null;
+  }
+
+  /**
+   * Type and grouping key of one unit
+   */
+  async classifyUnit(unit, workspacePatterns) {
+    const { file: entry } = unit;
+    const { scope } = await this.detector.scopeForFile(entry.path, workspacePatterns);
+
+    if (DEPENDENCY_FILES.test(path.basename(entry.path))) {
+      return { type: 'build', key: 'deps' };
+    }
+    if (TEST_FILE.test(entry.path)) {
+      return { type: 'test', key: 'test', test: true };
+    }
+
+    if (!SOURCE_FILE.test(entry.path)) {
+      const type = this.fileType(entry.path) || 'chore';
+      return { type, key: type === 'docs' ? 'docs' : `${type}:${scope}` };
+    }
+
+    if (entry.status === 'added') {
+      return { type: 'feat', key: `feat:${scope}` };
+    }
+
+    const { added, removed } = unit.hunks.reduce(
+      (lines, hunk) => {
+        const changed = changedLines(hunk);
+        return {
+          added: [...lines.added, ...changed.added],
+          removed: [...lines.removed, ...changed.removed],
+        };
+      },
+      { added: [], removed: [] }
+    );
+    const changed = [...added, ...removed].filter(line => line.trim());
+
+    // Comment-only hunks in source files are documentation
+    if (changed.length > 0 && changed.every(line => COMMENT_LINE.test(line))) {
+      return { type: 'docs', key: 'docs' };
+    }
+    if (changed.some(line => FIX_KEYWORDS.test(line))) {
+      return { type: 'fix', key: `fix:${scope}` };
+    }
+
+    // Mostly new lines reads as a feature, rewritten lines as a refactor
+    const type = added.length > removed.length * 2 ? 'feat' : 'refactor';
+    return { type, key: `${type}:${scope}` };
+  }
+
+  /**
+   * Units of work: one per hunk, or one per file when it cannot be split
+   */
+  getUnits(files) {
+    return files.flatMap(entry =>
+      entry.status === 'modified' && !entry.binary && entry.hunks.length > 1
+        ? entry.hunks.map(hunk => ({ file: entry, hunks: [hunk] }))
+        : [{ file: entry, hunks: entry.hunks }]
+    );
+  }
+
+  /**
+   * Group the staged hunks into logical commits with a proposed message
+   */
+  async planSplit() {
+    const { diff, files } = await this.readStagedDiff();
+    const units = this.getUnits(files);
+    const workspacePatterns = await this.detector.getWorkspacePatterns();
+
+    for (const unit of units) {
+      Object.assign(unit, await this.classifyUnit(unit, workspacePatterns));
+    }
+
+    // Tests join the group of their staged source file
+    for (const unit of units.filter(candidate => candidate.test)) {
+      const source = units.find(
+        candidate =>
+          !candidate.test &&
+          SOURCE_FILE.test(candidate.file.path) &&
+          moduleStem(candidate.file.path) === moduleStem(unit.file.path)
+      );
+      if (source) {
+        unit.key = source.key;
+        unit.type = source.type;
+      }
+    }
+
+    const groups = new Map();
+    for (const unit of units) {
+      if (!groups.has(unit.key)) {
+        groups.set(unit.key, { key: unit.key, type: unit.type, units: [] });
+      }
+      groups.get(unit.key).units.push(unit);
+    }
+
+    const ordered = [...groups.values()].sort(
+      (a, b) => TYPE_ORDER.indexOf(a.type) - TYPE_ORDER.indexOf(b.type)
+    );
+
+    for (const group of ordered) {
+      group.files = [...new Set(group.units.map(unit => unit.file.path))];
+      group.scope =
+        group.key === 'deps' ? 'deps' : (await this.detector.inferScope(group.files)).scope;
+      const description =
+        group.key === 'deps'
+          ? 'update dependencies'
+          : await this.detector.generateSmartDescription(
+              group.type,
+              group.files,
+              group.units.map(unit => ({ ...unit.file, hunks: unit.hunks }))
+            );
+      group.message = formatHeader({ ...group, description }, this.style);
+    }
+
+    return { diff, groups: ordered };
+  }
+
+  /**
+   * Stage a set of units with `git apply --cached`
+   */
+  async stageUnits(units, patchFile) {
+    await file.write(patchFile, buildPatch(units));
+    const result = await cmd.execFile('git', [
+      'apply',
+      '--cached',
+      '--whitespace=nowarn',
+      patchFile,
+    ]);
+    await rm(patchFile, { force: true });
+    if (!result.success) {
+      throw new Error(result.stderr);
+    }
+  }
+
+  /**
+   * Commit each group in turn, restaging only its hunks
+   *
+   * The full staged patch is kept in .git/ until every commit succeeded; on failure
+   * the hunks not committed yet are staged again.
+   */
+  async commitGroups(groups, diff, commit) {
+    const head = await cmd.execFile('git', ['rev-parse', '--verify', '-q', 'HEAD']);
+    if (!head.success) {
+      throw new Error('Splitting needs an existing commit to stage hunks against');
+    }
+
+    const gitDir = await this.getGitDir();
+    const backup = path.join(gitDir, 'cursor-tools-split.patch');
+    const patchFile = path.join(gitDir, 'cursor-tools-split-group.patch');
+    await file.write(backup, diff);
+
+    const reset = await cmd.execFile('git', ['reset', '-q']);
+    if (!reset.success) {
+      throw new Error(`Cannot unstage changes: ${reset.stderr}`);
+    }
+
+    const committed = [];
+    for (const [index, group] of groups.entries()) {
+      try {
+        await this.stageUnits(group.units, patchFile);
+      } catch (error) {
+        await this.restage(groups.slice(index), patchFile, backup);
+        throw new Error(`Cannot stage "${group.message}": ${error.message}`);
+      }
+
+      const result = await commit(group);
+      if (!result.success) {
+        await cmd.execFile('git', ['reset', '-q']);
+        await this.restage(groups.slice(index), patchFile, backup);
+        throw new Error(`Commit "${group.message}" failed: ${result.stderr}`);
+      }
+      committed.push(group);
+    }
+
+    await rm(backup, { force: true });
+    return committed;
+  }
+
+  /**
+   * Stage the hunks of the groups that were not committed
+   */
+  async restage(groups, patchFile, backup) {
+    try {
+      await this.stageUnits(
+        groups.flatMap(group => group.units),
+        patchFile
+      );
+    } catch (error) {
+      throw new Error(
+        `Could not restage the remaining changes (${error.message}); the original staged patch is in ${backup}`
+      );
+    }
+  }
+}
+
+export default CommitSplitter;
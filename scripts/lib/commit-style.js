@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+
+/**
+ * 🎨 Commit Style - Conventional, Gitmoji and Conventional+Emoji Headers
+ * Formats and parses commit headers in the style set by commits.style, with
+ * one type ↔ emoji table used in both directions
+ */
+
+export const COMMIT_STYLES = ['conventional', 'gitmoji', 'conventional+emoji'];
+
+export const DEFAULT_STYLE = 'conventional';
+
+// Type → gitmoji (emoji, :shortcode:), first entry of a type is the one generated
+export const GITMOJI = [
+  { type: 'feat', emoji: '✨', code: ':sparkles:' },
+  { type: 'fix', emoji: '🐛', code: ':bug:' },
+  { type: 'docs', emoji: '📝', code: ':memo:' },
+  { type: 'style', emoji: '🎨', code: ':art:' },
+  { type: 'refactor', emoji: '♻️', code: ':recycle:' },
+  { type: 'perf', emoji: '⚡️', code: ':zap:' },
+  { type: 'test', emoji: '✅', code: ':white_check_mark:' },
+  { type: 'build', emoji: '📦️', code: ':package:' },
+  { type: 'ci', emoji: '👷', code: ':construction_worker:' },
+  { type: 'chore', emoji: '🔧', code: ':wrench:' },
+  { type: 'revert', emoji: '⏪️', code: ':rewind:' },
+  // Other gitmojis read back as the closest type
+  { type: 'feat', emoji: '🎉', code: ':tada:' },
+  { type: 'feat', emoji: '🚸', code: ':children_crossing:' },
+  { type: 'feat', emoji: '💄', code: ':lipstick:' },
+  { type: 'fix', emoji: '🚑️', code: ':ambulance:' },
+  { type: 'fix', emoji: '🩹', code: ':adhesive_bandage:' },
+  { type: 'fix', emoji: '🔒️', code: ':lock:' },
+  { type: 'fix', emoji: '✏️', code: ':pencil2:' },
+  { type: 'fix', emoji: '💚', code: ':green_heart:' },
+  { type: 'refactor', emoji: '🚚', code: ':truck:' },
+  { type: 'refactor', emoji: '🔥', code: ':fire:' },
+  { type: 'refactor', emoji: '⚰️', code: ':coffin:' },
+  { type: 'style', emoji: '🚨', code: ':rotating_light:' },
+  { type: 'test', emoji: '🧪', code: ':test_tube:' },
+  { type: 'build', emoji: '➕', code: ':heavy_plus_sign:' },
+  { type: 'build', emoji: '➖', code: ':heavy_minus_sign:' },
+  { type: 'build', emoji: '⬆️', code: ':arrow_up:' },
+  { type: 'build', emoji: '⬇️', code: ':arrow_down:' },
+  { type: 'build', emoji: '📌', code: ':pushpin:' },
+  { type: 'ci', emoji: '🚀', code: ':rocket:' },
+  { type: 'chore', emoji: '🙈', code: ':see_no_evil:' },
+  { type: 'chore', emoji: '🔖', code: ':bookmark:' },
+];
+
+// Breaking changes have their own gitmoji, which replaces the type emoji
+export const BREAKING_GITMOJI = { emoji: '💥', code: ':boom:' };
+
+// Emoji presentation selector, present or not depending on the editor
+const VARIATION = /\uFE0F/g;
+
+const CONVENTIONAL = /^(\w+)(?:\(([^)]+)\))?(!)?: (.*)$/;
+
+// "<emoji or :code:> [(scope):] description"
+const GITMOJI_HEADER = /^(:[a-z0-9_+-]+:|[^\s\w(]+)\s+(?:\(([^)]*)\):?\s+)?(.*)$/u;
+
+/**
+ * Emoji of a commit type (null for types without one)
+ */
+export function emojiForType(type) {
+  return GITMOJI.find(entry => entry.type === type)?.emoji || null;
+}
+
+/**
+ * Commit type of an emoji or :shortcode:, 'breaking' for 💥, or null
+ */
+export function typeForEmoji(emoji) {
+  const key = emoji.replace(VARIATION, '');
+  if (key === BREAKING_GITMOJI.emoji || key === BREAKING_GITMOJI.code) {
+    return 'breaking';
+  }
+  return (
+    GITMOJI.find(entry => entry.emoji.replace(VARIATION, '') === key || entry.code === key)?.type ||
+    null
+  );
+}
+
+/**
+ * Header of a commit in the given style
+ */
+export function formatHeader({ type, scope = null, breaking = false, description }, style) {
+  const scopePart = scope ? `(${scope})` : '';
+
+  switch (style) {
+    case 'gitmoji': {
+      const emoji = breaking ? BREAKING_GITMOJI.emoji : emojiForType(type);
+      return `${emoji || type}${scope ? ` ${scopePart}:` : ''} ${description}`;
+    }
+    case 'conventional+emoji': {
+      const emoji = emojiForType(type);
+      return `${type}${scopePart}${breaking ? '!' : ''}: ${emoji ? `${emoji} ` : ''}${description}`;
+    }
+    default:
+      return `${type}${scopePart}${breaking ? '!' : ''}: ${description}`;
+  }
+}
+
+/**
+ * Type, scope, breaking flag and description of a header in any style, or null
+ * ({ style, type, scope, breaking, description, emoji })
+ */
+export function parseHeader(header) {
+  const conventional = header.match(CONVENTIONAL);
+  if (conventional) {
+    const [, type, scope, bang, rest] = conventional;
+    const leading = rest.match(GITMOJI_HEADER);
+    const emoji = leading && typeForEmoji(leading[1]) ? leading[1] : null;
+    return {
+      style: emoji ? 'conventional+emoji' : 'conventional',
+      type,
+      scope: scope || null,
+      breaking: Boolean(bang),
+      description: emoji ? rest.slice(emoji.length).trim() : rest,
+      emoji,
+    };
+  }
+
+  const gitmoji = header.match(GITMOJI_HEADER);
+  const type = gitmoji ? typeForEmoji(gitmoji[1]) : null;
+  if (!type) {
+    return null;
+  }
+  return {
+    style: 'gitmoji',
+    // 💥 replaces the type emoji, so a breaking gitmoji commit has no type
+    type: type === 'breaking' ? null : type,
+    scope: gitmoji[2] || null,
+    breaking: type === 'breaking',
+    description: gitmoji[3],
+    emoji: gitmoji[1],
+  };
+}
+
+/**
+ * Expected header shape of a style, for validation messages
+ */
+export function describeStyle(style) {
+  switch (style) {
+    case 'gitmoji':
+      return {
+        format: '<gitmoji> (scope): description',
+        example: `${emojiForType('feat')} (auth): add login functionality`,
+      };
+    case 'conventional+emoji':
+      return {
+        format: 'type(scope): <emoji> description',
+        example: `feat(auth): ${emojiForType('feat')} add login functionality`,
+      };
+    default:
+      return {
+        format: 'type(scope): description',
+        example: 'feat(auth): add login functionality',
+      };
+  }
+}
@@ -0,0 +1,236 @@
+#!/usr/bin/env node
+
+/**
+ * 🏷️ Commit Trailers - Co-authors, Sign-off and Footer Validation
+ * Reads the team roster, builds Co-authored-by / Signed-off-by / Closes trailers
+ * and checks commit footers against the conventional commits spec and the
+ * required trailers of .automation-config.yml
+ */
+
+import { parse as parseYaml } from 'yaml';
+import utils from './utils.js';
+import { parseCommitMessage } from './commit-lint.js';
+import { appendTrailer } from './plans.js';
+
+const { file, cmd } = utils;
+
+export const ROSTER_FILE = '.github/team.yml';
+
+// "Token: value" / "Token #value" footer start, BREAKING CHANGE being the only token with a space
+const TRAILER_LINE = /^([A-Za-z][\w-]*|BREAKING CHANGE)(: | #)(.*)$/;
+
+// The spec only accepts BREAKING CHANGE in uppercase
+const BREAKING_TYPO = /^breaking[ -]change:/i;
+
+// "Name <email>" identities of Co-authored-by and Signed-off-by
+const IDENTITY = /^[^<>]+ <[^<>\s]+@[^<>\s]+>$/;
+const IDENTITY_TOKENS = ['co-authored-by', 'signed-off-by'];
+
+// Closes #12, Fixes owner/repo#12, Refs #12, #13
+const ISSUE_TOKENS = ['closes', 'close', 'closed', 'fixes', 'fix', 'fixed', 'resolves', 'refs'];
+const ISSUE_REF = /^([\w.-]+\/[\w.-]+)?#\d+$/;
+
+/**
+ * Footer trailers of a commit message: [{ token, separator, value }]
+ * Values keep their indented continuation lines
+ */
+export function parseTrailers(message) {
+  const { lines, footerStart } = parseCommitMessage(message);
+  const trailers = [];
+
+  for (const line of lines.slice(footerStart)) {
+    const match = line.match(TRAILER_LINE);
+    if (match) {
+      trailers.push({ token: match[1], separator: match[2], value: match[3].trim() });
+    } else if (trailers.length > 0 && line.trim()) {
+      trailers[trailers.length - 1].value += `\n${line.trim()}`;
+    }
+  }
+
+  return trailers;
+}
+
+/**
+ * Values of one trailer token (case insensitive)
+ */
+export function getTrailerValues(message, token) {
+  return parseTrailers(message)
+    .filter(trailer => trailer.token.toLowerCase() === token.toLowerCase())
+    .map(trailer => trailer.value);
+}
+
+/**
+ * Append a trailer line unless the message already has the same one
+ */
+export function addTrailer(message, trailer) {
+  const exists = parseTrailers(message).some(
+    existing =>
+      `${existing.token}${existing.separator}${existing.value}`.toLowerCase() ===
+      trailer.toLowerCase()
+  );
+  return exists ? message : appendTrailer(message, trailer);
+}
+
+/**
+ * Compile the required trailers of the config ({ token, pattern, description })
+ */
+export function compileRequiredTrailers(required = []) {
+  return required.map(rule => {
+    try {
+      return { ...rule, regex: rule.pattern ? new RegExp(rule.pattern) : null };
+    } catch (error) {
+      throw new Error(
+        `Invalid pattern for the required ${rule.token} trailer (commits.trailers.required): ${error.message}`
+      );
+    }
+  });
+}
+
+/**
+ * Check the footer of a message: spec syntax, identities, issue refs and required trailers
+ * Returns [{ severity: 'error' | 'warning', message }]
+ */
+export function validateTrailers(message, settings = {}) {
+  const issues = [];
+  const { lines, footerStart } = parseCommitMessage(message);
+  const trailers = parseTrailers(message);
+
+  // Footers come after one blank line (the header is never a footer)
+  if (footerStart < lines.length && footerStart > 1 && lines[footerStart - 1].trim()) {
+    issues.push({
+      severity: 'warning',
+      message: `Footer "${lines[footerStart]}" should be separated from the body by a blank line`,
+    });
+  }
+
+  for (const line of lines.slice(1)) {
+    if (BREAKING_TYPO.test(line) && !/^BREAKING[ -]CHANGE:/.test(line)) {
+      issues.push({
+        severity: 'error',
+        message: `"${line.split(':')[0]}" must be written in uppercase: BREAKING CHANGE:`,
+      });
+    }
+  }
+
+  for (const { token, separator, value } of trailers) {
+    const key = token.toLowerCase();
+    const refs = (separator === ' #' ? `#${value}` : value).split(/,\s*/);
+    if (!value) {
+      issues.push({ severity: 'error', message: `${token} trailer has no value` });
+    } else if (IDENTITY_TOKENS.includes(key) && !IDENTITY.test(value)) {
+      issues.push({
+        severity: 'error',
+        message: `${token} must be "Name <email>" (got "${value}")`,
+      });
+    } else if (
+      ISSUE_TOKENS.includes(key) &&
+      !refs.every(ref => ISSUE_REF.test(ref) || /^https?:\/\//.test(ref))
+    ) {
+      issues.push({
+        severity: 'warning',
+        message: `${token} should reference issues as #123 or owner/repo#123 (got "${refs.join(', ')}")`,
+      });
+    }
+  }
+
+  if (settings.signoff && getTrailerValues(message, 'Signed-off-by').length === 0) {
+    issues.push({
+      severity: 'error',
+      message: 'Missing Signed-off-by trailer (DCO): commit with git commit -s',
+    });
+  }
+
+  for (const rule of compileRequiredTrailers(settings.required)) {
+    const values = getTrailerValues(message, rule.token);
+    const label = rule.description ? ` (${rule.description})` : '';
+    if (values.length === 0) {
+      issues.push({ severity: 'error', message: `Missing required ${rule.token} trailer${label}` });
+    } else if (rule.regex && !values.some(value => rule.regex.test(value))) {
+      issues.push({
+        severity: 'error',
+        message: `${rule.token} trailer must match ${rule.pattern}${label} (got "${values[0]}")`,
+      });
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Team members from the roster file: [{ name, email, alias }]
+ *
+ * The roster is a YAML list, or a `members` list:
+ *   - name: Jane Doe
+ *     email: jane@example.com
+ *     alias: jane
+ */
+export async function loadRoster(rosterPath = ROSTER_FILE) {
+  const content = await file.read(rosterPath);
+  if (content === null) {
+    return [];
+  }
+
+  let data;
+  try {
+    data = parseYaml(content);
+  } catch (error) {
+    throw new Error(`Invalid team roster ${rosterPath}: ${error.message.split('\n')[0]}`);
+  }
+
+  const members = Array.isArray(data) ? data : data?.members || [];
+  return members.map((member, index) => {
+    if (!member?.name || !member?.email) {
+      throw new Error(
+        `Invalid team roster ${rosterPath}: member ${index + 1} needs a name and an email`
+      );
+    }
+    return { name: member.name, email: member.email, alias: member.alias || null };
+  });
+}
+
+/**
+ * Roster member matching an alias, an email or a name (case insensitive)
+ */
+export function findMember(roster, who) {
+  const query = who.toLowerCase();
+  return (
+    roster.find(member =>
+      [member.alias, member.email, member.name].some(key => key?.toLowerCase() === query)
+    ) ||
+    roster.find(
+      member =>
+        member.name.toLowerCase().startsWith(query) || member.email.toLowerCase().startsWith(query)
+    ) ||
+    null
+  );
+}
+
+/**
+ * "Name <email>" of a roster member
+ */
+export function formatIdentity(member) {
+  return `${member.name} <${member.email}>`;
+}
+
+/**
+ * Committer identity used by `git commit -s`
+ */
+export async function getSignoffIdentity() {
+  const result = await cmd.execFile('git', ['var', 'GIT_COMMITTER_IDENT']);
+  const identity = result.success ? result.stdout.match(/^(.+>)/)?.[1] : null;
+  if (!identity) {
+    throw new Error('Cannot sign off: set git config user.name and user.email');
+  }
+  return identity;
+}
+
+/**
+ * Closes trailers from a list of issues ("12, #34 owner/repo#5")
+ */
+export function formatClosesTrailers(issues) {
+  return issues
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .map(issue => issue.replace(/^#/, ''))
+    .map(issue => (/^\d+$/.test(issue) ? `Closes #${issue}` : `Closes: ${issue}`));
+}
@@ -3,8 +3,12 @@
 /**
  * 🔧 Git Helper - Advanced Git Operations
  * Specialized Git operations with error handling and cross-platform support
+ * Git runs without a shell and messages go through -F files, so user text is never interpreted
  */
 
+import path from 'path';
+import { tmpdir } from 'os';
+import { mkdtemp, writeFile, rm } from 'fs/promises';
 import utils from './utils.js';
 
 const { cmd, log } = utils;
@@ -17,12 +21,34 @@ export class GitHelper {
     this.initialized = false;
   }
 
+  /**
+   * Run git with an argument array
+   */
+  async run(args, options = {}) {
+    return await cmd.execFile('git', args, options);
+  }
+
+  /**
+   * Run git with a message passed verbatim through a temporary file
+   * `buildArgs` receives the file path and returns the git arguments
+   */
+  async runWithMessage(message, buildArgs) {
+    const dir = await mkdtemp(path.join(tmpdir(), 'cursor-tools-'));
+    const messageFile = path.join(dir, 'MESSAGE');
+    try {
+      await writeFile(messageFile, message, 'utf8');
+      return await this.run(buildArgs(messageFile));
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  }
+
   /**
    * Initialize and verify Git repository
    */
   async initialize() {
     try {
-      const result = await cmd.exec('git rev-parse --git-dir');
+      const result = await this.run(['rev-parse', '--git-dir']);
       this.initialized = result.success;
       return this.initialized;
     } catch (error) {
@@ -50,19 +76,32 @@ export class GitHelper {
   async getStatus() {
     await this.ensureRepo();
 
-    const statusResult = await cmd.exec('git status --porcelain');
-    const branchResult = await cmd.exec('git branch --show-current');
+    // Porcelain v2 lines never start with whitespace, so the trimmed output stays parseable
+    const statusResult = await this.run(['status', '--porcelain=v2']);
+    const branchResult = await this.run(['branch', '--show-current']);
 
     const files = statusResult.success
       ? statusResult.stdout
           .split('\n')
-          .filter(line => line.trim())
-          .map(line => ({
-            status: line.substring(0, 2),
-            file: line.substring(3),
-            staged: line[0] !== ' ' && line[0] !== '?',
-            modified: line[1] !== ' ' && line[1] !== '?',
-            untracked: line.startsWith('??'),
+          .filter(line => line.trim() && !line.startsWith('!'))
+          .map(line => {
+            if (line.startsWith('?')) {
+              return { status: '??', file: line.substring(2) };
+            }
+            // "1 XY ..." has 8 fields before the path, renames ("2") 9, conflicts ("u") 10
+            const fieldCount = { 1: 8, 2: 9, u: 10 }[line[0]];
+            const fields = line.split(' ');
+            return {
+              status: fields[1].replace(/\./g, ' '),
+              file: fields.slice(fieldCount).join(' ').split('\t')[0],
+            };
+          })
+          .map(({ status, file }) => ({
+            status,
+            file,
+            staged: status[0] !== ' ' && status[0] !== '?',
+            modified: status[1] !== ' ' && status[1] !== '?',
+            untracked: status === '??',
           }))
       : [];
 
@@ -82,11 +121,8 @@ export class GitHelper {
   async add(files = '.') {
     await this.ensureRepo();
 
-    if (Array.isArray(files)) {
-      files = files.join(' ');
-    }
-
-    return await cmd.exec(`git add ${files}`);
+    const paths = Array.isArray(files) ? files : [files];
+    return await this.run(['add', '--', ...paths]);
   }
 
   /**
@@ -95,16 +131,67 @@ export class GitHelper {
   async commit(message, options = {}) {
     await this.ensureRepo();
 
-    const commitOptions = [];
+    const commitArgs = ['commit'];
     if (options.amend) {
-      commitOptions.push('--amend');
+      commitArgs.push('--amend');
     }
     if (options.noVerify) {
-      commitOptions.push('--no-verify');
+      commitArgs.push('--no-verify');
     }
 
-    const command = `git commit ${commitOptions.join(' ')} -m "${message}"`;
-    return await cmd.exec(command);
+    // fixup! keeps the target message, amend! replaces it when autosquashed
+    if (options.fixup?.amend) {
+      // git refuses a message with --fixup=amend:, so write the message git would generate
+      const subject = await this.run(['log', '-1', '--format=%s', options.fixup.commit]);
+      if (!subject.success) {
+        return subject;
+      }
+      message = `amend! ${subject.stdout}\n\n${message}`;
+    } else if (options.fixup) {
+      commitArgs.push(`--fixup=${options.fixup.commit}`);
+    }
+
+    return message
+      ? await this.runWithMessage(message, messageFile => [...commitArgs, '-F', messageFile])
+      : await this.run(commitArgs);
+  }
+
+  /**
+   * Merge-base of HEAD with `base`, or with the upstream / default branch
+   */
+  async getMergeBase(base = null) {
+    await this.ensureRepo();
+
+    const candidates = base
+      ? [base]
+      : ['@{upstream}', 'origin/HEAD', 'origin/main', 'origin/master', 'main', 'master'];
+
+    for (const ref of candidates) {
+      const result = await this.run(['merge-base', 'HEAD', ref]);
+      if (result.success) {
+        return { ref, hash: result.stdout };
+      }
+    }
+
+    if (base) {
+      throw new Error(`Cannot find a merge-base between HEAD and ${base}`);
+    }
+    return null;
+  }
+
+  /**
+   * Fold fixup!/amend!/squash! commits into their targets without opening the todo editor
+   */
+  async rebaseAutosquash(base, options = {}) {
+    await this.ensureRepo();
+
+    // ":" accepts the todo list as --autosquash ordered it
+    const rebaseArgs = ['-c', 'sequence.editor=:', 'rebase', '-i', '--autosquash'];
+    if (options.autostash) {
+      rebaseArgs.push('--autostash');
+    }
+
+    return await this.run([...rebaseArgs, base]);
   }
 
   /**
@@ -113,16 +200,20 @@ export class GitHelper {
   async createTag(tagName, message = null, options = {}) {
     await this.ensureRepo();
 
-    const tagOptions = [];
-    if (message) {
-      tagOptions.push(`-a -m "${message}"`);
-    }
+    const tagArgs = ['tag'];
     if (options.force) {
-      tagOptions.push('-f');
+      tagArgs.push('-f');
     }
 
-    const command = `git tag ${tagOptions.join(' ')} ${tagName}`;
-    return await cmd.exec(command);
+    return message
+      ? await this.runWithMessage(message, messageFile => [
+          ...tagArgs,
+          '-a',
+          '-F',
+          messageFile,
+          tagName,
+        ])
+      : await this.run([...tagArgs, tagName]);
   }
 
   /**
@@ -131,7 +222,7 @@ export class GitHelper {
   async getTags() {
     await this.ensureRepo();
 
-    const result = await cmd.exec('git tag --list');
+    const result = await this.run(['tag', '--list']);
     return result.success ? result.stdout.split('\n').filter(tag => tag.trim()) : [];
   }
 
@@ -147,7 +238,7 @@ export class GitHelper {
    * Get ahead/behind commit count
    */
   async getAheadBehind() {
-    const result = await cmd.exec('git rev-list --count --left-right @{upstream}...HEAD');
+    const result = await this.run(['rev-list', '--count', '--left-right', '@{upstream}...HEAD']);
     if (!result.success) {
       return { ahead: 0, behind: 0 };
     }
@@ -167,22 +258,17 @@ export class GitHelper {
       throw new Error('Cannot determine current branch');
     }
 
-    const pushOptions = [];
-    if (options.setUpstream) {
-      pushOptions.push(`--set-upstream ${remote} ${currentBranch}`);
-    }
+    const pushArgs = options.setUpstream
+      ? ['push', '--set-upstream', remote, currentBranch]
+      : ['push', remote, currentBranch];
     if (options.force) {
-      pushOptions.push('--force-with-lease');
+      pushArgs.push('--force-with-lease');
     }
     if (options.tags) {
-      pushOptions.push('--tags');
+      pushArgs.push('--tags');
     }
 
-    const command = options.setUpstream
-      ? `git push ${pushOptions.join(' ')}`
-      : `git push ${remote} ${currentBranch} ${pushOptions.join(' ')}`;
-
-    return await cmd.exec(command);
+    return await this.run(pushArgs);
   }
 
   /**
@@ -192,17 +278,16 @@ export class GitHelper {
     await this.ensureRepo();
 
     const currentBranch = branch || (await this.getStatus()).branch;
-    const pullOptions = [];
+    const pullArgs = ['pull', remote, currentBranch];
 
     if (options.rebase) {
-      pullOptions.push('--rebase');
+      pullArgs.push('--rebase');
     }
     if (options.ff) {
-      pullOptions.push('--ff-only');
+      pullArgs.push('--ff-only');
     }
 
-    const command = `git pull ${remote} ${currentBranch} ${pullOptions.join(' ')}`;
-    return await cmd.exec(command);
+    return await this.run(pullArgs);
   }
 
   /**
@@ -211,7 +296,7 @@ export class GitHelper {
   async getLatestTag() {
     await this.ensureRepo();
 
-    const result = await cmd.exec('git describe --tags --abbrev=0');
+    const result = await this.run(['describe', '--tags', '--abbrev=0']);
     return result.success ? result.stdout : null;
   }
 
@@ -221,14 +306,15 @@ export class GitHelper {
   async getCommits(count = 10, format = 'oneline') {
     await this.ensureRepo();
 
+    // json fields are split on the unit separator, so quotes in subjects stay intact
     const formatOptions = {
-      oneline: '--oneline',
-      full: '--pretty=format:"%H|%an|%ad|%s" --date=short',
-      json: '--pretty=format:"{\\"hash\\": \\"%H\\", \\"author\\": \\"%an\\", \\"date\\": \\"%ad\\", \\"message\\": \\"%s\\"}" --date=short',
+      oneline: ['--oneline'],
+      full: ['--pretty=format:%H|%an|%ad|%s', '--date=short'],
+      json: ['--pretty=format:%H%x1f%an%x1f%ad%x1f%s', '--date=short'],
     };
 
-    const formatOption = formatOptions[format] || formatOptions.oneline;
-    const result = await cmd.exec(`git log ${formatOption} -${count}`);
+    const formatArgs = formatOptions[format] || formatOptions.oneline;
+    const result = await this.run(['log', ...formatArgs, `-${count}`]);
 
     if (!result.success) {
       return [];
@@ -237,14 +323,11 @@ export class GitHelper {
     if (format === 'json') {
       return result.stdout
         .split('\n')
+        .filter(line => line.trim())
         .map(line => {
-          try {
-            return JSON.parse(line);
-          } catch {
-            return null;
-          }
-        })
-        .filter(Boolean);
+          const [hash, author, date, message] = line.split('\x1f');
+          return { hash, author, date, message };
+        });
     }
 
     return result.stdout.split('\n').filter(line => line.trim());
@@ -256,7 +339,7 @@ export class GitHelper {
   async getRemotes() {
     await this.ensureRepo();
 
-    const result = await cmd.exec('git remote -v');
+    const result = await this.run(['remote', '-v']);
     if (!result.success) {
       return {};
     }
@@ -282,29 +365,35 @@ export class GitHelper {
   async stash(message = null, options = {}) {
     await this.ensureRepo();
 
-    const stashOptions = [];
+    const stashArgs = ['stash', 'push'];
     if (message) {
-      stashOptions.push(`push -m "${message}"`);
+      stashArgs.push('-m', message);
     }
     if (options.includeUntracked) {
-      stashOptions.push('-u');
+      stashArgs.push('-u');
     }
     if (options.keepIndex) {
-      stashOptions.push('--keep-index');
+      stashArgs.push('--keep-index');
     }
 
-    const command = `git stash ${stashOptions.length ? stashOptions.join(' ') : 'push'}`;
-    return await cmd.exec(command);
+    return await this.run(stashArgs);
   }
 
   /**
    * Apply stash
    */
-  async stashPop(stashRef = null) {
+  async stashPop(stashRef = null, options = {}) {
     await this.ensureRepo();
 
-    const command = stashRef ? `git stash pop ${stashRef}` : 'git stash pop';
-    return await cmd.exec(command);
+    // --index also restores which changes were staged
+    const popArgs = ['stash', 'pop'];
+    if (options.index) {
+      popArgs.push('--index');
+    }
+    if (stashRef) {
+      popArgs.push(stashRef);
+    }
+    return await this.run(popArgs);
   }
 
   /**
@@ -316,16 +405,16 @@ export class GitHelper {
     log.step('Running Git cleanup operations...');
 
     const operations = [
-      { name: 'Garbage collection', command: 'git gc --prune=now' },
-      { name: 'Prune remote branches', command: 'git remote prune origin' },
-      { name: 'Clean untracked files (dry run)', command: 'git clean -n' },
+      { name: 'Garbage collection', args: ['gc', '--prune=now'] },
+      { name: 'Prune remote branches', args: ['remote', 'prune', 'origin'] },
+      { name: 'Clean untracked files (dry run)', args: ['clean', '-n'] },
     ];
 
     const results = {};
 
     for (const op of operations) {
       log.info(`Running: ${op.name}`);
-      const result = await cmd.exec(op.command);
+      const result = await this.run(op.args);
       results[op.name] = result.success;
 
       if (result.success) {
@@ -347,7 +436,7 @@ export class GitHelper {
     const checks = [];
 
     // Check if we have commits
-    const hasCommits = await cmd.exec('git rev-list --count HEAD');
+    const hasCommits = await this.run(['rev-list', '--count', 'HEAD']);
     checks.push({
       name: 'Has commits',
       passed: hasCommits.success && parseInt(hasCommits.stdout) > 0,
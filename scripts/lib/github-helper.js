@@ -7,7 +7,7 @@
 
 import utils from './utils.js';
 
-const { cmd, log } = utils.default;
+const { cmd, log } = utils;
 
 /**
  * GitHub CLI operations
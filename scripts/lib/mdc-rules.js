@@ -0,0 +1,398 @@
+#!/usr/bin/env node
+
+/**
+ * 📐 MDC Rules - Cursor Rule File Parser
+ * Reads the .mdc files under .cursor/rules, their frontmatter and cross-references
+ */
+
+import path from 'path';
+import { glob } from 'glob';
+import { minimatch, Minimatch } from 'minimatch';
+import utils from './utils.js';
+
+const { file } = utils;
+
+export const RULES_DIR = '.cursor/rules';
+
+export const FRONTMATTER_KEYS = ['description', 'globs', 'alwaysApply'];
+
+/**
+ * Activation modes, named as in Cursor's rule type picker
+ */
+export const RULE_MODES = {
+  always: 'Always',
+  auto: 'Auto Attached',
+  agent: 'Agent Requested',
+  manual: 'Manual',
+};
+
+/**
+ * Parse a single frontmatter scalar (Cursor accepts unquoted globs such as `*.ts`)
+ */
+function parseScalar(raw) {
+  const value = raw.trim();
+
+  if (value === '') {
+    return null;
+  }
+  if (/^(['"]).*\1$/.test(value)) {
+    return value.slice(1, -1);
+  }
+  if (value.startsWith('[') && value.endsWith(']')) {
+    return value
+      .slice(1, -1)
+      .split(',')
+      .map(item => parseScalar(item))
+      .filter(item => item !== null);
+  }
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  if (/^-?\d+(\.\d+)?$/.test(value)) {
+    return Number(value);
+  }
+  return value;
+}
+
+/**
+ * Split a comma separated globs string, keeping commas inside {a,b} groups
+ */
+export function splitGlobs(value) {
+  const patterns = [''];
+  let depth = 0;
+  for (const char of value) {
+    depth += char === '{' ? 1 : char === '}' ? -1 : 0;
+    if (char === ',' && depth <= 0) {
+      patterns.push('');
+    } else {
+      patterns[patterns.length - 1] += char;
+    }
+  }
+  return patterns;
+}
+
+/**
+ * Describe a value for error messages
+ */
+function describe(value) {
+  return Array.isArray(value) ? 'a list' : `${typeof value} ${JSON.stringify(value)}`;
+}
+
+/**
+ * Split an .mdc file into raw frontmatter fields and body
+ *
+ * Frontmatter is read line by line rather than as YAML: Cursor writes
+ * `globs: *.ts` unquoted, which a YAML parser rejects as an alias.
+ */
+export function parseMdc(content) {
+  const lines = content.split(/\r?\n/);
+  const result = { hasFrontmatter: false, fields: {}, body: content, bodyLine: 1, errors: [] };
+
+  if (lines[0]?.trim() !== '---') {
+    return result;
+  }
+
+  const end = lines.findIndex((line, index) => index > 0 && line.trim() === '---');
+  if (end === -1) {
+    result.errors.push({ line: 1, message: 'frontmatter is not closed with ---' });
+    return result;
+  }
+
+  result.hasFrontmatter = true;
+  result.body = lines.slice(end + 1).join('\n');
+  result.bodyLine = end + 2;
+
+  let currentKey = null;
+  for (let index = 1; index < end; index++) {
+    const line = lines[index];
+    const lineNumber = index + 1;
+    const keyMatch = line.match(/^([A-Za-z_][\w-]*)\s*:(.*)$/);
+    const itemMatch = line.match(/^\s+-\s*(.*)$/);
+
+    if (keyMatch) {
+      currentKey = keyMatch[1];
+      if (result.fields[currentKey]) {
+        result.errors.push({ line: lineNumber, message: `duplicate key "${currentKey}"` });
+      }
+      result.fields[currentKey] = { value: parseScalar(keyMatch[2]), line: lineNumber };
+    } else if (itemMatch && currentKey) {
+      const field = result.fields[currentKey];
+      if (field.value !== null && !Array.isArray(field.value)) {
+        result.errors.push({
+          line: lineNumber,
+          message: `"${currentKey}" mixes a value and list items`,
+        });
+        continue;
+      }
+      field.value = [...(field.value || []), parseScalar(itemMatch[1])];
+    } else if (line.trim() !== '' && !line.trim().startsWith('#')) {
+      result.errors.push({ line: lineNumber, message: `cannot parse "${line.trim()}"` });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Normalize raw fields into { description, globs, alwaysApply }, collecting type errors
+ */
+export function normalizeFrontmatter(fields) {
+  const errors = [];
+  const frontmatter = { description: '', globs: [], alwaysApply: false };
+
+  const description = fields.description?.value ?? null;
+  if (description !== null) {
+    if (typeof description === 'string') {
+      frontmatter.description = description.trim();
+    } else {
+      errors.push({
+        line: fields.description.line,
+        message: `description: expected a string, got ${describe(description)}`,
+      });
+    }
+  }
+
+  const globs = fields.globs?.value ?? null;
+  if (globs !== null) {
+    const patterns = typeof globs === 'string' ? splitGlobs(globs) : globs;
+    if (!Array.isArray(patterns) || patterns.some(pattern => typeof pattern !== 'string')) {
+      errors.push({
+        line: fields.globs.line,
+        message: `globs: expected a comma separated string or a list of strings, got ${describe(globs)}`,
+      });
+    } else {
+      frontmatter.globs = patterns.map(pattern => pattern.trim()).filter(Boolean);
+    }
+  }
+
+  const alwaysApply = fields.alwaysApply?.value ?? null;
+  if (alwaysApply !== null) {
+    if (typeof alwaysApply === 'boolean') {
+      frontmatter.alwaysApply = alwaysApply;
+    } else {
+      errors.push({
+        line: fields.alwaysApply.line,
+        message: `alwaysApply: expected true or false, got ${describe(alwaysApply)}`,
+      });
+    }
+  }
+
+  return { frontmatter, errors };
+}
+
+/**
+ * Activation mode Cursor derives from the frontmatter
+ */
+export function getRuleMode(frontmatter) {
+  if (frontmatter.alwaysApply) {
+    return 'always';
+  }
+  if (frontmatter.globs.length > 0) {
+    return 'auto';
+  }
+  if (frontmatter.description) {
+    return 'agent';
+  }
+  return 'manual';
+}
+
+/**
+ * Mode declared by the file name suffix (e.g. `planning-essentials-agent.mdc`)
+ */
+export function getDeclaredMode(rulePath) {
+  const match = path.basename(rulePath, '.mdc').match(/-(always|auto|agent|manual)$/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Check a glob pattern, returning an error message or null when valid
+ */
+export function validateGlob(pattern) {
+  if (pattern.includes('\\')) {
+    return 'use forward slashes in globs';
+  }
+  if (path.isAbsolute(pattern) || /^[A-Za-z]:/.test(pattern)) {
+    return 'globs are matched against paths relative to the project root';
+  }
+  if (pattern.startsWith('./')) {
+    return 'a leading ./ never matches (paths are compared without it)';
+  }
+
+  const pairs = { '{': '}', '[': ']', '(': ')' };
+  const stack = [];
+  for (const char of pattern) {
+    if (pairs[char]) {
+      stack.push(pairs[char]);
+    } else if (Object.values(pairs).includes(char) && stack.pop() !== char) {
+      return `unbalanced "${char}"`;
+    }
+  }
+  if (stack.length > 0) {
+    return `missing closing "${stack.pop()}"`;
+  }
+
+  if (new Minimatch(pattern, { dot: true }).makeRe() === false) {
+    return 'not a valid glob pattern';
+  }
+  return null;
+}
+
+/**
+ * Normalize a file path to the project-relative POSIX form globs are matched against
+ */
+export function toProjectPath(filePath, root = process.cwd()) {
+  return path.relative(root, path.resolve(root, filePath)).split(path.sep).join('/');
+}
+
+/**
+ * Test a project-relative path against one rule glob
+ *
+ * Like Cursor, a pattern without a slash (`*.ts`) matches the file name at any depth.
+ */
+export function matchGlob(filePath, pattern) {
+  return minimatch(filePath, pattern, { dot: true, matchBase: !pattern.includes('/') });
+}
+
+/**
+ * Decide whether Cursor attaches a rule when the given file is in context
+ *
+ * Returns { attached, mode, reason, pattern? } or null for rules that only load on an @-mention.
+ */
+export function matchRule(rule, filePath) {
+  const { alwaysApply, globs, description } = rule.frontmatter;
+
+  if (alwaysApply) {
+    return { attached: true, mode: 'always', reason: 'alwaysApply: true' };
+  }
+
+  const pattern = globs.find(glob => matchGlob(filePath, glob));
+  if (pattern) {
+    return { attached: true, mode: 'auto', reason: `matches glob "${pattern}"`, pattern };
+  }
+
+  // Cursor offers described rules to the agent, which decides from the description alone
+  if (description) {
+    return { attached: false, mode: 'agent', reason: `agent may request it: "${description}"` };
+  }
+
+  return null;
+}
+
+/**
+ * Find references to other rules in a rule body
+ *
+ * Recognised forms: `[label](mdc:path)` links, backticked `dir/file.mdc` paths,
+ * `(\`dir/\`)` category links and `dir/ → file.mdc` lines in code blocks.
+ */
+export function extractReferences(body, bodyLine = 1) {
+  const references = [];
+  let inCodeBlock = false;
+
+  body.split('\n').forEach((text, index) => {
+    const line = bodyLine + index;
+
+    if (text.trim().startsWith('```')) {
+      inCodeBlock = !inCodeBlock;
+      return;
+    }
+
+    if (inCodeBlock) {
+      const arrow = text.match(/^\s*([\w-]+)\/\s*→\s*([\w.-]+\.mdc)\b/);
+      if (arrow) {
+        references.push({ kind: 'rule', target: `${arrow[1]}/${arrow[2]}`, line });
+      }
+      return;
+    }
+
+    for (const match of text.matchAll(/\[[^\]]*\]\(mdc:([^)\s]+)\)/g)) {
+      references.push({ kind: 'link', target: match[1], line });
+    }
+    for (const match of text.matchAll(/`([^`\s]+\.mdc)`/g)) {
+      references.push({ kind: 'rule', target: match[1], line });
+    }
+    for (const match of text.matchAll(/\(`([\w-]+)\/`\)/g)) {
+      references.push({ kind: 'directory', target: match[1], line });
+    }
+  });
+
+  return references;
+}
+
+/**
+ * Split a rule body into paragraphs (blank line separated) with their starting line
+ */
+export function splitParagraphs(body, bodyLine = 1) {
+  const paragraphs = [];
+  let current = null;
+
+  body.split('\n').forEach((text, index) => {
+    if (text.trim() === '') {
+      current = null;
+      return;
+    }
+    if (!current) {
+      current = { text: '', line: bodyLine + index };
+      paragraphs.push(current);
+    }
+    current.text += `${current.text ? '\n' : ''}${text}`;
+  });
+
+  return paragraphs;
+}
+
+/**
+ * Find paragraphs repeated across (or within) rules
+ *
+ * Paragraphs are compared case and whitespace insensitively; shorter ones
+ * (headings, separators) are ignored below `minLength` characters.
+ */
+export function findDuplicateParagraphs(rules, minLength = 80) {
+  const seen = new Map();
+
+  for (const rule of rules) {
+    for (const paragraph of splitParagraphs(rule.body, rule.bodyLine)) {
+      const key = paragraph.text.toLowerCase().replace(/\s+/g, ' ').trim();
+      if (key.length < minLength) {
+        continue;
+      }
+      if (!seen.has(key)) {
+        seen.set(key, { text: paragraph.text, occurrences: [] });
+      }
+      seen.get(key).occurrences.push({ rule: rule.name, path: rule.path, line: paragraph.line });
+    }
+  }
+
+  return [...seen.values()].filter(duplicate => duplicate.occurrences.length > 1);
+}
+
+/**
+ * Load and parse every rule under the rules directory
+ */
+export async function loadRules(rulesDir = RULES_DIR) {
+  const paths = (await glob('**/*.mdc', { cwd: rulesDir, posix: true })).sort();
+
+  return Promise.all(
+    paths.map(async relativePath => {
+      const filePath = path.posix.join(rulesDir.replace(/\\/g, '/'), relativePath);
+      const content = await file.read(filePath);
+      const parsed = parseMdc(content);
+      const { frontmatter, errors } = normalizeFrontmatter(parsed.fields);
+
+      return {
+        name: relativePath.replace(/\.mdc$/, ''),
+        relativePath,
+        path: filePath,
+        content,
+        hasFrontmatter: parsed.hasFrontmatter,
+        fields: parsed.fields,
+        frontmatter,
+        mode: getRuleMode(frontmatter),
+        body: parsed.body,
+        bodyLine: parsed.bodyLine,
+        errors: [...parsed.errors, ...errors],
+      };
+    })
+  );
+}
+
+export default loadRules;
@@ -0,0 +1,293 @@
+#!/usr/bin/env node
+
+/**
+ * 🧠 Memory Bank - memory-bank/ Templates
+ * Renders the files expected by the memory/context-manager rule from
+ * project detection, package.json, git history and plan status
+ */
+
+import path from 'path';
+import utils from './utils.js';
+
+const { file, cmd } = utils;
+
+export const MEMORY_DIR = 'memory-bank';
+
+export const MEMORY_FILES = [
+  'projectbrief.md',
+  'activeContext.md',
+  'techContext.md',
+  'systemPatterns.md',
+  'progress.md',
+];
+
+// Files whose generated block `memory update` refreshes
+export const GENERATED_FILES = ['techContext.md', 'progress.md'];
+
+// Commit the bank was last refreshed at, for the staleness check
+export const META_FILE = '.meta.json';
+
+const GENERATED_START =
+  '<!-- cursor-tools:generated - refreshed by `cursor-tools memory update` -->';
+const GENERATED_END = '<!-- /cursor-tools:generated -->';
+
+/**
+ * Wrap generated markdown in the markers `memory update` replaces
+ */
+function generated(content) {
+  return `${GENERATED_START}\n\n${content.trim()}\n\n${GENERATED_END}`;
+}
+
+/**
+ * Replace the generated block of a file, keeping hand-written notes around it
+ */
+export function replaceGenerated(content, section) {
+  const start = content.indexOf(GENERATED_START);
+  const end = content.indexOf(GENERATED_END);
+  if (start === -1 || end < start) {
+    return `${content.trimEnd()}\n\n${generated(section)}\n`;
+  }
+  return content.slice(0, start) + generated(section) + content.slice(end + GENERATED_END.length);
+}
+
+/**
+ * Markdown list, or a placeholder when empty
+ */
+function bullets(items, empty) {
+  return items.length > 0 ? items.map(item => `- ${item}`).join('\n') : `- ${empty}`;
+}
+
+/**
+ * "name `version`" lines of a package.json dependency map
+ */
+function dependencyList(dependencies = {}) {
+  return Object.entries(dependencies).map(([name, version]) => `${name} \`${version}\``);
+}
+
+/**
+ * projectbrief.md: project identity and archived plans
+ */
+function renderProjectBrief(context) {
+  const { info, pkg, plans } = context;
+  const repository = typeof pkg.repository === 'string' ? pkg.repository : pkg.repository?.url;
+  const archived = plans.filter(plan => plan.status === 'completed');
+
+  return `# Project Brief
+
+## PROJET
+
+- **Nom** : ${info.name || pkg.name || path.basename(process.cwd())}
+- **Description** : ${pkg.description || '[À compléter]'}
+- **Type** : ${info.projectType} (${info.packageManager})
+- **Version** : ${info.version || pkg.version || context.latestTag || 'N/A'}${repository ? `\n- **Dépôt** : ${repository}` : ''}
+
+## OBJECTIFS
+
+- [À compléter]
+
+## PLANS ARCHIVÉS
+
+${bullets(
+  archived.map(plan => `${plan.title} (\`${plan.path}\`)`),
+  'Aucun plan terminé'
+)}
+`;
+}
+
+/**
+ * activeContext.md: current session and the open items of the active plans
+ */
+function renderActiveContext(context) {
+  const { plans, commits, date } = context;
+  const active = plans.filter(plan => plan.status === 'active');
+  const nextSteps = active.flatMap(plan =>
+    plan.checklist.filter(item => !item.checked).map(item => `[ ] ${item.text}`)
+  );
+
+  return `# Active Context
+
+## CONTEXTE ACTUEL
+
+- **Session** : ${date} - ${active.map(plan => plan.title).join(', ') || '[Objectif principal]'}
+- **État** : En cours
+- **Dernière action** : ${commits[0]?.subject || '[Description]'}
+
+## PROCHAINES ÉTAPES
+
+${bullets(nextSteps.slice(0, 10), '[ ] Action 1')}
+`;
+}
+
+/**
+ * Generated part of techContext.md
+ */
+function techContextSection(context) {
+  const { info, pkg } = context;
+  const scripts = Object.entries(pkg.scripts || {}).map(
+    ([name, command]) => `\`${name}\` → \`${command}\``
+  );
+
+  return `## STACK
+
+- **Type** : ${info.projectType}
+- **Gestionnaire de paquets** : ${info.packageManager}
+- **Build** : ${info.buildTool || 'N/A'}
+- **Fichier de version** : ${info.versionFile}
+- **Plateforme** : ${info.platform}${
+    pkg.engines
+      ? `\n- **Moteurs** : ${Object.entries(pkg.engines)
+          .map(([name, range]) => `${name} ${range}`)
+          .join(', ')}`
+      : ''
+  }
+
+## DÉPENDANCES
+
+${bullets(dependencyList(pkg.dependencies), 'Aucune')}
+
+## DÉPENDANCES DE DÉVELOPPEMENT
+
+${bullets(dependencyList(pkg.devDependencies), 'Aucune')}
+
+## SCRIPTS
+
+${bullets(scripts, 'Aucun')}`;
+}
+
+/**
+ * techContext.md: generated stack block followed by free notes
+ */
+function renderTechContext(context) {
+  return `# Tech Context
+
+${generated(techContextSection(context))}
+
+## NOTES
+
+- [Choix techniques, contraintes, environnement]
+`;
+}
+
+/**
+ * systemPatterns.md: sections to fill in as patterns are found
+ */
+function renderSystemPatterns() {
+  return `# System Patterns
+
+## ARCHITECTURE
+
+- [Organisation des modules et responsabilités]
+
+## PATTERNS DÉCOUVERTS
+
+- [Pattern] : [Où et pourquoi il est utilisé]
+
+## CONVENTIONS
+
+- [Nommage, gestion d'erreurs, tests]
+`;
+}
+
+/**
+ * Generated part of progress.md
+ */
+function progressSection(context) {
+  const { plans, commits, latestTag, firstCommitDate, info } = context;
+  const completed = plans.filter(plan => plan.status === 'completed').length;
+  const active = plans.filter(plan => plan.status === 'active');
+
+  return `## PROGRESSION GLOBALE
+
+- **Démarré** : ${firstCommitDate || 'N/A'}
+- **Phases complétées** : ${completed}/${plans.length}
+- **Dernière release** : ${latestTag || info.version || 'N/A'}
+
+## PLANS ACTIFS
+
+${bullets(
+  active.map(
+    plan =>
+      `${plan.title} - ${plan.progress.done}/${plan.progress.total} (${plan.progress.percent}%)`
+  ),
+  'Aucun plan actif'
+)}
+
+## HISTORIQUE RÉCENT
+
+${bullets(
+  commits.map(commit => `${commit.date} : ${commit.subject} (${commit.hash})`),
+  'Aucun commit'
+)}`;
+}
+
+/**
+ * progress.md: generated progress block
+ */
+function renderProgress(context) {
+  return `# Progress
+
+${generated(progressSection(context))}
+`;
+}
+
+const RENDERERS = {
+  'projectbrief.md': renderProjectBrief,
+  'activeContext.md': renderActiveContext,
+  'techContext.md': renderTechContext,
+  'systemPatterns.md': renderSystemPatterns,
+  'progress.md': renderProgress,
+};
+
+const SECTIONS = {
+  'techContext.md': techContextSection,
+  'progress.md': progressSection,
+};
+
+/**
+ * Full content of a memory bank file
+ */
+export function renderMemoryFile(name, context) {
+  return RENDERERS[name](context);
+}
+
+/**
+ * Generated block of a file refreshed by `memory update`
+ */
+export function renderGeneratedSection(name, context) {
+  return SECTIONS[name](context);
+}
+
+/**
+ * Read the refresh metadata of a memory bank
+ */
+export async function readMeta(dir = MEMORY_DIR) {
+  const content = await file.read(path.join(dir, META_FILE));
+  try {
+    return content === null ? null : JSON.parse(content);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Record the commit the memory bank was refreshed at
+ */
+export async function writeMeta(dir = MEMORY_DIR) {
+  const head = await cmd.execFile('git', ['rev-parse', 'HEAD']);
+  const meta = { updatedAt: new Date().toISOString(), commit: head.success ? head.stdout : null };
+  await file.write(path.join(dir, META_FILE), JSON.stringify(meta, null, 2) + '\n');
+  return meta;
+}
+
+/**
+ * Number of commits since the last refresh (null when unknown)
+ */
+export async function getStaleness(dir = MEMORY_DIR) {
+  const meta = await readMeta(dir);
+  if (!meta?.commit) {
+    return { meta, commitsBehind: null };
+  }
+
+  const result = await cmd.execFile('git', ['rev-list', '--count', `${meta.commit}..HEAD`]);
+  return { meta, commitsBehind: result.success ? Number(result.stdout) : null };
+}
@@ -0,0 +1,357 @@
+#!/usr/bin/env node
+
+/**
+ * 📋 Plans - .cursor/plans Reader
+ * Locates plans across todo/active/completed and parses their checklists
+ */
+
+import path from 'path';
+import utils from './utils.js';
+
+const { file, cmd, common } = utils;
+
+export const PLANS_DIR = '.cursor/plans';
+
+export const PLAN_STATUSES = ['todo', 'active', 'completed'];
+
+export const TEMPLATE_FILE = 'templates/generic.md';
+
+// Commit trailer linking a commit to a plan checkbox: "Plan: <file>#<n> <item text>"
+export const PLAN_TRAILER = 'Plan';
+
+// Cache of the Plan trailers found in git history (rebuildable with `plan status --rebuild`)
+export const HISTORY_FILE = '.automation/plan-history.json';
+
+const TRAILER_VALUE = /^(\S+?)#(\d+)(?:\s+(.*))?$/;
+
+// Words too common to tell two checklist items apart
+const STOP_WORDS = new Set([
+  'the',
+  'and',
+  'for',
+  'with',
+  'from',
+  'into',
+  'les',
+  'des',
+  'une',
+  'dans',
+  'pour',
+  'par',
+  'sur',
+  'avec',
+  'md',
+  'js',
+]);
+
+// Matches "- [ ] item", "* [x] item" and "1. [ ] item"
+const CHECKBOX_PATTERN = /^(\s*)(?:[-*+]|\d+\.)\s+\[([ xX])\]\s+(.*)$/;
+
+/**
+ * Parse the checkboxes of a plan, with their 1-based line numbers
+ */
+export function parseChecklist(content) {
+  const items = [];
+  content.split('\n').forEach((line, index) => {
+    const match = line.match(CHECKBOX_PATTERN);
+    if (match) {
+      items.push({
+        line: index + 1,
+        indent: match[1].length,
+        checked: match[2] !== ' ',
+        text: match[3].trim(),
+      });
+    }
+  });
+  return items;
+}
+
+/**
+ * Checkbox completion of a checklist
+ */
+export function getProgress(checklist) {
+  const done = checklist.filter(item => item.checked).length;
+  return {
+    done,
+    total: checklist.length,
+    percent: checklist.length > 0 ? Math.round((done / checklist.length) * 100) : 0,
+  };
+}
+
+/**
+ * Slugified plan file name (always .md)
+ */
+export function planFileName(name) {
+  const slug = common.slugify(name.replace(/\.md$/i, ''));
+  if (!slug) {
+    throw new Error(`Cannot derive a plan file name from "${name}"`);
+  }
+  return `${slug}.md`;
+}
+
+/**
+ * Read one plan file
+ */
+export async function readPlan(filePath, status) {
+  const content = (await file.read(filePath)) || '';
+  const stats = await file.stats(filePath);
+  const checklist = parseChecklist(content);
+
+  const title =
+    content.match(/^#\s+(?:📋\s*)?(?:PLAN\s*:\s*)?(.+)$/m)?.[1].trim() ||
+    path.basename(filePath).replace(/\.md$/i, '');
+  const dateMatch = content.match(/\*\*Date\*\*\s*:\s*(\d{4}-\d{2}-\d{2})/);
+  const created = dateMatch ? new Date(`${dateMatch[1]}T00:00:00`) : stats?.mtime || new Date();
+
+  return {
+    name: path.basename(filePath),
+    status,
+    path: filePath,
+    title,
+    created,
+    complexity: content.match(/\*\*Complexité\*\*\s*:\s*(.+?)\s*$/m)?.[1] || null,
+    checklist,
+    progress: getProgress(checklist),
+    content,
+  };
+}
+
+/**
+ * List the plans of every status folder (any file, with or without extension)
+ */
+export async function listPlans(plansDir = PLANS_DIR) {
+  const plans = [];
+  for (const status of PLAN_STATUSES) {
+    const dir = path.join(plansDir, status);
+    for (const name of (await file.list(dir)).sort()) {
+      const filePath = path.join(dir, name);
+      if ((await file.stats(filePath))?.isFile() && !name.startsWith('.')) {
+        plans.push(await readPlan(filePath, status));
+      }
+    }
+  }
+  return plans;
+}
+
+/**
+ * Find a plan by file name, slug or title (prefix matches allowed when unambiguous)
+ */
+export async function findPlan(query, options = {}) {
+  const plans = (await listPlans(options.plansDir)).filter(
+    plan => !options.statuses || options.statuses.includes(plan.status)
+  );
+  const slug = common.slugify(query.replace(/\.md$/i, ''));
+  const slugKey = text => `${common.slugify(text.replace(/\.md$/i, ''))}.md`;
+  const keys = plan => [plan.name, slugKey(plan.name), slugKey(plan.title)];
+
+  const exact = plans.filter(plan => keys(plan).some(key => key === query || key === `${slug}.md`));
+  const candidates =
+    exact.length > 0
+      ? exact
+      : plans.filter(plan => keys(plan).some(key => slug && key.startsWith(slug)));
+
+  if (candidates.length === 0) {
+    const scope = options.statuses ? ` in ${options.statuses.join('/')}` : '';
+    throw new Error(`No plan matching "${query}"${scope}`);
+  }
+  if (candidates.length > 1) {
+    throw new Error(
+      `"${query}" matches several plans: ${candidates.map(plan => `${plan.status}/${plan.name}`).join(', ')}`
+    );
+  }
+  return candidates[0];
+}
+
+/**
+ * The plans currently in active/
+ */
+export async function getActivePlans(plansDir = PLANS_DIR) {
+  return (await listPlans(plansDir)).filter(plan => plan.status === 'active');
+}
+
+/**
+ * Checklist text as written in a trailer: one line, without markdown or shell-sensitive characters
+ */
+export function normalizeItemText(text) {
+  return text
+    .replace(/[`*"$\\]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Lowercase keywords of a text or file path
+ */
+function keywords(text) {
+  return new Set(
+    (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter(
+      word => word.length >= 3 && !STOP_WORDS.has(word)
+    )
+  );
+}
+
+/**
+ * Rank the unchecked items of the given plans against a commit message and its files
+ *
+ * The score is the share of an item's keywords found in the commit.
+ */
+export function suggestPlanItems(plans, { message = '', files = [] } = {}) {
+  const commitWords = keywords([message, ...files].join(' '));
+  const suggestions = [];
+
+  for (const plan of plans) {
+    plan.checklist.forEach((item, index) => {
+      const itemWords = [...keywords(item.text)];
+      const shared = itemWords.filter(word => commitWords.has(word));
+      if (!item.checked && shared.length > 0) {
+        suggestions.push({
+          plan,
+          item,
+          index: index + 1,
+          shared,
+          score: shared.length / itemWords.length,
+        });
+      }
+    });
+  }
+
+  return suggestions.sort((a, b) => b.score - a.score || b.shared.length - a.shared.length);
+}
+
+/**
+ * Trailer line for a plan checkbox (index is 1-based)
+ */
+export function formatPlanTrailer(plan, index, item) {
+  return `${PLAN_TRAILER}: ${plan.name}#${index} ${normalizeItemText(item.text)}`;
+}
+
+/**
+ * Parse a Plan trailer value ("<file>#<n> <item text>")
+ */
+export function parsePlanTrailer(value) {
+  const match = value.trim().match(TRAILER_VALUE);
+  if (!match) {
+    return null;
+  }
+  return { plan: match[1], index: Number(match[2]), text: match[3]?.trim() || '' };
+}
+
+/**
+ * Plan trailers of a commit message
+ */
+export function getPlanTrailers(message) {
+  const pattern = new RegExp(`^${PLAN_TRAILER}:\\s*(.+)$`, 'gim');
+  return [...message.matchAll(pattern)].map(match => parsePlanTrailer(match[1])).filter(Boolean);
+}
+
+/**
+ * Append a trailer to a commit message, joining an existing trailer block when there is one
+ * ("Token: value" or "Token #value" footers, with indented continuation lines)
+ */
+export function appendTrailer(message, trailer) {
+  const trimmed = message.trimEnd();
+  const paragraphs = trimmed.split(/\n\s*\n/);
+  const last = paragraphs[paragraphs.length - 1].split('\n');
+  const inTrailerBlock =
+    paragraphs.length > 1 &&
+    /^([A-Za-z][\w-]*(:\s| #)|BREAKING CHANGE:\s)/.test(last[0]) &&
+    last.every(line => /^([A-Za-z][\w-]*(:\s| #)|BREAKING CHANGE:\s|\s+\S)/.test(line));
+  return `${trimmed}${inTrailerBlock ? '\n' : '\n\n'}${trailer}`;
+}
+
+/**
+ * Write the plan history snapshot
+ */
+export async function writePlanHistory(history, historyFile = HISTORY_FILE) {
+  await file.write(historyFile, JSON.stringify(history, null, 2) + '\n');
+}
+
+/**
+ * History entries of one commit
+ */
+function historyEntries(commit) {
+  return getPlanTrailers(commit.message).map(trailer => ({
+    commit: commit.hash,
+    date: commit.date,
+    subject: commit.message.split('\n')[0],
+    ...trailer,
+  }));
+}
+
+/**
+ * Refresh the plan history after a commit, returning the entries of that commit (HEAD)
+ */
+export async function recordPlanCommit(message, historyFile = HISTORY_FILE) {
+  if (getPlanTrailers(message).length === 0) {
+    return [];
+  }
+
+  const head = await cmd.execFile('git', ['rev-parse', 'HEAD']);
+  if (!head.success) {
+    throw new Error(`Cannot read the new commit: ${head.stderr}`);
+  }
+
+  const history = await rebuildPlanHistory(historyFile);
+  return history.entries.filter(entry => entry.commit === head.stdout);
+}
+
+/**
+ * Rebuild the plan history from the Plan trailers of the whole git log
+ * Always read from git, so amended, rebased and plain `git commit` trailers are current
+ */
+export async function rebuildPlanHistory(historyFile = HISTORY_FILE) {
+  const result = await cmd.execFile(
+    'git',
+    [
+      'log',
+      '--reverse',
+      '--date=short',
+      `--grep=^${PLAN_TRAILER}:`,
+      '--format=%H%x1f%ad%x1f%B%x1e',
+    ],
+    { maxBuffer: 64 * 1024 * 1024 }
+  );
+  if (!result.success) {
+    throw new Error(`Cannot read git history: ${result.stderr}`);
+  }
+
+  const entries = result.stdout
+    .split('\x1e')
+    .map(record => record.trim())
+    .filter(Boolean)
+    .flatMap(record => {
+      const [hash, date, message] = record.split('\x1f');
+      return historyEntries({ hash, date, message });
+    });
+
+  const history = { rebuiltAt: new Date().toISOString(), entries };
+  await writePlanHistory(history, historyFile);
+  return history;
+}
+
+/**
+ * Attach history entries to the checkboxes of a plan
+ *
+ * Entries are matched by item text first, then by checkbox number when the text was edited.
+ */
+export function linkPlanCommits(plan, entries) {
+  const key = planFileName(plan.name);
+  const items = plan.checklist.map((item, index) => ({ ...item, index: index + 1, commits: [] }));
+  const unmatched = [];
+
+  for (const entry of entries) {
+    if (planFileName(entry.plan) !== key) {
+      continue;
+    }
+    const target =
+      items.find(item => entry.text && normalizeItemText(item.text) === entry.text) ||
+      items[entry.index - 1];
+    if (target) {
+      target.commits.push(entry);
+    } else {
+      unmatched.push(entry);
+    }
+  }
+
+  return { items, unmatched };
+}
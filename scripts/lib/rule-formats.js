@@ -0,0 +1,279 @@
+#!/usr/bin/env node
+
+/**
+ * 🔄 Rule Formats - Convert Cursor Rules to and from Other Agent Formats
+ * Compiles .mdc rules into AGENTS.md, CLAUDE.md, .cursorrules or Copilot
+ * instructions, and splits legacy single-file rules back into .mdc files
+ */
+
+import utils from './utils.js';
+import { splitGlobs } from './mdc-rules.js';
+
+const { common } = utils;
+
+export const EXPORT_FORMATS = {
+  'agents-md': { output: 'AGENTS.md', title: 'AGENTS.md' },
+  'claude-md': { output: 'CLAUDE.md', title: 'CLAUDE.md' },
+  cursorrules: { output: '.cursorrules', title: 'Project Rules' },
+  copilot: { output: '.github/copilot-instructions.md', title: 'Copilot Instructions' },
+};
+
+const MODE_ORDER = ['always', 'auto', 'agent', 'manual'];
+
+// Section header written by exportRules and read back by parseLegacyRules
+const SECTION_SCOPE = /^(.+?) \((always|files: (.+)|when: (.+)|manual)\)$/;
+
+const GENERATED_NOTE =
+  '<!-- Generated from .cursor/rules by `cursor-tools rules export`; edit the .mdc files instead. ' +
+  'Sections marked "files:" apply only when working on matching paths, "when:" sections when relevant. -->';
+
+/**
+ * Keywords used to file imported sections into the rule categories of this repo
+ */
+const CATEGORY_KEYWORDS = {
+  github: [
+    'git',
+    'commit',
+    'commits',
+    'branch',
+    'branches',
+    'pull request',
+    'merge',
+    'github',
+    'pr',
+  ],
+  workflow: ['plan', 'planning', 'task', 'tasks', 'workflow', 'process', 'roadmap'],
+  memory: ['memory', 'context', 'documentation', 'docs', 'readme', 'changelog'],
+  automation: ['script', 'scripts', 'build', 'deploy', 'ci', 'pipeline', 'release', 'automation'],
+  dev: [
+    'code',
+    'style',
+    'naming',
+    'test',
+    'tests',
+    'testing',
+    'function',
+    'typescript',
+    'javascript',
+    'python',
+    'lint',
+    'error',
+    'errors',
+    'security',
+    'performance',
+    'api',
+  ],
+};
+
+/**
+ * Shift markdown headings down so rule content nests under its section
+ */
+function demoteHeadings(body, levels) {
+  let inCodeBlock = false;
+  return body
+    .split('\n')
+    .map(line => {
+      if (line.trim().startsWith('```')) {
+        inCodeBlock = !inCodeBlock;
+      }
+      const heading = !inCodeBlock && line.match(/^(#{1,6})\s/);
+      return heading
+        ? `${'#'.repeat(Math.min(Math.max(heading[1].length + levels, 1), 6))}${line.slice(heading[1].length)}`
+        : line;
+    })
+    .join('\n');
+}
+
+/**
+ * Section header carrying the rule scope
+ */
+function sectionHeader(rule) {
+  switch (rule.mode) {
+    case 'always':
+      return `## ${rule.name} (always)`;
+    case 'auto':
+      return `## ${rule.name} (files: ${rule.frontmatter.globs.join(', ')})`;
+    case 'agent':
+      return `## ${rule.name} (when: ${rule.frontmatter.description})`;
+    default:
+      return `## ${rule.name} (manual)`;
+  }
+}
+
+/**
+ * Compile rules into a single-file agent format
+ */
+export function exportRules(rules, format, options = {}) {
+  const target = EXPORT_FORMATS[format];
+  if (!target) {
+    throw new Error(
+      `Unknown export format: ${format} (expected one of ${Object.keys(EXPORT_FORMATS).join(', ')})`
+    );
+  }
+
+  // Manual rules only load on an @-mention, which the other formats cannot express
+  const selected = rules
+    .filter(rule => rule.body.trim() !== '')
+    .filter(rule => options.includeManual || rule.mode !== 'manual')
+    .sort(
+      (a, b) =>
+        MODE_ORDER.indexOf(a.mode) - MODE_ORDER.indexOf(b.mode) || a.name.localeCompare(b.name)
+    );
+
+  const sections = selected.map(
+    rule => `${sectionHeader(rule)}\n\n${demoteHeadings(rule.body.trim(), 2)}`
+  );
+
+  return {
+    rules: selected.map(rule => rule.name),
+    content: [`# ${target.title}`, GENERATED_NOTE, ...sections].join('\n\n') + '\n',
+  };
+}
+
+/**
+ * Pick the rule category of an imported section
+ */
+export function categorize(title, body) {
+  const scores = Object.entries(CATEGORY_KEYWORDS).map(([category, keywords]) => {
+    const count = (text, keyword) =>
+      (text.toLowerCase().match(new RegExp(`\\b${keyword}\\b`, 'g')) || []).length;
+    const score = keywords.reduce(
+      (total, keyword) => total + count(title, keyword) * 3 + count(body.slice(0, 1000), keyword),
+      0
+    );
+    return { category, score };
+  });
+
+  const best = scores.sort((a, b) => b.score - a.score)[0];
+  return best.score > 0 ? best.category : 'core';
+}
+
+/**
+ * Levels of the markdown headings outside code blocks
+ */
+function headingLevels(content) {
+  let inCodeBlock = false;
+  const levels = [];
+  for (const line of content.split('\n')) {
+    if (line.trim().startsWith('```')) {
+      inCodeBlock = !inCodeBlock;
+    }
+    const heading = !inCodeBlock && line.match(/^(#{1,6})\s/);
+    if (heading) {
+      levels.push(heading[1].length);
+    }
+  }
+  return levels;
+}
+
+/**
+ * Split markdown into sections at the given heading level, outside code blocks
+ */
+function splitSections(content, level) {
+  const sections = [{ title: null, lines: [] }];
+  let inCodeBlock = false;
+
+  for (const line of content.split('\n')) {
+    if (line.trim().startsWith('```')) {
+      inCodeBlock = !inCodeBlock;
+    }
+    const heading = !inCodeBlock && line.match(/^(#{1,6})\s+(.*)$/);
+    if (heading && heading[1].length === level) {
+      sections.push({ title: heading[2].trim(), lines: [] });
+    } else {
+      sections[sections.length - 1].lines.push(line);
+    }
+  }
+
+  return sections.map(section => ({ title: section.title, body: section.lines.join('\n').trim() }));
+}
+
+/**
+ * Convert a legacy single-file ruleset (.cursorrules, or an export) into rule definitions
+ *
+ * Splits at the top heading level, or at `##` when a single `#` title heads the file.
+ * Text before the first section becomes an always-applied rule.
+ */
+export function parseLegacyRules(content) {
+  const cleaned = content.replace(/<!--[\s\S]*?-->/g, '').trim();
+  const levels = headingLevels(cleaned);
+  const topLevel = levels.length > 0 ? Math.min(...levels) : null;
+  const singleTitle = topLevel !== null && levels.filter(level => level === topLevel).length === 1;
+  const splitLevel =
+    singleTitle && levels.some(level => level > topLevel) ? topLevel + 1 : topLevel;
+
+  const sections =
+    topLevel === null ? [{ title: null, body: cleaned }] : splitSections(cleaned, splitLevel);
+  const rules = [];
+
+  for (const section of sections) {
+    // Drop the lone document title, keep any text under it as the preamble
+    const body =
+      section.title === null && singleTitle
+        ? section.body.replace(/^#{1,6}\s.*(\n|$)/, '').trim()
+        : section.body;
+    if (body === '') {
+      continue;
+    }
+
+    if (section.title === null) {
+      rules.push({
+        category: 'core',
+        name: 'cursorrules-always',
+        frontmatter: { description: '', globs: [], alwaysApply: true },
+        body,
+      });
+      continue;
+    }
+
+    const scope = section.title.match(SECTION_SCOPE);
+    if (scope) {
+      // Section written by `rules export`: restore the original path and scope
+      const [category, ...rest] = scope[1].split('/');
+      const frontmatter = {
+        description: scope[4] || '',
+        globs: scope[3] ? splitGlobs(scope[3]).map(glob => glob.trim()) : [],
+        alwaysApply: scope[2] === 'always',
+      };
+      rules.push({
+        category: rest.length > 0 ? category : 'core',
+        name: rest.length > 0 ? rest.join('/') : category,
+        frontmatter,
+        body: demoteHeadings(body, -2),
+      });
+      continue;
+    }
+
+    const globs = [...section.title.matchAll(/`([^`]*[*?][^`]*)`/g)].map(match => match[1]);
+    const title = section.title
+      .replace(/`[^`]*`/g, '')
+      .replace(/[()[\]]/g, '')
+      .trim();
+    const mode = globs.length > 0 ? 'auto' : 'agent';
+    const slug = (common.slugify(title, 40) || 'rule').replace(/-(always|auto|agent|manual)$/, '');
+
+    rules.push({
+      category: categorize(title, body),
+      name: `${slug}-${mode}`,
+      frontmatter: { description: mode === 'agent' ? title : '', globs, alwaysApply: false },
+      body: `# ${title}\n\n${demoteHeadings(body, -(splitLevel - 1))}`,
+    });
+  }
+
+  return rules;
+}
+
+/**
+ * Serialize frontmatter and body into .mdc content
+ */
+export function serializeMdc(frontmatter, body) {
+  return [
+    '---',
+    `description: ${frontmatter.description || ''}`.trimEnd(),
+    `globs: ${(frontmatter.globs || []).join(', ')}`.trimEnd(),
+    `alwaysApply: ${frontmatter.alwaysApply ? 'true' : 'false'}`,
+    '---',
+    body.trim(),
+    '',
+  ].join('\n');
+}
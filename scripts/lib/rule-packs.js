@@ -0,0 +1,288 @@
+#!/usr/bin/env node
+
+/**
+ * 📦 Rule Packs - Install and Sync Shared Cursor Rules
+ * Fetches rule packs from local folders, tarballs or git repositories,
+ * tracks them in a lockfile and merges upstream changes with local edits
+ */
+
+import path from 'path';
+import os from 'os';
+import { createHash } from 'crypto';
+import { cp, mkdtemp, rm, writeFile } from 'fs/promises';
+import { glob } from 'glob';
+import utils from './utils.js';
+
+const { file, cmd } = utils;
+
+export const LOCK_FILE = '.cursor/rules.lock.json';
+
+// Pristine upstream copies, used as the merge base by `rules update`
+export const BASE_DIR = '.cursor/rule-packs';
+
+const TARBALL_PATTERN = /\.(tar\.gz|tgz|tar)$/;
+
+/**
+ * Classify a source as local, tarball or git
+ *
+ * Git sources may pin a ref with `#`: `https://host/repo.git#v1.2.0`.
+ */
+export function resolveSource(source) {
+  const [location, ref = null] = source.split('#');
+
+  if (TARBALL_PATTERN.test(location)) {
+    return { type: 'tarball', location, ref: null };
+  }
+
+  const isGitUrl =
+    /^(git@|git:\/\/|ssh:\/\/|file:\/\/)/.test(location) ||
+    (/^https?:\/\//.test(location) && !TARBALL_PATTERN.test(location));
+  const isBareRepo =
+    file.exists(path.join(location, 'HEAD')) && file.exists(path.join(location, 'objects'));
+  const isWorkingRepo = file.exists(path.join(location, '.git'));
+
+  if (isGitUrl || isBareRepo || location.endsWith('.git') || (ref && isWorkingRepo)) {
+    return { type: 'git', location, ref };
+  }
+
+  if (file.exists(location)) {
+    return { type: 'local', location: path.resolve(location), ref: null };
+  }
+
+  throw new Error(`Rule pack source not found: ${source}`);
+}
+
+/**
+ * Default pack name derived from the source location
+ */
+export function packNameFromSource(location) {
+  return path
+    .basename(location.replace(/\/+$/, ''))
+    .replace(TARBALL_PATTERN, '')
+    .replace(/\.git$/, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9._-]+/g, '-');
+}
+
+/**
+ * Hash one file's content
+ */
+export function hashContent(content) {
+  return `sha256-${createHash('sha256').update(content).digest('hex')}`;
+}
+
+/**
+ * Hash a whole pack: stable over file order, sensitive to paths and content
+ */
+export function hashPack(files) {
+  const hash = createHash('sha256');
+  for (const relativePath of Object.keys(files).sort()) {
+    hash.update(`${relativePath}\0${files[relativePath]}\0`);
+  }
+  return `sha256-${hash.digest('hex')}`;
+}
+
+/**
+ * Read every .mdc file of a directory into { relativePath: content }
+ */
+export async function readRuleFiles(dir) {
+  const files = {};
+  if (!file.exists(dir)) {
+    return files;
+  }
+  for (const relativePath of (await glob('**/*.mdc', { cwd: dir, posix: true })).sort()) {
+    files[relativePath] = await file.read(path.join(dir, relativePath));
+  }
+  return files;
+}
+
+/**
+ * Locate the rules inside a fetched pack: `.cursor/rules/`, `rules/` or the root itself
+ */
+function findRulesRoot(dir) {
+  for (const candidate of ['.cursor/rules', 'rules']) {
+    if (file.exists(path.join(dir, candidate))) {
+      return path.join(dir, candidate);
+    }
+  }
+  return dir;
+}
+
+/**
+ * Read the pack version from package.json or VERSION, if any
+ */
+async function readVersion(dir) {
+  const pkg = await file.read(path.join(dir, 'package.json'));
+  if (pkg) {
+    try {
+      const { version } = JSON.parse(pkg);
+      if (version) {
+        return version;
+      }
+    } catch (error) {
+      // Not a JSON package manifest, try VERSION
+    }
+  }
+  const version = await file.read(path.join(dir, 'VERSION'));
+  return version?.trim() || null;
+}
+
+/**
+ * Download or unpack a source into a temporary directory
+ */
+async function checkoutSource(source, workDir) {
+  const target = path.join(workDir, 'pack');
+
+  switch (source.type) {
+    case 'local':
+      await cp(source.location, target, { recursive: true });
+      return { dir: target };
+
+    case 'tarball': {
+      let archive = source.location;
+      if (/^https?:\/\//.test(archive)) {
+        const response = await fetch(archive);
+        if (!response.ok) {
+          throw new Error(`Download failed (${response.status}): ${archive}`);
+        }
+        archive = path.join(workDir, 'pack.tar.gz');
+        await writeFile(archive, Buffer.from(await response.arrayBuffer()));
+      }
+
+      await file.ensureDir(target);
+      const result = await cmd.execFile('tar', ['-xf', archive, '-C', target]);
+      if (!result.success) {
+        throw new Error(`Cannot extract ${source.location}: ${result.stderr}`);
+      }
+
+      // Tarballs usually wrap everything in a single top-level folder
+      const entries = await file.list(target);
+      const single = entries.length === 1 && path.join(target, entries[0]);
+      const isDir = single && (await file.stats(single))?.isDirectory();
+      return { dir: isDir ? single : target };
+    }
+
+    case 'git': {
+      const branch = source.ref ? ['--branch', source.ref] : [];
+      const result = await cmd.execFile('git', [
+        'clone',
+        '--quiet',
+        '--depth',
+        '1',
+        ...branch,
+        '--',
+        source.location,
+        target,
+      ]);
+      if (!result.success) {
+        throw new Error(`git clone failed for ${source.location}: ${result.stderr}`);
+      }
+
+      const commit = await cmd.execFile('git', ['-C', target, 'rev-parse', 'HEAD']);
+      const describe = await cmd.execFile('git', ['-C', target, 'describe', '--tags', '--always']);
+      return {
+        dir: target,
+        commit: commit.success ? commit.stdout : null,
+        version: describe.success ? describe.stdout : null,
+      };
+    }
+
+    default:
+      throw new Error(`Unsupported rule pack source type: ${source.type}`);
+  }
+}
+
+/**
+ * Fetch a rule pack: its .mdc files, version and content hash
+ */
+export async function fetchPack(sourceSpec) {
+  const source = resolveSource(sourceSpec);
+  const workDir = await mkdtemp(path.join(os.tmpdir(), 'cursor-rule-pack-'));
+
+  try {
+    const checkout = await checkoutSource(source, workDir);
+    const files = await readRuleFiles(findRulesRoot(checkout.dir));
+
+    if (Object.keys(files).length === 0) {
+      throw new Error(`No .mdc rules found in ${sourceSpec}`);
+    }
+
+    return {
+      source,
+      files,
+      hash: hashPack(files),
+      version: (await readVersion(checkout.dir)) || checkout.version || null,
+      commit: checkout.commit || null,
+    };
+  } finally {
+    await rm(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Read the rule pack lockfile
+ */
+export async function readLock(lockPath = LOCK_FILE) {
+  const content = await file.read(lockPath);
+  if (!content) {
+    return { lockfileVersion: 1, packs: {} };
+  }
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid ${lockPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Write the rule pack lockfile (packs sorted by name for stable diffs)
+ */
+export async function writeLock(lock, lockPath = LOCK_FILE) {
+  const packs = Object.fromEntries(
+    Object.entries(lock.packs).sort(([a], [b]) => a.localeCompare(b))
+  );
+  await file.write(lockPath, `${JSON.stringify({ ...lock, packs }, null, 2)}\n`);
+}
+
+/**
+ * 3-way merge of one file with `git merge-file`
+ *
+ * Returns { content, conflicts } where conflicts is the number of conflicting hunks.
+ */
+export async function mergeFile({ local, base, upstream }, labels = {}) {
+  const workDir = await mkdtemp(path.join(os.tmpdir(), 'cursor-rule-merge-'));
+
+  try {
+    const paths = {
+      local: path.join(workDir, 'local'),
+      base: path.join(workDir, 'base'),
+      upstream: path.join(workDir, 'upstream'),
+    };
+    await writeFile(paths.local, local);
+    await writeFile(paths.base, base);
+    await writeFile(paths.upstream, upstream);
+
+    const result = await cmd.execFile('git', [
+      'merge-file',
+      '-L',
+      labels.local || 'local',
+      '-L',
+      labels.base || 'base',
+      '-L',
+      labels.upstream || 'upstream',
+      paths.local,
+      paths.base,
+      paths.upstream,
+    ]);
+
+    // merge-file writes into the local copy and exits with the number of conflicts
+    const code = result.success ? 0 : result.error?.code;
+    if (typeof code !== 'number' || code < 0 || code > 127) {
+      throw new Error(`git merge-file failed: ${result.stderr}`);
+    }
+
+    return { content: await file.read(paths.local), conflicts: code };
+  } finally {
+    await rm(workDir, { recursive: true, force: true });
+  }
+}
@@ -7,12 +7,49 @@
 
 /* eslint-disable no-console */
 
+import path from 'path';
+import { minimatch } from 'minimatch';
+import { parse as parseYaml } from 'yaml';
 import utils from './utils.js';
+import { MODULE_FILE, extractApiSurface, compareApiSurface } from './api-surface.js';
+import { loadModel, classify, extractFeatures } from './commit-model.js';
+import {
+  summarizeDiff,
+  summarizeEntry,
+  describeSymbols,
+  formatBody,
+  branchReferences,
+} from './change-summary.js';
 
-const { log, cmd } = utils;
+const { log, cmd, file, common } = utils;
+
+// Dossiers dont le premier niveau ne donne pas un scope utile
+const GENERIC_DIRS = ['src', 'lib', 'app', 'packages', 'apps'];
+
+// Dossiers de tests : les tests accompagnent le code qu'ils couvrent, ils ne sont pas un scope
+const TEST_DIRS = ['test', 'tests', '__tests__', 'spec', 'specs', 'e2e'];
+
+// Poids maximal du modèle appris (commit train), atteint à partir de MODEL_FULL_WEIGHT_COMMITS
+const MODEL_MAX_WEIGHT = 0.5;
+const MODEL_FULL_WEIGHT_COMMITS = 100;
+
+// Pondération des scores de fichiers et de contenu, et confiance minimale avant le fallback
+const FILE_WEIGHT = 0.7;
+const CONTENT_WEIGHT = 0.3;
+const FALLBACK_THRESHOLD = 0.3;
 
 class SmartCommitDetector {
-  constructor() {
+  constructor(options = {}) {
+    // commits.scopes de .automation-config.yml
+    this.scopeSettings = options.scopes || { infer: true, mapping: {} };
+
+    // Modèle appris sur l'historique du dépôt (chargé à la première détection)
+    this.model = options.model || null;
+    this.useModel = options.useModel !== false;
+
+    // Commit analysé à la place de l'index (commit eval), null pour les changements staged
+    this.revision = options.revision || null;
+
     this.patterns = {
       // Patterns pour détecter le type de commit
       feat: {
@@ -239,42 +276,307 @@ class SmartCommitDetector {
     try {
       log.step('🧠 Analyzing changes for smart commit type detection...');
 
-      // Obtenir les fichiers modifiés
-      const stagedFiles = await this.getStagedFiles();
-      const modifiedFiles = await this.getModifiedFiles();
-
-      if (stagedFiles.length === 0 && modifiedFiles.length === 0) {
+      const result = await this.analyzeChanges();
+      if (!result) {
         log.warning('No changes detected');
-        return { type: 'chore', confidence: 0.5, reason: 'No changes found' };
+        return { type: 'chore', scope: null, confidence: 0.5, reason: 'No changes found' };
       }
 
-      // Analyser les fichiers
-      const allFiles = [...new Set([...stagedFiles, ...modifiedFiles])];
-      const analysis = await this.analyzeFiles(allFiles);
-
-      // Analyser le contenu des changements
-      const contentAnalysis = await this.analyzeChangesContent();
-
-      // Combiner les analyses
-      const finalAnalysis = this.combineAnalyses(analysis, contentAnalysis);
-
       log.success(
-        `Detected type: ${finalAnalysis.type} (confidence: ${(finalAnalysis.confidence * 100).toFixed(1)}%)`
+        `Detected type: ${result.type} (confidence: ${(result.confidence * 100).toFixed(1)}%)`
       );
-      log.info(`Reason: ${finalAnalysis.reason}`);
+      log.info(`Reason: ${result.reason}`);
+      if (result.scope) {
+        log.info(`Scope: ${result.scope} (${result.scopeReason})`);
+      }
+      if (result.breaking) {
+        log.warning(`Breaking changes detected (${result.breakingChanges.length}):`);
+        result.breakingChanges.forEach(change => log.warning(`  ${change.file}: ${change.text}`));
+      }
 
-      return finalAnalysis;
+      return result;
     } catch (error) {
       log.error(`Detection failed: ${error.message}`);
-      return { type: 'chore', confidence: 0.3, reason: 'Fallback due to error' };
+      return { type: 'chore', scope: null, confidence: 0.3, reason: 'Fallback due to error' };
+    }
+  }
+
+  /**
+   * Type, scope et changements cassants des changements analysés (null si aucun)
+   */
+  async analyzeChanges() {
+    // Obtenir les fichiers modifiés
+    const stagedFiles = await this.getStagedFiles();
+    const modifiedFiles = await this.getModifiedFiles();
+
+    if (stagedFiles.length === 0 && modifiedFiles.length === 0) {
+      return null;
+    }
+
+    // Analyser les fichiers
+    const allFiles = [...new Set([...stagedFiles, ...modifiedFiles])];
+    const analysis = await this.analyzeFiles(allFiles);
+
+    // Analyser le contenu des changements
+    const contentAnalysis = await this.analyzeChangesContent();
+
+    // Classer avec le modèle appris sur l'historique, s'il existe
+    const modelAnalysis = await this.analyzeWithModel(allFiles);
+
+    // Combiner les analyses
+    const finalAnalysis = this.combineAnalyses(analysis, contentAnalysis, modelAnalysis);
+
+    // Déduire le scope des fichiers qui seront commités (les fichiers staged, s'il y en a)
+    const { scope, reason: scopeReason } = await this.inferScope(
+      stagedFiles.length > 0 ? stagedFiles : allFiles
+    );
+
+    // Détecter les changements cassants de l'API publique
+    const breakingChanges = await this.detectBreakingChanges();
+
+    return {
+      ...finalAnalysis,
+      scope,
+      scopeReason,
+      breaking: breakingChanges.length > 0,
+      breakingChanges,
+    };
+  }
+
+  /**
+   * Détail de la détection pour `commit --explain` (null si aucun changement)
+   */
+  async explainDetection() {
+    const result = await this.analyzeChanges();
+    if (!result) {
+      return null;
+    }
+
+    const { fileAnalysis, contentAnalysis, modelAnalysis, combinedScores } = result;
+    const bonus = fileAnalysis.newFileBonus;
+    const types = Object.keys(this.patterns).map(type => {
+      const newFileBonus = bonus?.type === type ? bonus.score : 0;
+      return {
+        type,
+        fileScore: fileAnalysis.allScores[type] - newFileBonus,
+        fileMatches: fileAnalysis.matches[type],
+        newFileBonus,
+        keywordScore: contentAnalysis.allScores[type] || 0,
+        keywordHits: contentAnalysis.hits.filter(hit => hit.type === type),
+        modelProbability: modelAnalysis ? modelAnalysis.allScores[type] || 0 : null,
+        combinedScore: combinedScores[type],
+      };
+    });
+
+    return {
+      type: result.type,
+      confidence: result.confidence,
+      reason: result.reason,
+      scope: result.scope,
+      scopeReason: result.scopeReason,
+      breaking: result.breaking,
+      breakingChanges: result.breakingChanges,
+      files: fileAnalysis.files,
+      newFiles: bonus?.files || [],
+      weights: result.weights,
+      fallback: result.fallback,
+      types: types.sort((a, b) => b.combinedScore - a.combinedScore),
+    };
+  }
+
+  /**
+   * git diff des changements analysés, sans shell : l'index, ou le commit rejoué par `commit eval`
+   */
+  async gitDiff(args = [], options = {}) {
+    const gitArgs = this.revision
+      ? ['show', '--format=', '--no-color', '--no-ext-diff', ...args, this.revision]
+      : ['diff', '--cached', ...args];
+    return await cmd.execFile('git', ['-c', 'core.quotePath=false', ...gitArgs], options);
+  }
+
+  /**
+   * Comparer l'API publique (exports, arité, options CLI) des modules staged avec HEAD
+   */
+  async detectBreakingChanges() {
+    const result = await this.gitDiff(['--name-status', '-M']);
+    if (!result.success) {
+      return [];
+    }
+
+    const show = async revision => {
+      const content = await cmd.execFile('git', ['show', revision], {
+        maxBuffer: 16 * 1024 * 1024,
+      });
+      return content.success ? content.stdout : null;
+    };
+
+    const changes = [];
+    for (const line of result.stdout.split('\n').filter(Boolean)) {
+      const [status, beforePath, afterPath = beforePath] = line.split('\t');
+      const isTest = this.analyzeFile(afterPath).test?.score > 0;
+      if (status === 'A' || !MODULE_FILE.test(afterPath) || isTest) {
+        continue;
+      }
+
+      const before = await show(`${this.revision ? `${this.revision}^` : 'HEAD'}:${beforePath}`);
+      if (before === null) {
+        continue;
+      }
+      const beforeSurface = extractApiSurface(before);
+
+      if (status === 'D') {
+        const names = [...beforeSurface.exports.keys(), ...beforeSurface.options];
+        if (names.length > 0) {
+          changes.push({
+            file: beforePath,
+            type: 'module-removed',
+            name: beforePath,
+            text: `removed module (${names.join(', ')})`,
+          });
+        }
+        continue;
+      }
+
+      const after = (await show(`${this.revision || ''}:${afterPath}`)) ?? '';
+      for (const change of compareApiSurface(beforeSurface, extractApiSurface(after))) {
+        changes.push({ file: afterPath, ...change });
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Lire les globs de workspaces (package.json ou pnpm-workspace.yaml)
+   */
+  async getWorkspacePatterns() {
+    const patterns = [];
+
+    if (file.exists('package.json')) {
+      try {
+        const { workspaces } = JSON.parse(await file.read('package.json'));
+        patterns.push(...(Array.isArray(workspaces) ? workspaces : workspaces?.packages || []));
+      } catch {
+        // package.json invalide : pas de workspaces
+      }
+    }
+
+    if (file.exists('pnpm-workspace.yaml')) {
+      try {
+        patterns.push(...(parseYaml(await file.read('pnpm-workspace.yaml'))?.packages || []));
+      } catch {
+        // pnpm-workspace.yaml invalide : pas de workspaces
+      }
+    }
+
+    return patterns.filter(pattern => typeof pattern === 'string' && !pattern.startsWith('!'));
+  }
+
+  /**
+   * Nom du package de workspace contenant un fichier (sans le préfixe @org/)
+   */
+  async getWorkspaceScope(filePath, workspacePatterns) {
+    const parts = filePath.split('/');
+
+    for (let depth = 1; depth < parts.length; depth++) {
+      const dir = parts.slice(0, depth).join('/');
+      if (
+        workspacePatterns.some(pattern =>
+          minimatch(dir, pattern.replace(/^\.\//, '').replace(/\/+$/, ''))
+        )
+      ) {
+        const pkg = await file.read(path.posix.join(dir, 'package.json'));
+        let name = parts[depth - 1];
+        try {
+          name = (pkg && JSON.parse(pkg).name) || name;
+        } catch {
+          // package.json invalide : garder le nom du dossier
+        }
+        return common.slugify(name.replace(/^@[^/]+\//, ''), 30);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Déduire le scope d'un fichier (mapping, workspace, module sous src/, dossier racine)
+   */
+  async scopeForFile(filePath, workspacePatterns) {
+    const { mapping = {}, infer = true } = this.scopeSettings;
+
+    for (const [pattern, scope] of Object.entries(mapping)) {
+      if (minimatch(filePath, pattern, { dot: true })) {
+        return { scope: scope || null, source: `mapping ${pattern}` };
+      }
+    }
+
+    if (!infer) {
+      return { scope: null, source: 'no mapping' };
+    }
+
+    const workspaceScope = await this.getWorkspaceScope(filePath, workspacePatterns);
+    if (workspaceScope) {
+      return { scope: workspaceScope, source: 'workspace package' };
+    }
+
+    const parts = filePath.split('/');
+    if (parts[0] === 'src' && parts.length > 2 && !TEST_DIRS.includes(parts[1])) {
+      return { scope: common.slugify(parts[1], 30), source: 'module under src/' };
+    }
+    if (parts.length > 1 && !GENERIC_DIRS.includes(parts[0]) && !TEST_DIRS.includes(parts[0])) {
+      return { scope: common.slugify(parts[0], 30) || null, source: 'top-level directory' };
+    }
+
+    return { scope: null, source: 'root file' };
+  }
+
+  /**
+   * Déduire un scope conventional-commit commun aux fichiers modifiés
+   */
+  async inferScope(files) {
+    if (files.length === 0) {
+      return { scope: null, reason: 'No files' };
+    }
+
+    const workspacePatterns = await this.getWorkspacePatterns();
+    const results = [];
+    for (const filePath of files) {
+      results.push(await this.scopeForFile(filePath, workspacePatterns));
+    }
+
+    // Un seul scope pour la majorité des fichiers (les fichiers racine ne votent pas contre)
+    const scoped = results.filter(result => result.scope);
+    const scopes = [...new Set(scoped.map(result => result.scope))];
+    if (scopes.length === 1 && scoped.length * 2 >= files.length) {
+      const sources = [...new Set(scoped.map(result => result.source))].join(', ');
+      return { scope: scopes[0], reason: sources };
+    }
+
+    // Sinon, le dossier racine commun à tous les fichiers
+    const topLevels = [...new Set(files.map(filePath => filePath.split('/')[0]))];
+    if (
+      scopes.length > 1 &&
+      topLevels.length === 1 &&
+      files.every(filePath => filePath.includes('/'))
+    ) {
+      const scope = common.slugify(topLevels[0], 30);
+      if (scope) {
+        return { scope, reason: 'common top-level directory' };
+      }
     }
+
+    return {
+      scope: null,
+      reason: scopes.length > 1 ? `Mixed scopes: ${scopes.join(', ')}` : 'No common scope',
+    };
   }
 
   /**
    * Obtenir les fichiers staged
    */
   async getStagedFiles() {
-    const result = await cmd.exec('git diff --cached --name-only');
+    const result = await this.gitDiff(['--name-only']);
     if (!result.success) {
       return [];
     }
@@ -289,7 +591,12 @@ class SmartCommitDetector {
    * Obtenir les fichiers modifiés
    */
   async getModifiedFiles() {
-    const result = await cmd.exec('git diff --name-only');
+    // Un commit rejoué n'a pas de changements non staged
+    if (this.revision) {
+      return [];
+    }
+
+    const result = await cmd.execFile('git', ['diff', '--name-only']);
     if (!result.success) {
       return [];
     }
@@ -306,11 +613,13 @@ class SmartCommitDetector {
   async analyzeFiles(files) {
     const scores = {};
     const reasons = {};
+    const matches = {};
 
     // Initialiser les scores
     Object.keys(this.patterns).forEach(type => {
       scores[type] = 0;
       reasons[type] = [];
+      matches[type] = [];
     });
 
     // Analyser chaque fichier
@@ -321,20 +630,23 @@ class SmartCommitDetector {
         scores[type] += fileAnalysis[type].score;
         if (fileAnalysis[type].score > 0) {
           reasons[type].push(fileAnalysis[type].reason);
+          matches[type].push(file);
         }
       });
     }
 
     // Détecter si des nouveaux fichiers sont ajoutés
+    let newFileBonus = null;
     const newFiles = await this.getNewFiles();
     if (newFiles.length > 0) {
-      const hasNewSourceFiles = newFiles.some(file =>
+      const newSourceFiles = newFiles.filter(file =>
         /\.(js|ts|jsx|tsx|py|go|rs|php|java|c|cpp|cs)$/.test(file)
       );
 
-      if (hasNewSourceFiles) {
+      if (newSourceFiles.length > 0) {
         scores.feat += 2;
         reasons.feat.push(`${newFiles.length} new source files added`);
+        newFileBonus = { type: 'feat', score: 2, files: newSourceFiles };
       }
     }
 
@@ -348,6 +660,9 @@ class SmartCommitDetector {
       confidence: Math.min(confidence, 1),
       reason: reasons[maxType].join(', ') || 'Pattern-based detection',
       allScores: scores,
+      files,
+      matches,
+      newFileBonus,
     };
   }
 
@@ -378,7 +693,7 @@ class SmartCommitDetector {
    * Obtenir les nouveaux fichiers
    */
   async getNewFiles() {
-    const result = await cmd.exec('git diff --cached --name-status');
+    const result = await this.gitDiff(['--name-status']);
     if (!result.success) {
       return [];
     }
@@ -389,45 +704,115 @@ class SmartCommitDetector {
       .map(line => line.replace('A\t', '').trim());
   }
 
+  /**
+   * Lignes d'un diff avec leur fichier et leur numéro de ligne (null pour les en-têtes)
+   */
+  *diffLines(diff) {
+    let file = null;
+    let inHunk = false;
+    let oldLine = 0;
+    let newLine = 0;
+
+    for (const text of diff.split('\n')) {
+      const hunk = text.match(/^@@ -(\d+)(?:,\d+)? \+(\d+)/);
+      if (text.startsWith('diff --git ')) {
+        file = text.match(/ b\/(.+)$/)?.[1] || null;
+        inHunk = false;
+        yield { file, line: null, text };
+      } else if (hunk) {
+        oldLine = Number(hunk[1]);
+        newLine = Number(hunk[2]);
+        inHunk = true;
+        yield { file, line: null, text };
+      } else if (inHunk && text.startsWith('-')) {
+        // Les lignes supprimées sont numérotées dans l'ancienne version
+        yield { file, line: oldLine++, text, removed: true };
+      } else if (inHunk && (text.startsWith('+') || text.startsWith(' '))) {
+        if (text.startsWith(' ')) {
+          oldLine++;
+        }
+        yield { file, line: newLine++, text };
+      } else {
+        yield { file, line: null, text };
+      }
+    }
+  }
+
   /**
    * Analyser le contenu des changements
    */
   async analyzeChangesContent() {
     try {
-      const result = await cmd.exec('git diff --cached');
+      const result = await this.gitDiff([], { maxBuffer: 64 * 1024 * 1024 });
       if (!result.success) {
-        return { type: 'chore', confidence: 0, reason: 'No diff content' };
+        return { type: 'chore', confidence: 0, reason: 'No diff content', allScores: {}, hits: [] };
       }
 
       const diffContent = result.stdout.toLowerCase();
       const scores = {};
-
-      // Analyser le contenu pour les mots-clés
       Object.keys(this.patterns).forEach(type => {
         scores[type] = 0;
-        const keywords = this.patterns[type].keywords || [];
-
-        keywords.forEach(keyword => {
-          const regex = new RegExp(`\\b${keyword}\\b`, 'gi');
-          const matches = diffContent.match(regex);
-          if (matches) {
-            scores[type] += matches.length * 0.5;
-          }
-        });
       });
 
-      // Détection spéciale pour fix
-      const errorPatterns = [
-        /[-\s](bug|error|issue|crash|fail|exception|throw)/gi,
-        /\+[^+]*\b(fix|resolve|correct|patch)\b/gi,
-      ];
+      // Mots-clés de chaque type : 0.5 par occurrence
+      const matchers = Object.entries(this.patterns).flatMap(([type, { keywords = [] }]) =>
+        keywords.map(keyword => ({
+          type,
+          keyword,
+          regex: new RegExp(`\\b${keyword}\\b`, 'gi'),
+          weight: 0.5,
+        }))
+      );
 
-      errorPatterns.forEach(pattern => {
-        const matches = diffContent.match(pattern);
-        if (matches) {
-          scores.fix += matches.length;
+      // Détection spéciale pour fix : 1 par occurrence
+      matchers.push(
+        { type: 'fix', regex: /[-\s](bug|error|issue|crash|fail|exception|throw)/gi, weight: 1 },
+        { type: 'fix', regex: /\+[^+]*\b(fix|resolve|correct|patch)\b/gi, weight: 1 }
+      );
+
+      // Position de début de chaque ligne du diff, pour situer les occurrences
+      const lines = [...this.diffLines(result.stdout)];
+      const starts = [];
+      let offset = 0;
+      for (const { text } of lines) {
+        starts.push(offset);
+        offset += text.length + 1;
+      }
+      const lineAt = position => {
+        let low = 0;
+        let high = starts.length - 1;
+        while (low < high) {
+          const middle = Math.ceil((low + high) / 2);
+          if (starts[middle] <= position) {
+            low = middle;
+          } else {
+            high = middle - 1;
+          }
         }
-      });
+        return lines[low];
+      };
+
+      // Les motifs s'appliquent au diff entier (ils peuvent couvrir plusieurs lignes) ;
+      // chaque occurrence est rattachée à la ligne de son mot-clé pour `commit --explain`
+      const hits = [];
+      for (const { type, keyword, regex, weight } of matchers) {
+        for (const match of diffContent.matchAll(regex)) {
+          scores[type] += weight;
+          const matched = match[1] || match[0];
+          const { file, line, text, removed } = lineAt(
+            match.index + match[0].length - matched.length
+          );
+          hits.push({
+            type,
+            keyword: keyword || match[1],
+            weight,
+            file,
+            line,
+            removed: Boolean(removed),
+            text: text.trim().slice(0, 120),
+          });
+        }
+      }
 
       const maxType = Object.keys(scores).reduce((a, b) => (scores[a] > scores[b] ? a : b));
 
@@ -436,17 +821,57 @@ class SmartCommitDetector {
         confidence: scores[maxType] / 10, // Normalize
         reason: `Content analysis: ${scores[maxType]} keyword matches`,
         allScores: scores,
+        hits,
       };
     } catch (error) {
-      return { type: 'chore', confidence: 0, reason: 'Content analysis failed' };
+      return {
+        type: 'chore',
+        confidence: 0,
+        reason: 'Content analysis failed',
+        allScores: {},
+        hits: [],
+      };
+    }
+  }
+
+  /**
+   * Classer les changements avec le modèle de `commit train`
+   */
+  async analyzeWithModel(files) {
+    if (!this.useModel) {
+      return null;
+    }
+    this.model ??= await loadModel();
+    if (!this.model) {
+      return null;
+    }
+
+    const diff = await this.gitDiff(['--unified=0', '--no-color', '--no-ext-diff'], {
+      maxBuffer: 64 * 1024 * 1024,
+    });
+    const prediction = classify(
+      this.model,
+      extractFeatures(files, diff.success ? diff.stdout : '')
+    );
+    if (prediction.known === 0) {
+      return null;
     }
+
+    return {
+      type: prediction.type,
+      confidence: prediction.probability,
+      reason: `Learned model: ${prediction.type} (${(prediction.probability * 100).toFixed(1)}%)`,
+      allScores: prediction.probabilities,
+      weight: MODEL_MAX_WEIGHT * Math.min(this.model.commits / MODEL_FULL_WEIGHT_COMMITS, 1),
+    };
   }
 
   /**
-   * Combiner les analyses de fichiers et de contenu
+   * Combiner les analyses de fichiers, de contenu et du modèle appris
    */
-  combineAnalyses(fileAnalysis, contentAnalysis) {
+  combineAnalyses(fileAnalysis, contentAnalysis, modelAnalysis = null) {
     const combinedScores = {};
+    const modelWeight = modelAnalysis?.weight || 0;
 
     // Combiner les scores avec pondération
     Object.keys(this.patterns).forEach(type => {
@@ -454,7 +879,11 @@ class SmartCommitDetector {
       const contentScore = contentAnalysis.allScores[type] || 0;
 
       // Pondération: 70% fichiers, 30% contenu
-      combinedScores[type] = fileScore * 0.7 + contentScore * 0.3;
+      const heuristicScore = fileScore * FILE_WEIGHT + contentScore * CONTENT_WEIGHT;
+
+      // Probabilité du modèle ramenée à l'échelle des scores (1 → confiance maximale)
+      const modelScore = (modelAnalysis?.allScores[type] || 0) * 3;
+      combinedScores[type] = heuristicScore * (1 - modelWeight) + modelScore * modelWeight;
     });
 
     const maxType = Object.keys(combinedScores).reduce((a, b) =>
@@ -464,17 +893,35 @@ class SmartCommitDetector {
     const maxScore = combinedScores[maxType];
     const confidence = Math.min(maxScore / 3, 1); // Normalize to 0-1
 
+    const details = {
+      fileAnalysis,
+      contentAnalysis,
+      modelAnalysis,
+      combinedScores,
+      weights: { files: FILE_WEIGHT, content: CONTENT_WEIGHT, model: modelWeight },
+    };
+
     // Si la confiance est trop faible, utiliser des heuristiques
-    if (confidence < 0.3) {
-      return this.applyFallbackHeuristics(fileAnalysis, contentAnalysis);
+    if (confidence < FALLBACK_THRESHOLD) {
+      return {
+        ...this.applyFallbackHeuristics(fileAnalysis, contentAnalysis),
+        ...details,
+        fallback: {
+          threshold: FALLBACK_THRESHOLD,
+          combinedType: maxType,
+          combinedConfidence: confidence,
+        },
+      };
     }
 
     return {
       type: maxType,
       confidence,
-      reason: `Combined analysis: ${fileAnalysis.reason} + ${contentAnalysis.reason}`,
-      fileAnalysis,
-      contentAnalysis,
+      reason: `Combined analysis: ${fileAnalysis.reason} + ${contentAnalysis.reason}${
+        modelAnalysis ? ` + ${modelAnalysis.reason}` : ''
+      }`,
+      ...details,
+      fallback: null,
     };
   }
 
@@ -508,10 +955,32 @@ class SmartCommitDetector {
     };
   }
 
+  /**
+   * Fichiers du diff analysé avec les fonctions et classes touchées et leurs statistiques
+   */
+  async getChangeSummary() {
+    const result = await this.gitDiff(
+      ['--no-color', '--no-ext-diff', '--src-prefix=a/', '--dst-prefix=b/'],
+      { maxBuffer: 64 * 1024 * 1024 }
+    );
+    return result.success ? summarizeDiff(result.stdout) : [];
+  }
+
   /**
    * Générer une description intelligente
+   *
+   * Nomme les symboles touchés quand le diff en déclare ; `entries` (fichiers de
+   * parseDiff) limite l'analyse à certains hunks, comme pour les groupes de --split.
    */
-  async generateSmartDescription(commitType, files) {
+  async generateSmartDescription(commitType, files, entries = null) {
+    const summary = entries
+      ? entries.map(summarizeEntry)
+      : (await this.getChangeSummary()).filter(entry => files.includes(entry.path));
+    const symbolDescription = describeSymbols(commitType, summary);
+    if (symbolDescription) {
+      return symbolDescription;
+    }
+
     const fileCount = files.length;
     const fileTypes = this.categorizeFiles(files);
 
@@ -565,6 +1034,22 @@ class SmartCommitDetector {
     return description;
   }
 
+  /**
+   * Corps du commit : une puce par dossier avec les symboles touchés, puis les statistiques
+   */
+  async generateSmartBody(files) {
+    const summary = (await this.getChangeSummary()).filter(entry => files.includes(entry.path));
+    return summary.length > 0 ? formatBody(summary) : '';
+  }
+
+  /**
+   * Références d'issues du nom de branche (feature/123-login → Refs #123), ou null
+   */
+  async getIssueReferences() {
+    const branch = await cmd.execFile('git', ['rev-parse', '--abbrev-ref', 'HEAD']);
+    return branch.success ? branchReferences(branch.stdout) : null;
+  }
+
   /**
    * Catégoriser les fichiers
    */
@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+
+/**
+ * 🔢 Token Estimator - Offline Tokenizer Approximation
+ * Estimates BPE token counts (cl100k-like) without downloading a vocabulary
+ */
+
+// Same pre-tokenization split as GPT-style tokenizers: contractions, words, numbers, symbols, spaces
+const PIECE_PATTERN = /'(?:s|t|re|ve|m|ll|d)| ?\p{L}+| ?\p{N}+| ?[^\s\p{L}\p{N}]+|\s+/gu;
+
+/**
+ * Estimate the tokens of one pre-tokenized piece
+ */
+function estimatePiece(piece) {
+  const text = piece.trimStart();
+
+  if (text === '') {
+    return 1;
+  }
+  if (/^\p{N}+$/u.test(text)) {
+    // Digits are grouped by three
+    return Math.ceil(text.length / 3);
+  }
+  if (/^\p{L}+$/u.test(text)) {
+    // Common English words are a single token; accented or non-Latin text splits more
+    const ascii = text.replace(/[^\x00-\x7F]/g, '').length;
+    const other = text.length - ascii;
+    return Math.max(1, Math.ceil(ascii / 6) + Math.ceil(other / 1.5));
+  }
+
+  // Punctuation and symbols: ASCII runs merge in pairs, emoji cost 2-3 tokens each
+  let tokens = 0;
+  let asciiRun = 0;
+  for (const char of text) {
+    if (char.codePointAt(0) < 0x80) {
+      asciiRun++;
+    } else {
+      tokens += Math.ceil(asciiRun / 2) + (char.codePointAt(0) > 0xffff ? 3 : 2);
+      asciiRun = 0;
+    }
+  }
+  return Math.max(1, tokens + Math.ceil(asciiRun / 2));
+}
+
+/**
+ * Estimate the number of tokens a text uses in a model context
+ */
+export function estimateTokens(text = '') {
+  let tokens = 0;
+  for (const [piece] of text.matchAll(PIECE_PATTERN)) {
+    tokens += estimatePiece(piece);
+  }
+  return tokens;
+}
+
+export default estimateTokens;
@@ -8,7 +8,7 @@
 import path, { sep, dirname } from 'path';
 import { existsSync } from 'fs';
 import { readFile, writeFile, mkdir, readdir, stat } from 'fs/promises';
-import { spawn, exec } from 'child_process';
+import { spawn, exec, execFile } from 'child_process';
 import { promisify } from 'util';
 import { homedir, platform as osPlatform, EOL } from 'os';
 
@@ -31,6 +31,7 @@ try {
 }
 
 const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
 
 /**
  * Platform Detection
@@ -174,6 +175,27 @@ const cmd = {
     }
   },
 
+  /**
+   * Execute a program with an argument array, without a shell: arguments are
+   * passed as is, so quotes, backticks and $() in them are never interpreted
+   */
+  execFile: async (file, args = [], options = {}) => {
+    try {
+      const { stdout, stderr } = await execFileAsync(file, args, {
+        encoding: 'utf8',
+        ...options,
+      });
+      return { stdout: stdout.trim(), stderr: stderr.trim(), success: true };
+    } catch (error) {
+      return {
+        stdout: error.stdout?.trim() || '',
+        stderr: error.stderr?.trim() || error.message,
+        success: false,
+        error,
+      };
+    }
+  },
+
   /**
    * Spawn process with cross-platform support
    */
@@ -262,7 +284,7 @@ const git = {
    * Commit changes
    */
   commitChanges: async message => {
-    return await cmd.exec(`git commit -m "${message}"`);
+    return await cmd.execFile('git', ['commit', '-m', message]);
   },
 
   /**
@@ -285,8 +307,8 @@ const git = {
    * Create git tag
    */
   tag: async (tagName, message = null) => {
-    const command = message ? `git tag -a ${tagName} -m "${message}"` : `git tag ${tagName}`;
-    return await cmd.exec(command);
+    const args = message ? ['tag', '-a', tagName, '-m', message] : ['tag', tagName];
+    return await cmd.execFile('git', args);
   },
 };
 
@@ -444,6 +466,19 @@ const common = {
    */
   timestamp: () => new Date().toISOString(),
 
+  /**
+   * Turn free text into a lowercase, accent-free, hyphenated file name
+   */
+  slugify: (text, maxLength = 80) =>
+    text
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, maxLength)
+      .replace(/-+$/, ''),
+
   /**
    * Validate semantic version
    */
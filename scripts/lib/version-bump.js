@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+
+/**
+ * 📈 Version Bump - Recommended Release from the Commits since the Last Tag
+ * Classifies each commit (in any commit style) with versioning.auto_bump.rules and
+ * keeps the highest bump, so a release is bumped once for everything it ships
+ */
+
+import semver from 'semver';
+import utils from './utils.js';
+import { parseHeader } from './commit-style.js';
+
+const { cmd } = utils;
+
+export const BUMP_ORDER = ['patch', 'minor', 'major'];
+
+// "BREAKING CHANGE:" footer (breaking headers are read by parseHeader)
+const BREAKING_FOOTER = /^BREAKING[ -]CHANGE:/m;
+
+/**
+ * Commits reachable from HEAD and not from `tag` (all of them without a tag), oldest first
+ * Merge commits are left out: the commits they bring in are listed themselves
+ */
+export async function readCommitsSince(tag = null) {
+  const range = tag ? [`${tag}..HEAD`] : ['HEAD'];
+  const history = await cmd.execFile(
+    'git',
+    ['log', '--reverse', '--no-merges', '--format=%H%x1f%B%x1e', ...range],
+    { maxBuffer: 64 * 1024 * 1024 }
+  );
+  if (!history.success) {
+    // A repository without commits has nothing to release
+    if (!tag && /does not have any commits/.test(history.stderr)) {
+      return [];
+    }
+    throw new Error(`Cannot read the git history: ${history.stderr}`);
+  }
+
+  return history.stdout
+    .split('\x1e')
+    .filter(record => record.trim())
+    .map(record => {
+      const [hash, message] = record.replace(/^\n/, '').split('\x1f');
+      return { hash, message: message.trim() };
+    });
+}
+
+/**
+ * Bump one commit calls for: major for ! / 💥 / BREAKING CHANGE, otherwise the rule
+ * of its type, or null when the type has no rule (docs, chore, ... by default)
+ */
+export function classifyCommit(message, rules = {}) {
+  const subject = message.split('\n')[0];
+  const header = parseHeader(subject);
+  const type = header?.type || null;
+
+  if (header?.breaking || BREAKING_FOOTER.test(message)) {
+    return { subject, type, breaking: true, bump: 'major' };
+  }
+
+  return { subject, type, breaking: false, bump: (type && rules[type]) || null };
+}
+
+/**
+ * Before 1.0.0 the public API is not stable yet: breaking changes bump the minor
+ * version and features the patch version, so 0.x never jumps to 1.0.0 on its own
+ */
+export function applyPreMajorRule(bump, version) {
+  if (!bump || semver.major(version) > 0) {
+    return bump;
+  }
+  return BUMP_ORDER[Math.max(BUMP_ORDER.indexOf(bump) - 1, 0)];
+}
+
+/**
+ * Recommended bump for the commits since `tag`
+ * Returns { tag, version, bump, releaseType, preMajor, nextVersion, commits, reasons }
+ * where `commits` holds every commit with its bump and `reasons` the ones that set it
+ */
+export async function recommendBump({ tag = null, version, rules = {} }) {
+  const cleanVersion = semver.valid(version.replace(/^v/, ''));
+  if (!cleanVersion) {
+    throw new Error(`Invalid current version format: ${version}`);
+  }
+
+  const commits = (await readCommitsSince(tag)).map(({ hash, message }) => ({
+    hash,
+    ...classifyCommit(message, rules),
+  }));
+
+  const bump = commits.reduce(
+    (highest, commit) =>
+      BUMP_ORDER.indexOf(commit.bump) > BUMP_ORDER.indexOf(highest) ? commit.bump : highest,
+    null
+  );
+  const releaseType = applyPreMajorRule(bump, cleanVersion);
+
+  return {
+    tag,
+    version: cleanVersion,
+    bump,
+    releaseType,
+    preMajor: Boolean(bump) && releaseType !== bump,
+    nextVersion: releaseType ? semver.inc(cleanVersion, releaseType) : null,
+    commits,
+    reasons: commits.filter(commit => commit.bump && commit.bump === bump),
+  };
+}
@@ -0,0 +1,305 @@
+#!/usr/bin/env node
+
+/**
+ * 🧠 MEMORY MANAGER - Memory Bank for the Context Manager Rule
+ * Scaffolds memory-bank/ from project detection and package.json, refreshes
+ * its generated sections from dependencies, commits and plans, and warns
+ * when it falls behind the git history
+ */
+
+import { Command } from 'commander';
+import path from 'path';
+import utils from './lib/utils.js';
+import { GitHelper } from './lib/git-helper.js';
+import { ProjectDetector } from './project-detector.js';
+import { loadAutomationConfig } from './lib/automation-config.js';
+import { listPlans } from './lib/plans.js';
+import {
+  MEMORY_FILES,
+  GENERATED_FILES,
+  renderMemoryFile,
+  renderGeneratedSection,
+  replaceGenerated,
+  writeMeta,
+  getStaleness,
+} from './lib/memory-bank.js';
+
+const { log, file, cmd } = utils;
+
+const RECENT_COMMITS = 10;
+
+/**
+ * Memory Manager
+ */
+class MemoryManager {
+  constructor(options = {}) {
+    this.dir = options.dir || null;
+    this.staleAfter = options.staleAfter ?? null;
+  }
+
+  /**
+   * Fill unset options from the memory section of .automation-config.yml
+   */
+  async loadMemoryConfig() {
+    const { memory } = await loadAutomationConfig();
+    this.dir ??= memory.dir;
+    this.staleAfter ??= memory.stale_after_commits;
+  }
+
+  /**
+   * Fail when the memory bank has not been created yet
+   */
+  ensureExists() {
+    if (!file.exists(this.dir)) {
+      throw new Error(`No memory bank in ${this.dir}/ (run: cursor-tools memory init)`);
+    }
+  }
+
+  /**
+   * Project facts the memory bank files are rendered from
+   */
+  async gatherContext() {
+    const detector = new ProjectDetector();
+    await detector.detectProjectType();
+    const info = await detector.getEnhancedInfo();
+
+    const pkg = file.exists('package.json') ? JSON.parse(await file.read('package.json')) : {};
+
+    const history = await cmd.execFile('git', [
+      'log',
+      '-n',
+      String(RECENT_COMMITS),
+      '--date=short',
+      '--format=%h%x1f%ad%x1f%s',
+    ]);
+    const commits = history.success
+      ? history.stdout
+          .split('\n')
+          .filter(Boolean)
+          .map(line => {
+            const [hash, date, subject] = line.split('\x1f');
+            return { hash, date, subject };
+          })
+      : [];
+
+    const roots = await cmd.execFile('git', [
+      'log',
+      '--max-parents=0',
+      '--date=short',
+      '--format=%ad',
+    ]);
+
+    return {
+      info,
+      pkg,
+      commits,
+      plans: await listPlans(),
+      latestTag: await new GitHelper().getLatestTag(),
+      firstCommitDate: roots.success ? roots.stdout.split('\n').pop() || null : null,
+      date: new Date().toISOString().slice(0, 10),
+    };
+  }
+
+  /**
+   * Create the memory bank files (existing ones are kept unless forced)
+   */
+  async init(options = {}) {
+    const context = await this.gatherContext();
+    const created = [];
+    const skipped = [];
+
+    await file.ensureDir(this.dir);
+    for (const name of MEMORY_FILES) {
+      const target = path.join(this.dir, name);
+      if (file.exists(target) && !options.force) {
+        skipped.push(target);
+        continue;
+      }
+      await file.write(target, renderMemoryFile(name, context));
+      created.push(target);
+    }
+
+    await writeMeta(this.dir);
+    return { created, skipped };
+  }
+
+  /**
+   * Refresh the generated sections of techContext.md and progress.md
+   */
+  async update() {
+    this.ensureExists();
+    const context = await this.gatherContext();
+    const updated = [];
+
+    for (const name of GENERATED_FILES) {
+      const target = path.join(this.dir, name);
+      const current = await file.read(target);
+      const content =
+        current === null
+          ? renderMemoryFile(name, context)
+          : replaceGenerated(current, renderGeneratedSection(name, context));
+
+      if (content !== current) {
+        await file.write(target, content);
+        updated.push(target);
+      }
+    }
+
+    await writeMeta(this.dir);
+    return { updated };
+  }
+
+  /**
+   * Staleness warning, or null when the bank is recent enough
+   */
+  async checkStaleness() {
+    if (!this.staleAfter) {
+      return null;
+    }
+
+    const { meta, commitsBehind } = await getStaleness(this.dir);
+    if (!meta) {
+      return `${this.dir}/ was never refreshed by cursor-tools (run: cursor-tools memory update)`;
+    }
+    if (commitsBehind === null) {
+      return `${this.dir}/ was refreshed at a commit missing from this history (run: cursor-tools memory update)`;
+    }
+    if (commitsBehind > this.staleAfter) {
+      return `${this.dir}/ is ${commitsBehind} commits old (limit ${this.staleAfter}, run: cursor-tools memory update)`;
+    }
+    return null;
+  }
+
+  /**
+   * Memory bank files with their content and staleness
+   */
+  async show() {
+    this.ensureExists();
+
+    const files = [];
+    for (const name of MEMORY_FILES) {
+      const target = path.join(this.dir, name);
+      files.push({ name, path: target, content: await file.read(target) });
+    }
+
+    const { meta, commitsBehind } = await getStaleness(this.dir);
+    return {
+      dir: this.dir,
+      updatedAt: meta?.updatedAt || null,
+      commitsBehind,
+      warning: await this.checkStaleness(),
+      files,
+    };
+  }
+
+  /**
+   * Print the memory bank
+   */
+  printMemory(memory) {
+    log.header(`🧠 Memory bank (${memory.dir}/)`);
+    if (memory.updatedAt) {
+      console.log(
+        `Last refresh: ${memory.updatedAt.slice(0, 10)} (${memory.commitsBehind ?? '?'} commits ago)`
+      );
+    }
+    if (memory.warning) {
+      log.warning(memory.warning);
+    }
+
+    for (const entry of memory.files) {
+      log.divider();
+      if (entry.content === null) {
+        log.warning(`${entry.path} is missing (run: cursor-tools memory init)`);
+        continue;
+      }
+      console.log(`📄 ${entry.path}\n`);
+      console.log(entry.content.trim());
+    }
+  }
+}
+
+/**
+ * CLI Program
+ */
+const program = new Command();
+
+program
+  .name('memory-manager')
+  .description('🧠 Memory bank for the context-manager rule')
+  .version('1.0.0')
+  .option('--dir <dir>', 'Memory bank directory (default: memory.dir from .automation-config.yml)');
+
+/**
+ * Manager configured from the global options and .automation-config.yml
+ */
+async function createManager(options = {}) {
+  const manager = new MemoryManager({ dir: program.opts().dir, staleAfter: options.staleAfter });
+  await manager.loadMemoryConfig();
+  return manager;
+}
+
+program
+  .command('init')
+  .description('Create the memory bank files from project detection and package.json')
+  .option('--force', 'Overwrite existing files')
+  .action(async options => {
+    try {
+      const manager = await createManager();
+      const { created, skipped } = await manager.init(options);
+
+      created.forEach(target => log.success(`Created ${target}`));
+      skipped.forEach(target => log.info(`Kept existing ${target} (use --force to overwrite)`));
+    } catch (error) {
+      log.error(`Memory init failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('update')
+  .description(
+    'Refresh techContext.md and progress.md from detection, dependencies, commits and plans'
+  )
+  .action(async () => {
+    try {
+      const manager = await createManager();
+      const { updated } = await manager.update();
+
+      if (updated.length === 0) {
+        log.success('Memory bank already up to date');
+      }
+      updated.forEach(target => log.success(`Updated ${target}`));
+    } catch (error) {
+      log.error(`Memory update failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('show')
+  .description('Print the memory bank and warn when it is stale')
+  .option('--stale-after <commits>', 'Staleness limit in commits', value => parseInt(value, 10))
+  .option('-f, --format <type>', 'Output format (console, json)', 'console')
+  .action(async options => {
+    try {
+      const manager = await createManager(options);
+      const memory = await manager.show();
+
+      if (options.format === 'json') {
+        console.log(JSON.stringify(memory, null, 2));
+      } else {
+        manager.printMemory(memory);
+      }
+    } catch (error) {
+      log.error(`Memory show failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+// Export for use as module
+export { MemoryManager, program };
+
+// Run if called directly
+if (import.meta.url.endsWith(process.argv[1].replace(/\\/g, '/'))) {
+  program.parse();
+}
@@ -0,0 +1,311 @@
+#!/usr/bin/env node
+
+/**
+ * 📋 PLAN MANAGER - .cursor/plans Lifecycle
+ * Creates plans from the template and moves them through todo → active → completed
+ */
+
+import { Command } from 'commander';
+import path from 'path';
+import { rename } from 'fs/promises';
+import utils from './lib/utils.js';
+import {
+  PLANS_DIR,
+  PLAN_STATUSES,
+  TEMPLATE_FILE,
+  planFileName,
+  listPlans,
+  findPlan,
+  getActivePlans,
+  rebuildPlanHistory,
+  linkPlanCommits,
+} from './lib/plans.js';
+
+const { log, file } = utils;
+
+const COMPLEXITIES = {
+  faible: 'Faible',
+  low: 'Faible',
+  moyenne: 'Moyenne',
+  medium: 'Moyenne',
+  élevée: 'Élevée',
+  elevee: 'Élevée',
+  high: 'Élevée',
+};
+
+// Value written to the template "**Status**:" line for each folder
+const STATUS_LABELS = {
+  todo: '⏳ EN ATTENTE DE VALIDATION',
+  active: '🚧 EN COURS',
+  completed: '✅ TERMINÉ',
+};
+
+/**
+ * Plan Manager
+ */
+class PlanManager {
+  constructor(options = {}) {
+    this.plansDir = options.plansDir || PLANS_DIR;
+  }
+
+  /**
+   * Fail when a plan file name is already used in any status folder
+   */
+  ensureAvailable(fileName, except = null) {
+    for (const status of PLAN_STATUSES) {
+      const target = path.join(this.plansDir, status, fileName);
+      if (file.exists(target) && target !== except) {
+        throw new Error(`A plan named ${fileName} already exists in ${status}/`);
+      }
+    }
+  }
+
+  /**
+   * Create a todo plan from templates/generic.md
+   */
+  async createPlan(title, options = {}) {
+    const complexity = COMPLEXITIES[(options.complexity || 'moyenne').toLowerCase()];
+    if (!complexity) {
+      throw new Error(
+        `Invalid complexity "${options.complexity}" (expected faible, moyenne or élevée)`
+      );
+    }
+
+    const template = await file.read(path.join(this.plansDir, TEMPLATE_FILE));
+    if (template === null) {
+      throw new Error(`Plan template not found: ${path.join(this.plansDir, TEMPLATE_FILE)}`);
+    }
+
+    const fileName = planFileName(title);
+    this.ensureAvailable(fileName);
+
+    const content = template
+      .replaceAll('[NOM_FONCTIONNALITÉ]', title)
+      .replaceAll('[YYYY-MM-DD]', new Date().toISOString().slice(0, 10))
+      .replaceAll('[Faible/Moyenne/Élevée]', complexity);
+
+    const target = path.join(this.plansDir, 'todo', fileName);
+    await file.write(target, content);
+    log.success(`Created plan ${target}`);
+    return target;
+  }
+
+  /**
+   * Move a plan to another status folder under its slugified name
+   */
+  async movePlan(query, from, to) {
+    const plan = await findPlan(query, { plansDir: this.plansDir, statuses: from });
+    const fileName = planFileName(plan.name);
+    const target = path.join(this.plansDir, to, fileName);
+
+    this.ensureAvailable(fileName, plan.path);
+    await file.ensureDir(path.dirname(target));
+    await rename(plan.path, target);
+
+    // Keep the template status line in sync with the folder
+    const content = await file.read(target);
+    const updated = content.replace(/^(\*\*Status\*\*\s*:\s*).*$/m, `$1${STATUS_LABELS[to]}`);
+    if (updated !== content) {
+      await file.write(target, updated);
+    }
+
+    const renamed = fileName !== plan.name ? ` (renamed from ${plan.name})` : '';
+    log.success(`Moved ${plan.status}/${plan.name} → ${to}/${fileName}${renamed}`);
+    return target;
+  }
+
+  /**
+   * Plans with their age and completion
+   */
+  async listPlans(options = {}) {
+    const now = Date.now();
+    return (await listPlans(this.plansDir))
+      .filter(plan => !options.status || plan.status === options.status)
+      .map(plan => ({
+        name: plan.name,
+        status: plan.status,
+        title: plan.title,
+        path: plan.path,
+        ageDays: Math.max(0, Math.floor((now - plan.created.getTime()) / 86400000)),
+        progress: plan.progress,
+      }));
+  }
+
+  /**
+   * Checkboxes of a plan (or of every active plan) with the commits that referenced them
+   */
+  async planStatus(query) {
+    const plans = query
+      ? [await findPlan(query, { plansDir: this.plansDir })]
+      : await getActivePlans(this.plansDir);
+
+    // Read from git each time: a cached history misses amends, rebases and plain git commits
+    const history = await rebuildPlanHistory();
+
+    return plans.map(plan => ({
+      name: plan.name,
+      status: plan.status,
+      title: plan.title,
+      progress: plan.progress,
+      ...linkPlanCommits(plan, history.entries),
+    }));
+  }
+
+  /**
+   * Print plan checkboxes with their commits
+   */
+  printPlanStatus(statuses) {
+    if (statuses.length === 0) {
+      log.info('No active plan (use: cursor-tools plan start <plan>)');
+      return;
+    }
+
+    for (const plan of statuses) {
+      const { done, total, percent } = plan.progress;
+      log.header(`${plan.title} (${plan.status}/${plan.name})`);
+      console.log(`${done}/${total} done (${percent}%)`);
+      log.divider();
+
+      for (const item of plan.items) {
+        const commits = item.commits.map(entry => entry.commit.slice(0, 7)).join(', ');
+        console.log(
+          `${' '.repeat(item.indent)}${item.checked ? '✅' : '⬜'} ${item.text}${commits ? `  ← ${commits}` : ''}`
+        );
+      }
+
+      for (const entry of plan.unmatched) {
+        log.warning(
+          `${entry.commit.slice(0, 7)} references missing item #${entry.index} "${entry.text}"`
+        );
+      }
+    }
+  }
+
+  /**
+   * Print the plan list
+   */
+  printPlanList(plans) {
+    log.header(`Plans (${plans.length})`);
+
+    for (const status of PLAN_STATUSES) {
+      const group = plans.filter(plan => plan.status === status);
+      if (group.length === 0) {
+        continue;
+      }
+
+      log.divider();
+      console.log(`${status.toUpperCase()} (${group.length})`);
+      for (const plan of group) {
+        const { done, total, percent } = plan.progress;
+        const bar = '█'.repeat(Math.round(percent / 10)).padEnd(10, '░');
+        console.log(
+          `  ${bar} ${String(percent).padStart(3)}% ${`${done}/${total}`.padStart(7)}  ` +
+            `${`${plan.ageDays}d`.padStart(5)}  ${plan.name}`
+        );
+      }
+    }
+  }
+}
+
+/**
+ * CLI Program
+ */
+const program = new Command();
+
+program
+  .name('plan-manager')
+  .description('📋 Plan lifecycle for .cursor/plans')
+  .version('1.0.0')
+  .option('--plans-dir <dir>', 'Plans directory', PLANS_DIR);
+
+program
+  .command('new <title>')
+  .description('Create a todo plan from templates/generic.md')
+  .option('-c, --complexity <level>', 'Complexity: faible, moyenne, élevée', 'moyenne')
+  .action(async (title, options) => {
+    try {
+      await new PlanManager(program.opts()).createPlan(title, options);
+    } catch (error) {
+      log.error(`Plan creation failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('start <plan>')
+  .description('Move a plan from todo/ to active/')
+  .action(async query => {
+    try {
+      await new PlanManager(program.opts()).movePlan(query, ['todo'], 'active');
+    } catch (error) {
+      log.error(`Plan start failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('done <plan>')
+  .description('Move a plan from active/ (or todo/) to completed/')
+  .action(async query => {
+    try {
+      await new PlanManager(program.opts()).movePlan(query, ['active', 'todo'], 'completed');
+    } catch (error) {
+      log.error(`Plan completion failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('list')
+  .description('List plans with status, age and checkbox completion')
+  .option('-s, --status <status>', `Only one status (${PLAN_STATUSES.join(', ')})`)
+  .option('-f, --format <type>', 'Output format (console, json)', 'console')
+  .action(async options => {
+    try {
+      if (options.status && !PLAN_STATUSES.includes(options.status)) {
+        throw new Error(
+          `Invalid status "${options.status}" (expected ${PLAN_STATUSES.join(', ')})`
+        );
+      }
+
+      const manager = new PlanManager(program.opts());
+      const plans = await manager.listPlans(options);
+
+      if (options.format === 'json') {
+        console.log(JSON.stringify(plans, null, 2));
+      } else {
+        manager.printPlanList(plans);
+      }
+    } catch (error) {
+      log.error(`Plan list failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('status [plan]')
+  .description('Show plan checkboxes with the commits that referenced them (default: active plans)')
+  .option('-f, --format <type>', 'Output format (console, json)', 'console')
+  .action(async (query, options) => {
+    try {
+      const manager = new PlanManager(program.opts());
+      const statuses = await manager.planStatus(query);
+
+      if (options.format === 'json') {
+        console.log(JSON.stringify(statuses, null, 2));
+      } else {
+        manager.printPlanStatus(statuses);
+      }
+    } catch (error) {
+      log.error(`Plan status failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+// Export for use as module
+export { PlanManager, program };
+
+// Run if called directly
+if (import.meta.url.endsWith(process.argv[1].replace(/\\/g, '/'))) {
+  program.parse();
+}
@@ -7,7 +7,9 @@
  */
 
 import { Command } from 'commander';
+import { glob } from 'glob';
 import utils from './lib/utils.js';
+import { loadAutomationConfig } from './lib/automation-config.js';
 
 const { log, file, platform } = utils;
 
@@ -156,23 +158,64 @@ class ProjectDetector {
     return false;
   }
 
+  /**
+   * Detect project type from detection.custom_patterns (glob patterns per language)
+   */
+  async detectCustomPatterns(customPatterns) {
+    for (const [projectType, patterns] of Object.entries(customPatterns)) {
+      const matches = await glob(patterns, { ignore: ['node_modules/**'], dot: true });
+      if (matches.length > 0) {
+        this.projectType = projectType;
+        this.versionFile = 'VERSION';
+        log.debug(`Custom pattern match for ${projectType}: ${matches.slice(0, 3).join(', ')}`);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Force the project type configured in detection.force_type
+   */
+  async applyForcedType(forceType, detectors) {
+    log.info(`Project type forced by configuration: ${forceType}`);
+
+    // Reuse the matching detector so package manager / version file are filled in
+    const detector = detectors.find(d => d.type === forceType);
+    if (!detector || !(await detector.detect()) || this.projectType !== forceType) {
+      this.projectType = forceType;
+      this.packageManager = forceType === 'generic' ? 'git' : '';
+      this.buildTool = '';
+      this.versionFile = 'VERSION';
+    }
+
+    this.detected = true;
+    return true;
+  }
+
   /**
    * Main detection logic
    */
   async detectProjectType() {
     log.step('Detecting project type...');
 
+    const { detection } = await loadAutomationConfig();
+
     const detectors = [
-      { name: 'JavaScript/Node.js', detect: () => this.detectJavaScript() },
-      { name: 'Python', detect: () => this.detectPython() },
-      { name: 'Go', detect: () => this.detectGo() },
-      { name: 'Rust', detect: () => this.detectRust() },
-      { name: 'PHP', detect: () => this.detectPHP() },
-      { name: 'Java', detect: () => this.detectJava() },
-      { name: 'C#', detect: () => this.detectCSharp() },
-      { name: 'Ruby', detect: () => this.detectRuby() },
+      { name: 'JavaScript/Node.js', type: 'javascript', detect: () => this.detectJavaScript() },
+      { name: 'Python', type: 'python', detect: () => this.detectPython() },
+      { name: 'Go', type: 'go', detect: () => this.detectGo() },
+      { name: 'Rust', type: 'rust', detect: () => this.detectRust() },
+      { name: 'PHP', type: 'php', detect: () => this.detectPHP() },
+      { name: 'Java', type: 'java', detect: () => this.detectJava() },
+      { name: 'C#', type: 'csharp', detect: () => this.detectCSharp() },
+      { name: 'Ruby', type: 'ruby', detect: () => this.detectRuby() },
     ];
 
+    if (detection.force_type) {
+      return this.applyForcedType(detection.force_type, detectors);
+    }
+
     for (const detector of detectors) {
       try {
         if (await detector.detect()) {
@@ -185,6 +228,13 @@ class ProjectDetector {
       }
     }
 
+    // Custom patterns from .automation-config.yml
+    if (await this.detectCustomPatterns(detection.custom_patterns)) {
+      log.success(`${this.projectType} project detected (custom patterns)`);
+      this.detected = true;
+      return true;
+    }
+
     // Generic fallback
     log.warning('Generic project detected (no specific language files found)');
     this.projectType = 'generic';
@@ -321,7 +371,7 @@ program
   });
 
 // Export for use as module
-export { ProjectDetector };
+export { ProjectDetector, program };
 
 // Run if called directly
 if (import.meta.url.endsWith(process.argv[1].replace(/\\/g, '/'))) {
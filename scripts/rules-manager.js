@@ -0,0 +1,815 @@
+#!/usr/bin/env node
+
+/**
+ * 📐 RULES MANAGER - Cursor Rules Toolkit
+ * Lints the .mdc rules under .cursor/rules, measures their context cost,
+ * shows which ones apply to a file, installs shared rule packs and
+ * converts rules to and from other agent formats
+ */
+
+import { Command } from 'commander';
+import path from 'path';
+import { rm } from 'fs/promises';
+import utils from './lib/utils.js';
+import { GitHelper } from './lib/git-helper.js';
+import { loadAutomationConfig } from './lib/automation-config.js';
+import { estimateTokens } from './lib/token-estimator.js';
+import {
+  RULES_DIR,
+  RULE_MODES,
+  FRONTMATTER_KEYS,
+  getDeclaredMode,
+  validateGlob,
+  extractReferences,
+  findDuplicateParagraphs,
+  matchRule,
+  toProjectPath,
+  loadRules,
+} from './lib/mdc-rules.js';
+import {
+  BASE_DIR,
+  fetchPack,
+  packNameFromSource,
+  hashContent,
+  readRuleFiles,
+  readLock,
+  writeLock,
+  mergeFile,
+} from './lib/rule-packs.js';
+import { EXPORT_FORMATS, exportRules, parseLegacyRules, serializeMdc } from './lib/rule-formats.js';
+
+const { log, file } = utils;
+
+/**
+ * Rules Manager
+ */
+class RulesManager {
+  constructor(options = {}) {
+    this.rulesDir = options.rulesDir || RULES_DIR;
+    this.budget = options.budget;
+  }
+
+  /**
+   * Load the `rules` settings of .automation-config.yml (CLI budget wins)
+   */
+  async loadRulesConfig() {
+    const { rules } = await loadAutomationConfig();
+    return {
+      ...rules,
+      always_on_token_budget: this.budget ?? rules.always_on_token_budget,
+    };
+  }
+
+  /**
+   * Estimate the tokens a rule adds to the context (description and body)
+   */
+  measureRule(rule) {
+    return {
+      rule: rule.name,
+      path: rule.path,
+      mode: rule.mode,
+      lines: rule.body.split('\n').length,
+      characters: rule.body.length,
+      tokens: estimateTokens(rule.frontmatter.description) + estimateTokens(rule.body),
+    };
+  }
+
+  /**
+   * Total the tokens of the always-applied rules
+   */
+  measureAlwaysOn(rules) {
+    const measures = rules
+      .filter(rule => rule.mode === 'always')
+      .map(rule => this.measureRule(rule));
+    return {
+      rules: measures.map(measure => measure.rule),
+      tokens: measures.reduce((total, measure) => total + measure.tokens, 0),
+    };
+  }
+
+  /**
+   * Load every rule, failing when the rules directory is missing
+   */
+  async loadRules() {
+    if (!file.exists(this.rulesDir)) {
+      throw new Error(`Rules directory not found: ${this.rulesDir}`);
+    }
+    return loadRules(this.rulesDir);
+  }
+
+  /**
+   * Check whether a cross-reference points to an existing rule or category
+   */
+  resolveReference(reference, rule, rules) {
+    switch (reference.kind) {
+      case 'link':
+        return file.exists(reference.target);
+
+      case 'directory':
+        return file.exists(path.join(this.rulesDir, reference.target));
+
+      case 'rule': {
+        const target = reference.target.replace(/^\.cursor\/rules\//, '');
+        if (!target.includes('/')) {
+          return rules.some(other => path.posix.basename(other.relativePath) === target);
+        }
+        return (
+          file.exists(path.join(this.rulesDir, target)) ||
+          file.exists(path.join(path.dirname(rule.path), target))
+        );
+      }
+
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Lint a single rule
+   */
+  lintRule(rule, rules) {
+    const issues = [];
+    const report = (severity, code, line, message) =>
+      issues.push({ file: rule.path, line, severity, code, message });
+
+    if (!rule.hasFrontmatter && rule.errors.length === 0) {
+      report('error', 'frontmatter', 1, 'missing frontmatter (description, globs, alwaysApply)');
+    }
+    rule.errors.forEach(error => report('error', 'frontmatter', error.line, error.message));
+
+    for (const [key, field] of Object.entries(rule.fields)) {
+      if (!FRONTMATTER_KEYS.includes(key)) {
+        report(
+          'warning',
+          'unknown-key',
+          field.line,
+          `unknown frontmatter key "${key}" (expected one of ${FRONTMATTER_KEYS.join(', ')})`
+        );
+      }
+    }
+
+    for (const pattern of rule.frontmatter.globs) {
+      const error = validateGlob(pattern);
+      if (error) {
+        report('error', 'invalid-glob', rule.fields.globs.line, `glob "${pattern}": ${error}`);
+      }
+    }
+
+    // Manual rules only load on an explicit @-mention, so the name should say so
+    const declaredMode = getDeclaredMode(rule.path);
+    if (rule.mode === 'manual' && declaredMode !== 'manual') {
+      report(
+        'warning',
+        'implicit-manual',
+        1,
+        'rule only loads on an @-mention (empty description and globs with alwaysApply: false): ' +
+          'add a description or globs, or name it *-manual.mdc'
+      );
+    } else if (declaredMode && declaredMode !== rule.mode) {
+      report(
+        'warning',
+        'mode-mismatch',
+        1,
+        `file name declares ${RULE_MODES[declaredMode]} but frontmatter makes it ${RULE_MODES[rule.mode]}`
+      );
+    }
+
+    if (rule.body.trim() === '') {
+      report('warning', 'empty-body', rule.bodyLine, 'rule has no content');
+    }
+
+    for (const reference of extractReferences(rule.body, rule.bodyLine)) {
+      if (!this.resolveReference(reference, rule, rules)) {
+        report(
+          'error',
+          'dead-reference',
+          reference.line,
+          `reference to missing ${reference.kind === 'directory' ? 'rule category' : 'rule'} "${reference.target}"`
+        );
+      }
+    }
+
+    return issues;
+  }
+
+  /**
+   * Lint every rule and summarize the findings
+   */
+  async lint() {
+    const rules = await this.loadRules();
+    const issues = rules.flatMap(rule => this.lintRule(rule, rules));
+
+    const { always_on_token_budget: budget } = await this.loadRulesConfig();
+    const alwaysOn = this.measureAlwaysOn(rules);
+    if (budget > 0 && alwaysOn.tokens > budget) {
+      issues.push({
+        file: this.rulesDir,
+        line: null,
+        severity: 'error',
+        code: 'token-budget',
+        message:
+          `always-applied rules use ~${alwaysOn.tokens} tokens, over the budget of ${budget} ` +
+          `(${alwaysOn.rules.join(', ')})`,
+      });
+    }
+
+    return {
+      rulesDir: this.rulesDir,
+      rules: rules.length,
+      errors: issues.filter(issue => issue.severity === 'error').length,
+      warnings: issues.filter(issue => issue.severity === 'warning').length,
+      issues,
+    };
+  }
+
+  /**
+   * Print a lint report to the console
+   */
+  printLintReport(result) {
+    log.header(`Rules Lint (${result.rules} rules in ${result.rulesDir})`);
+
+    const byFile = new Map();
+    for (const issue of result.issues) {
+      byFile.set(issue.file, [...(byFile.get(issue.file) || []), issue]);
+    }
+
+    for (const [filePath, issues] of byFile) {
+      log.divider();
+      console.log(`📄 ${filePath}`);
+      for (const issue of issues) {
+        const icon = issue.severity === 'error' ? '❌' : '⚠️ ';
+        const location = issue.line ? `${filePath}:${issue.line}` : filePath;
+        console.log(`  ${icon} ${location} [${issue.code}] ${issue.message}`);
+      }
+    }
+
+    log.divider();
+    if (result.errors > 0) {
+      log.error(`${result.errors} error(s), ${result.warnings} warning(s)`);
+    } else if (result.warnings > 0) {
+      log.warning(`No errors, ${result.warnings} warning(s)`);
+    } else {
+      log.success('All rules are valid');
+    }
+  }
+
+  /**
+   * Measure every rule, the always-on total and duplicated paragraphs
+   */
+  async stats() {
+    const rules = await this.loadRules();
+    const config = await this.loadRulesConfig();
+    const budget = config.always_on_token_budget;
+    const alwaysOn = this.measureAlwaysOn(rules);
+
+    const measures = rules.map(rule => this.measureRule(rule)).sort((a, b) => b.tokens - a.tokens);
+    const duplicates = findDuplicateParagraphs(rules, config.min_duplicate_length).map(
+      duplicate => {
+        const tokens = estimateTokens(duplicate.text);
+        return {
+          preview: duplicate.text.split('\n')[0].slice(0, 80),
+          tokens,
+          wastedTokens: tokens * (duplicate.occurrences.length - 1),
+          occurrences: duplicate.occurrences,
+        };
+      }
+    );
+
+    return {
+      rulesDir: this.rulesDir,
+      rules: measures,
+      totals: {
+        rules: measures.length,
+        tokens: measures.reduce((total, measure) => total + measure.tokens, 0),
+        alwaysOn: {
+          ...alwaysOn,
+          budget: budget > 0 ? budget : null,
+          overBudget: budget > 0 && alwaysOn.tokens > budget,
+        },
+        duplicatedTokens: duplicates.reduce(
+          (total, duplicate) => total + duplicate.wastedTokens,
+          0
+        ),
+      },
+      duplicates,
+    };
+  }
+
+  /**
+   * Print rule statistics to the console
+   */
+  printStatsReport(result) {
+    log.header(`Rules Stats (${result.totals.rules} rules in ${result.rulesDir})`);
+    log.divider();
+    console.log(`${'Tokens'.padStart(8)}  ${'Mode'.padEnd(16)}Rule`);
+    for (const measure of result.rules) {
+      console.log(
+        `${String(measure.tokens).padStart(8)}  ${RULE_MODES[measure.mode].padEnd(16)}${measure.rule}`
+      );
+    }
+
+    log.divider();
+    log.info(`All rules: ~${result.totals.tokens} tokens (offline estimate)`);
+
+    const { alwaysOn } = result.totals;
+    const budget = alwaysOn.budget ? ` / budget ${alwaysOn.budget}` : '';
+    const summary = `Always-on rules (every AI context): ~${alwaysOn.tokens} tokens${budget}`;
+    if (alwaysOn.overBudget) {
+      log.error(summary);
+    } else {
+      log.success(summary);
+    }
+
+    if (result.duplicates.length > 0) {
+      log.divider();
+      log.warning(
+        `${result.duplicates.length} duplicated paragraph(s), ~${result.totals.duplicatedTokens} tokens repeated`
+      );
+      for (const duplicate of result.duplicates) {
+        console.log(`  🔁 "${duplicate.preview}" (~${duplicate.tokens} tokens)`);
+        for (const occurrence of duplicate.occurrences) {
+          console.log(`     ${occurrence.path}:${occurrence.line}`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Resolve which rules Cursor attaches for each file
+   */
+  async which(paths = [], options = {}) {
+    const rules = await this.loadRules();
+    const files = paths.map(filePath => toProjectPath(filePath));
+
+    if (options.staged) {
+      const status = await new GitHelper().getStatus();
+      files.push(...status.staged.map(entry => entry.file));
+    }
+
+    if (files.length === 0) {
+      throw new Error(options.staged ? 'No staged files' : 'No files given');
+    }
+
+    return [...new Set(files)].map(filePath => ({
+      file: filePath,
+      rules: rules
+        .map(rule => ({ rule: rule.name, path: rule.path, ...matchRule(rule, filePath) }))
+        .filter(match => match.mode),
+    }));
+  }
+
+  /**
+   * Print rule matches to the console
+   */
+  printWhichReport(results) {
+    log.header('Rules Applied per File');
+
+    for (const { file: filePath, rules } of results) {
+      log.divider();
+      console.log(`📄 ${filePath}`);
+
+      if (rules.length === 0) {
+        console.log('  (no rule applies)');
+      }
+      for (const match of rules) {
+        const icon = match.attached ? '✅' : '🤖';
+        console.log(`  ${icon} ${match.rule} [${RULE_MODES[match.mode]}] ${match.reason}`);
+      }
+    }
+
+    log.divider();
+    log.info('✅ attached automatically, 🤖 offered to the agent; manual rules need an @-mention');
+  }
+
+  /**
+   * Compile the rules into a single-file format for other AI editors
+   */
+  async exportRules(format, options = {}) {
+    const rules = await this.loadRules();
+    const result = exportRules(rules, format, options);
+    const output = options.output || EXPORT_FORMATS[format].output;
+
+    if (output === '-') {
+      process.stdout.write(result.content);
+      return { ...result, output };
+    }
+
+    // Never overwrite a hand-written file, only previous exports
+    const existing = await file.read(output);
+    if (existing !== null && !existing.includes('cursor-tools rules export') && !options.force) {
+      throw new Error(`${output} exists and was not generated by rules export (use --force)`);
+    }
+
+    await file.write(output, result.content);
+    log.success(`Exported ${result.rules.length} rules to ${output}`);
+    return { ...result, output };
+  }
+
+  /**
+   * Split a legacy single-file ruleset into categorized .mdc rules
+   */
+  async importRules(source = '.cursorrules', options = {}) {
+    const content = await file.read(source);
+    if (content === null) {
+      throw new Error(`File not found: ${source}`);
+    }
+
+    const imported = [];
+    const taken = new Set();
+    for (const rule of parseLegacyRules(content)) {
+      let relativePath = `${rule.category}/${rule.name}.mdc`;
+      for (let index = 2; taken.has(relativePath); index++) {
+        relativePath = `${rule.category}/${rule.name}-${index}.mdc`;
+      }
+      taken.add(relativePath);
+
+      const target = path.join(this.rulesDir, relativePath);
+      const skipped = file.exists(target) && !options.force;
+      if (!skipped && !options.dryRun) {
+        await file.write(target, serializeMdc(rule.frontmatter, rule.body));
+      }
+      imported.push({ path: target, frontmatter: rule.frontmatter, skipped });
+    }
+
+    if (imported.length === 0) {
+      throw new Error(`No rules found in ${source}`);
+    }
+    return imported;
+  }
+
+  /**
+   * Print the outcome of rules import
+   */
+  printImportReport(imported, options = {}) {
+    log.header(`Rules Import${options.dryRun ? ' (dry run)' : ''}`);
+    for (const rule of imported) {
+      const scope = rule.frontmatter.alwaysApply
+        ? 'always'
+        : rule.frontmatter.globs.join(', ') || rule.frontmatter.description;
+      const icon = rule.skipped ? '⏭️ ' : '✅';
+      console.log(`  ${icon} ${rule.path} (${scope})${rule.skipped ? ' exists, skipped' : ''}`);
+    }
+
+    const skipped = imported.filter(rule => rule.skipped).length;
+    log.divider();
+    log.success(
+      `${imported.length - skipped} rule(s) ${options.dryRun ? 'to import' : 'imported'}`
+    );
+    if (skipped > 0) {
+      log.warning(`${skipped} existing rule(s) kept, use --force to overwrite`);
+    }
+  }
+
+  /**
+   * Write a { relativePath: content } map under a directory
+   */
+  async writePackFiles(dir, files) {
+    for (const [relativePath, content] of Object.entries(files)) {
+      await file.write(path.join(dir, relativePath), content);
+    }
+  }
+
+  /**
+   * Build the lockfile entry of a fetched pack
+   */
+  createLockEntry(sourceSpec, pack) {
+    return {
+      source: sourceSpec,
+      type: pack.source.type,
+      ref: pack.source.ref,
+      version: pack.version,
+      commit: pack.commit,
+      hash: pack.hash,
+      files: Object.fromEntries(
+        Object.entries(pack.files).map(([relativePath, content]) => [
+          relativePath,
+          hashContent(content),
+        ])
+      ),
+      updatedAt: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Install a rule pack into .cursor/rules/<pack>/
+   */
+  async addPack(sourceSpec, options = {}) {
+    const lock = await readLock();
+    const pack = await fetchPack(sourceSpec);
+    const name = options.name || packNameFromSource(pack.source.location);
+
+    if (!/^[a-z0-9][a-z0-9._-]*$/.test(name)) {
+      throw new Error(`Invalid pack name "${name}" (use lowercase letters, digits, ".", "_", "-")`);
+    }
+    if (lock.packs[name]) {
+      throw new Error(`Rule pack "${name}" is already installed, use: rules update ${name}`);
+    }
+
+    const packDir = path.join(this.rulesDir, name);
+    if (file.exists(packDir)) {
+      throw new Error(`${packDir} already exists, choose another name with --name`);
+    }
+
+    await this.writePackFiles(packDir, pack.files);
+    await this.writePackFiles(path.join(BASE_DIR, name), pack.files);
+
+    lock.packs[name] = this.createLockEntry(sourceSpec, pack);
+    await writeLock(lock);
+
+    log.success(
+      `Installed rule pack ${name}@${pack.version || 'unversioned'} ` +
+        `(${Object.keys(pack.files).length} rules) into ${packDir}`
+    );
+    return { name, ...lock.packs[name] };
+  }
+
+  /**
+   * Bring one installed pack up to date, keeping local edits
+   *
+   * Each file is merged 3 ways: the upstream copy recorded at install time (base),
+   * the file in .cursor/rules (local) and the newly fetched one (upstream).
+   */
+  async updatePack(name, entry) {
+    const pack = await fetchPack(entry.source);
+    if (pack.hash === entry.hash) {
+      return { name, updated: false, version: entry.version, changes: [] };
+    }
+
+    const packDir = path.join(this.rulesDir, name);
+    const baseDir = path.join(BASE_DIR, name);
+    const base = await readRuleFiles(baseDir);
+    const local = await readRuleFiles(packDir);
+    const upstream = pack.files;
+    const changes = [];
+    const record = (relativePath, action) => changes.push({ file: relativePath, action });
+
+    const paths = [...new Set([...Object.keys(base), ...Object.keys(upstream)])].sort();
+    for (const relativePath of paths) {
+      const [baseContent, localContent, upstreamContent] = [
+        base[relativePath],
+        local[relativePath],
+        upstream[relativePath],
+      ];
+      const target = path.join(packDir, relativePath);
+
+      if (upstreamContent === undefined) {
+        if (localContent === undefined) {
+          continue;
+        }
+        if (localContent === baseContent) {
+          await rm(target);
+          record(relativePath, 'removed');
+        } else {
+          record(relativePath, 'kept (removed upstream, edited locally)');
+        }
+      } else if (localContent === undefined) {
+        if (baseContent === undefined) {
+          await file.write(target, upstreamContent);
+          record(relativePath, 'added');
+        } else if (baseContent !== upstreamContent) {
+          record(relativePath, 'skipped (deleted locally, changed upstream)');
+        }
+      } else if (localContent === upstreamContent || baseContent === upstreamContent) {
+        continue;
+      } else if (localContent === baseContent) {
+        await file.write(target, upstreamContent);
+        record(relativePath, 'updated');
+      } else {
+        const merged = await mergeFile(
+          { local: localContent, base: baseContent || '', upstream: upstreamContent },
+          {
+            local: `local/${relativePath}`,
+            base: `${name}@${entry.version || 'base'}`,
+            upstream: `${name}@${pack.version || 'upstream'}`,
+          }
+        );
+        await file.write(target, merged.content);
+        record(relativePath, merged.conflicts > 0 ? 'conflict' : 'merged');
+      }
+    }
+
+    await rm(baseDir, { recursive: true, force: true });
+    await this.writePackFiles(baseDir, upstream);
+
+    return {
+      name,
+      updated: true,
+      from: entry.version,
+      version: pack.version,
+      changes,
+      lockEntry: this.createLockEntry(entry.source, pack),
+    };
+  }
+
+  /**
+   * Update the given packs (all installed packs by default)
+   */
+  async updatePacks(names = []) {
+    const lock = await readLock();
+    const targets = names.length > 0 ? names : Object.keys(lock.packs);
+
+    if (targets.length === 0) {
+      throw new Error('No rule packs installed, add one with: rules add <source>');
+    }
+
+    const results = [];
+    for (const name of targets) {
+      if (!lock.packs[name]) {
+        throw new Error(`Rule pack "${name}" is not installed`);
+      }
+
+      const result = await this.updatePack(name, lock.packs[name]);
+      if (result.lockEntry) {
+        lock.packs[name] = result.lockEntry;
+      }
+      results.push(result);
+    }
+
+    await writeLock(lock);
+    return results;
+  }
+
+  /**
+   * Print the outcome of rules update
+   */
+  printUpdateReport(results) {
+    log.header('Rule Pack Update');
+
+    for (const result of results) {
+      log.divider();
+      if (!result.updated) {
+        log.info(`${result.name}@${result.version || 'unversioned'} is up to date`);
+        continue;
+      }
+
+      log.success(
+        `${result.name}: ${result.from || 'unversioned'} → ${result.version || 'unversioned'}`
+      );
+      for (const change of result.changes) {
+        const icon = change.action === 'conflict' ? '❌' : change.action === 'merged' ? '🔀' : '•';
+        console.log(`  ${icon} ${change.file}: ${change.action}`);
+      }
+    }
+
+    const conflicts = results.flatMap(result =>
+      result.changes.filter(change => change.action === 'conflict')
+    );
+    log.divider();
+    if (conflicts.length > 0) {
+      log.warning(
+        `${conflicts.length} file(s) with conflict markers, resolve them before committing`
+      );
+    }
+  }
+}
+
+/**
+ * CLI Program
+ */
+const program = new Command();
+
+program
+  .name('rules-manager')
+  .description('📐 Cursor Rules Toolkit - Lint, measure, inspect, share and convert .cursor/rules')
+  .version('1.0.0')
+  .option('--rules-dir <dir>', 'Rules directory', RULES_DIR);
+
+program
+  .command('lint')
+  .description('Validate rule frontmatter, globs, reachability, cross-references and token budget')
+  .option('-f, --format <type>', 'Output format (console, json)', 'console')
+  .option('-b, --budget <tokens>', 'Always-on token budget (0 disables)', parseInt)
+  .action(async options => {
+    try {
+      const manager = new RulesManager({ ...program.opts(), budget: options.budget });
+      const result = await manager.lint();
+
+      if (options.format === 'json') {
+        console.log(JSON.stringify(result, null, 2));
+      } else {
+        manager.printLintReport(result);
+      }
+
+      if (result.errors > 0) {
+        process.exit(1);
+      }
+    } catch (error) {
+      log.error(`Rules lint failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('stats')
+  .description('Estimate tokens per rule, the always-on total and duplicated paragraphs')
+  .option('-f, --format <type>', 'Output format (console, json)', 'console')
+  .option('-b, --budget <tokens>', 'Always-on token budget (0 disables)', parseInt)
+  .action(async options => {
+    try {
+      const manager = new RulesManager({ ...program.opts(), budget: options.budget });
+      const result = await manager.stats();
+
+      if (options.format === 'json') {
+        console.log(JSON.stringify(result, null, 2));
+      } else {
+        manager.printStatsReport(result);
+      }
+    } catch (error) {
+      log.error(`Rules stats failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('which [paths...]')
+  .description('Show which rules Cursor attaches for the given files and why')
+  .option('--staged', 'Include the files staged in git')
+  .option('-f, --format <type>', 'Output format (console, json)', 'console')
+  .action(async (paths, options) => {
+    try {
+      const manager = new RulesManager(program.opts());
+      const results = await manager.which(paths, { staged: options.staged });
+
+      if (options.format === 'json') {
+        console.log(JSON.stringify(results, null, 2));
+      } else {
+        manager.printWhichReport(results);
+      }
+    } catch (error) {
+      log.error(`Rules which failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('export')
+  .description(`Compile rules into one file (${Object.keys(EXPORT_FORMATS).join(', ')})`)
+  .requiredOption('--format <format>', 'Target format')
+  .option('-o, --output <file>', 'Output file ("-" for stdout, defaults to the format file)')
+  .option('--include-manual', 'Also export manual (@-mention only) rules')
+  .option('--force', 'Overwrite an output file not generated by rules export')
+  .action(async options => {
+    try {
+      const manager = new RulesManager(program.opts());
+      await manager.exportRules(options.format, options);
+    } catch (error) {
+      log.error(`Rules export failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('import [file]')
+  .description('Convert a legacy .cursorrules file into categorized .mdc rules')
+  .option('-d, --dry-run', 'Show the rules that would be created')
+  .option('--force', 'Overwrite existing rules')
+  .action(async (source, options) => {
+    try {
+      const manager = new RulesManager(program.opts());
+      const imported = await manager.importRules(source, options);
+      manager.printImportReport(imported, options);
+    } catch (error) {
+      log.error(`Rules import failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('add <source>')
+  .description('Install a rule pack from a local path, a tarball or a git URL (url#ref)')
+  .option('-n, --name <name>', 'Pack name (defaults to the source name)')
+  .action(async (source, options) => {
+    try {
+      const manager = new RulesManager(program.opts());
+      await manager.addPack(source, { name: options.name });
+    } catch (error) {
+      log.error(`Rules add failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('update [packs...]')
+  .description('Update installed rule packs, merging upstream changes with local edits')
+  .action(async packs => {
+    try {
+      const manager = new RulesManager(program.opts());
+      const results = await manager.updatePacks(packs);
+      manager.printUpdateReport(results);
+
+      if (results.some(result => result.changes.some(change => change.action === 'conflict'))) {
+        process.exit(1);
+      }
+    } catch (error) {
+      log.error(`Rules update failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+// Export for use as module
+export { RulesManager, program };
+
+// Run if called directly
+if (import.meta.url.endsWith(process.argv[1].replace(/\\/g, '/'))) {
+  program.parse();
+}
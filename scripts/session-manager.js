@@ -0,0 +1,337 @@
+#!/usr/bin/env node
+
+/**
+ * ⏸️ SESSION MANAGER - Pause & Resume Work Sessions
+ * Saves the branch, working tree, active plan and recent commits into a
+ * snapshot under .automation/sessions/, stashes the changes, and restores
+ * them with a "where we left off" summary
+ */
+
+import { Command } from 'commander';
+import path from 'path';
+import utils from './lib/utils.js';
+import { GitHelper } from './lib/git-helper.js';
+import { PLANS_DIR, getActivePlans } from './lib/plans.js';
+
+const { log, file } = utils;
+
+const SESSIONS_DIR = '.automation/sessions';
+
+const RECENT_COMMITS = 5;
+
+/**
+ * Human readable duration ("3d 4h", "2h 15m", "5m")
+ */
+function formatDuration(ms) {
+  const minutes = Math.floor(ms / 60000);
+  const hours = Math.floor(minutes / 60);
+  const days = Math.floor(hours / 24);
+
+  if (days > 0) {
+    return `${days}d ${hours % 24}h`;
+  }
+  if (hours > 0) {
+    return `${hours}h ${minutes % 60}m`;
+  }
+  return `${minutes}m`;
+}
+
+/**
+ * Local timestamp used in snapshot names: 2024-12-20-05h00-12
+ */
+function sessionName(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return (
+    `pause-${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}-` +
+    `${pad(date.getHours())}h${pad(date.getMinutes())}-${pad(date.getSeconds())}`
+  );
+}
+
+/**
+ * Session Manager
+ */
+class SessionManager {
+  constructor(options = {}) {
+    this.sessionsDir = options.sessionsDir || SESSIONS_DIR;
+    this.plansDir = options.plansDir || PLANS_DIR;
+    this.git = new GitHelper();
+  }
+
+  /**
+   * Commit the stash ref points to, or null when there is no stash
+   */
+  async getStashCommit() {
+    const result = await this.git.run(['rev-parse', '-q', '--verify', 'refs/stash']);
+    return result.success ? result.stdout : null;
+  }
+
+  /**
+   * Current stash@{n} ref of a stash commit (indices shift as stashes are added)
+   */
+  async findStashRef(commit) {
+    const result = await this.git.run(['stash', 'list', '--format=%H']);
+    const index = result.success ? result.stdout.split('\n').indexOf(commit) : -1;
+    return index === -1 ? null : `stash@{${index}}`;
+  }
+
+  /**
+   * Active plans with their open checkboxes
+   */
+  async getPlanContext() {
+    return (await getActivePlans(this.plansDir)).map(plan => ({
+      name: plan.name,
+      path: plan.path,
+      title: plan.title,
+      progress: plan.progress,
+      openItems: plan.checklist.filter(item => !item.checked).map(item => item.text),
+    }));
+  }
+
+  /**
+   * Save a session snapshot and stash the working tree
+   */
+  async pause(options = {}) {
+    const status = await this.git.getStatus();
+    const head = await this.git.run(['rev-parse', 'HEAD']);
+    const pausedAt = new Date();
+    const name = sessionName(pausedAt);
+
+    const snapshot = {
+      name,
+      pausedAt: pausedAt.toISOString(),
+      resumedAt: null,
+      note: options.note || null,
+      branch: status.branch,
+      head: head.success ? head.stdout : null,
+      files: {
+        staged: status.staged.map(entry => entry.file),
+        modified: status.modified.map(entry => entry.file),
+        untracked: status.untracked.map(entry => entry.file),
+      },
+      stash: null,
+      plans: await this.getPlanContext(),
+      recentCommits: await this.git.getCommits(RECENT_COMMITS),
+    };
+
+    if (options.stash !== false && !status.clean) {
+      const before = await this.getStashCommit();
+      const result = await this.git.stash(`cursor-tools ${name}`, { includeUntracked: true });
+      if (!result.success) {
+        throw new Error(`git stash failed: ${result.stderr}`);
+      }
+
+      const commit = await this.getStashCommit();
+      if (commit && commit !== before) {
+        snapshot.stash = { ref: 'stash@{0}', commit };
+      }
+    }
+
+    const target = path.join(this.sessionsDir, `${name}.json`);
+    await file.write(target, JSON.stringify(snapshot, null, 2) + '\n');
+    return { ...snapshot, path: target };
+  }
+
+  /**
+   * Saved sessions, oldest first
+   */
+  async listSessions() {
+    const sessions = [];
+    for (const name of (await file.list(this.sessionsDir)).sort()) {
+      if (!name.endsWith('.json')) {
+        continue;
+      }
+      const sessionPath = path.join(this.sessionsDir, name);
+      try {
+        sessions.push({ ...JSON.parse(await file.read(sessionPath)), path: sessionPath });
+      } catch (error) {
+        log.warning(`Skipping invalid session ${sessionPath}: ${error.message}`);
+      }
+    }
+    return sessions;
+  }
+
+  /**
+   * Session to resume: the named one, or the latest that was not resumed yet
+   */
+  async findSession(query) {
+    const sessions = await this.listSessions();
+
+    if (query) {
+      const session = sessions.find(
+        candidate => candidate.name === query || candidate.name === `pause-${query}`
+      );
+      if (!session) {
+        const available = sessions.map(candidate => candidate.name).join(', ') || 'none';
+        throw new Error(`No session "${query}" (available: ${available})`);
+      }
+      return session;
+    }
+
+    const pending = sessions.filter(session => !session.resumedAt);
+    if (pending.length === 0) {
+      throw new Error(`No paused session to resume in ${this.sessionsDir}`);
+    }
+    return pending[pending.length - 1];
+  }
+
+  /**
+   * Restore the stash of a session and mark it resumed
+   */
+  async resume(query, options = {}) {
+    const session = await this.findSession(query);
+    const status = await this.git.getStatus();
+
+    if (session.branch && status.branch !== session.branch && !options.force) {
+      throw new Error(
+        `Session was paused on ${session.branch}, current branch is ${status.branch} ` +
+          `(git switch ${session.branch}, or use --force)`
+      );
+    }
+
+    let stashRestored = false;
+    if (session.stash) {
+      const ref = await this.findStashRef(session.stash.commit);
+      if (ref) {
+        const result = await this.git.stashPop(ref, { index: true });
+        if (!result.success) {
+          throw new Error(
+            `Could not restore ${ref}: ${result.stderr}\nResolve the conflicts, then run: git stash drop ${ref}`
+          );
+        }
+        stashRestored = true;
+      } else {
+        log.warning(`Stash ${session.stash.commit.slice(0, 7)} no longer exists; nothing restored`);
+      }
+    }
+
+    const { path: sessionPath, ...snapshot } = session;
+    snapshot.resumedAt = new Date().toISOString();
+    await file.write(sessionPath, JSON.stringify(snapshot, null, 2) + '\n');
+
+    const since = session.head
+      ? await this.git.run(['log', '--oneline', `${session.head}..HEAD`])
+      : null;
+
+    return {
+      ...session,
+      resumedAt: snapshot.resumedAt,
+      stashRestored,
+      commitsSince: since?.success ? since.stdout.split('\n').filter(Boolean) : [],
+    };
+  }
+
+  /**
+   * Print what a pause saved
+   */
+  printPauseSummary(snapshot) {
+    const { staged, modified, untracked } = snapshot.files;
+
+    log.header('⏸️ Session paused');
+    console.log(`Snapshot: ${snapshot.path}`);
+    console.log(`Branch: ${snapshot.branch || '(detached)'}`);
+    console.log(
+      `Files: ${staged.length} staged, ${modified.length} modified, ${untracked.length} untracked`
+    );
+    if (snapshot.stash) {
+      console.log(`Stash: ${snapshot.stash.ref} (${snapshot.stash.commit.slice(0, 7)})`);
+    }
+    for (const plan of snapshot.plans) {
+      console.log(`Plan: ${plan.name} (${plan.progress.done}/${plan.progress.total})`);
+    }
+    log.divider();
+    log.success('Session saved. Resume with: cursor-tools resume');
+  }
+
+  /**
+   * Print the "where we left off" summary
+   */
+  printResumeSummary(session) {
+    const pausedFor = formatDuration(new Date(session.resumedAt) - new Date(session.pausedAt));
+    const { staged, modified, untracked } = session.files;
+    const list = files => (files.length > 0 ? files.map(f => `\n    ${f}`).join('') : ' none');
+
+    log.header(`🚀 Resuming session ${session.name} (paused ${pausedFor} ago)`);
+    if (session.note) {
+      console.log(`Note: ${session.note}`);
+    }
+    console.log(`Branch: ${session.branch || '(detached)'}`);
+    log.divider();
+
+    console.log('📍 Where we left off:');
+    console.log(`  Staged:${list(staged)}`);
+    console.log(`  Modified:${list(modified)}`);
+    console.log(`  Untracked:${list(untracked)}`);
+    if (session.stash) {
+      console.log(
+        session.stashRestored ? '  Changes restored from stash' : '  Stash could not be restored'
+      );
+    }
+
+    for (const plan of session.plans) {
+      const { done, total, percent } = plan.progress;
+      log.divider();
+      console.log(`🎯 ${plan.title} (${plan.name}) - ${done}/${total} done (${percent}%)`);
+      plan.openItems.slice(0, 5).forEach(item => console.log(`  ⬜ ${item}`));
+      if (plan.openItems.length > 5) {
+        console.log(`  … ${plan.openItems.length - 5} more`);
+      }
+    }
+
+    log.divider();
+    console.log('🕑 Recent commits at pause:');
+    session.recentCommits.forEach(commit => console.log(`  ${commit}`));
+    if (session.commitsSince.length > 0) {
+      console.log(`🆕 Commits since pause (${session.commitsSince.length}):`);
+      session.commitsSince.forEach(commit => console.log(`  ${commit}`));
+    }
+  }
+}
+
+/**
+ * CLI Program
+ */
+const program = new Command();
+
+program
+  .name('session-manager')
+  .description('⏸️ Pause and resume work sessions')
+  .version('1.0.0')
+  .option('--sessions-dir <dir>', 'Session snapshots directory', SESSIONS_DIR);
+
+program
+  .command('pause [note...]')
+  .description('Snapshot the session and stash the working tree')
+  .option('--no-stash', 'Keep the working tree as is (snapshot only)')
+  .action(async (note, options) => {
+    try {
+      const manager = new SessionManager(program.opts());
+      const snapshot = await manager.pause({ ...options, note: note.join(' ') });
+      manager.printPauseSummary(snapshot);
+    } catch (error) {
+      log.error(`Pause failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('resume [session]')
+  .description('Restore the latest paused session (or the named one)')
+  .option('--force', 'Restore even when on another branch than at pause')
+  .action(async (query, options) => {
+    try {
+      const manager = new SessionManager(program.opts());
+      const session = await manager.resume(query, options);
+      manager.printResumeSummary(session);
+    } catch (error) {
+      log.error(`Resume failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+// Export for use as module
+export { SessionManager, program };
+
+// Run if called directly
+if (import.meta.url.endsWith(process.argv[1].replace(/\\/g, '/'))) {
+  program.parse();
+}
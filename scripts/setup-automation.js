@@ -298,4 +298,5 @@ if (import.meta.url.endsWith(process.argv[1].replace(/\\/g, '/'))) {
   program.parse();
 }
 
+export { program };
 export default SetupAutomation;
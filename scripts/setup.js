@@ -480,7 +480,7 @@ program
   });
 
 // Export for use as module
-export { SetupManager };
+export { SetupManager, program };
 
 // Run if called directly
 if (import.meta.url.endsWith(process.argv[1].replace(/\\/g, '/'))) {
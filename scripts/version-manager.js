@@ -10,7 +10,10 @@ import { Command } from 'commander';
 import semver from 'semver';
 import inquirer from 'inquirer';
 import utils from './lib/utils.js';
+import { GitHelper } from './lib/git-helper.js';
 import { ProjectDetector } from './project-detector.js';
+import { loadAutomationConfig, applyProjectOverrides } from './lib/automation-config.js';
+import { recommendBump } from './lib/version-bump.js';
 
 const { log, file, cmd } = utils;
 
@@ -21,6 +24,25 @@ class VersionManager {
   constructor() {
     this.detector = new ProjectDetector();
     this.projectConfig = null;
+    this.versioningConfig = null;
+  }
+
+  /**
+   * Load versioning settings from .automation-config.yml (with project overrides)
+   */
+  async loadVersioningConfig() {
+    if (this.versioningConfig) {
+      return this.versioningConfig;
+    }
+
+    const config = await this.loadProjectConfig();
+    const automationConfig = applyProjectOverrides(
+      await loadAutomationConfig(),
+      config.projectType
+    );
+
+    this.versioningConfig = automationConfig.versioning;
+    return this.versioningConfig;
   }
 
   /**
@@ -89,7 +111,7 @@ class VersionManager {
         case 'go':
           // Go modules don't have version in go.mod, check git tags
           try {
-            const result = await cmd.exec('git describe --tags --abbrev=0');
+            const result = await cmd.execFile('git', ['describe', '--tags', '--abbrev=0']);
             return result.success ? result.stdout.replace(/^v/, '') : '0.0.0';
           } catch (error) {
             return '0.0.0';
@@ -161,6 +183,7 @@ class VersionManager {
    */
   async updateVersion(newVersion) {
     const config = await this.loadProjectConfig();
+    const { update_files: updateFiles } = await this.loadVersioningConfig();
 
     log.step(`Updating version to: ${newVersion}`);
 
@@ -231,8 +254,13 @@ class VersionManager {
           break;
       }
 
-      // Also update VERSION file if it exists (for consistency)
-      if (file.exists('VERSION') && config.projectType !== 'generic') {
+      // Also update VERSION file when listed in versioning.update_files
+      const projectFiles = updateFiles[config.projectType] || updateFiles.generic || [];
+      if (
+        file.exists('VERSION') &&
+        config.projectType !== 'generic' &&
+        projectFiles.includes('VERSION')
+      ) {
         await file.write('VERSION', newVersion);
         log.success('Updated VERSION file');
       }
@@ -254,7 +282,7 @@ class VersionManager {
 
     try {
       // Check if tag already exists
-      const existingResult = await cmd.exec('git tag --list');
+      const existingResult = await cmd.execFile('git', ['tag', '--list']);
       if (existingResult.success) {
         const existingTags = existingResult.stdout.split('\n').filter(tag => tag.trim());
         if (existingTags.includes(tagName)) {
@@ -265,7 +293,7 @@ class VersionManager {
 
       // Create annotated tag
       const tagMessage = message || `Release version ${version}`;
-      const result = await cmd.exec(`git tag -a ${tagName} -m "${tagMessage}"`);
+      const result = await new GitHelper().createTag(tagName, tagMessage);
 
       if (result.success) {
         log.success(`Created git tag: ${tagName}`);
@@ -295,7 +323,7 @@ class VersionManager {
 
     // Show git tag info if available
     try {
-      const result = await cmd.exec('git describe --tags --abbrev=0');
+      const result = await cmd.execFile('git', ['describe', '--tags', '--abbrev=0']);
       if (result.success) {
         log.info(`Latest Git Tag: ${result.stdout}`);
       }
@@ -313,11 +341,70 @@ class VersionManager {
     return { config, currentVersion };
   }
 
+  /**
+   * Recommended bump from the commits since the latest tag (versioning.auto_bump.rules)
+   */
+  async getRecommendation() {
+    const { auto_bump: autoBump } = await this.loadVersioningConfig();
+    const tag = await new GitHelper().getLatestTag();
+
+    return await recommendBump({
+      tag,
+      version: await this.getCurrentVersion(),
+      rules: autoBump.rules,
+    });
+  }
+
+  /**
+   * Print a recommendation and the commits that justify it
+   */
+  showRecommendation(recommendation) {
+    const { tag, version, bump, releaseType, preMajor, nextVersion, commits, reasons } =
+      recommendation;
+    const since = tag ? `since ${tag}` : 'in the whole history (no tag yet)';
+
+    log.header('Recommended Version Bump');
+    log.info(`Current: ${version}, ${commits.length} commit(s) ${since}`);
+
+    if (!releaseType) {
+      log.info('No commit calls for a release (no breaking change, no type with a bump rule)');
+      return;
+    }
+
+    log.success(`Recommended: ${releaseType} (${version} → ${nextVersion})`);
+    if (preMajor) {
+      log.info(`Pre-1.0 rule: ${bump} changes bump the ${releaseType} version before 1.0.0`);
+    }
+
+    log.divider();
+    log.info(`Commits calling for a ${bump} bump:`);
+    reasons.forEach(commit => {
+      const reason = commit.breaking ? 'breaking change' : commit.type;
+      log.info(`  ${commit.hash.slice(0, 7)} ${commit.subject} (${reason})`);
+    });
+
+    const others = commits.length - reasons.length;
+    if (others > 0) {
+      log.info(`  ...and ${others} other commit(s) calling for a smaller bump or none`);
+    }
+  }
+
   /**
    * Interactive version bump
    */
   async interactiveBump() {
     const { currentVersion } = await this.showVersionInfo();
+    const { default_bump: defaultBump } = await this.loadVersioningConfig();
+
+    // Preselect the bump the commits since the latest tag call for
+    let recommended = null;
+    try {
+      const recommendation = await this.getRecommendation();
+      this.showRecommendation(recommendation);
+      recommended = recommendation.releaseType;
+    } catch (error) {
+      log.debug(`No recommendation: ${error.message}`);
+    }
 
     const choices = [
       {
@@ -344,6 +431,7 @@ class VersionManager {
         name: 'bumpType',
         message: 'Select version bump type:',
         choices,
+        default: recommended || defaultBump,
       },
       {
         type: 'confirm',
@@ -362,6 +450,20 @@ class VersionManager {
     return answers;
   }
 
+  /**
+   * Bump version by the recommended type (nothing when no commit calls for a release)
+   */
+  async autoBump(options = {}) {
+    const recommendation = await this.getRecommendation();
+    this.showRecommendation(recommendation);
+
+    if (!recommendation.releaseType) {
+      return null;
+    }
+    log.divider();
+    return await this.bumpVersion(recommendation.releaseType, options);
+  }
+
   /**
    * Bump version
    */
@@ -415,17 +517,43 @@ program
     }
   });
 
+program
+  .command('recommend')
+  .description('Recommend a bump from the commits since the latest tag')
+  .option('--json', 'Print the recommendation as JSON', false)
+  .action(async options => {
+    try {
+      const manager = new VersionManager();
+      const recommendation = await manager.getRecommendation();
+
+      if (options.json) {
+        console.log(JSON.stringify(recommendation, null, 2));
+      } else {
+        manager.showRecommendation(recommendation);
+      }
+    } catch (error) {
+      log.error(`Version recommendation failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
 program
   .command('bump [type]')
   .description('Bump version (patch, minor, major, prerelease)')
   .option('-t, --tag', 'Create git tag', false)
   .option('-m, --message <message>', 'Tag message')
   .option('-i, --interactive', 'Interactive mode', false)
+  .option('-a, --auto', 'Bump by the type recommended from the commits since the latest tag', false)
   .action(async (bumpType, options) => {
     try {
       const manager = new VersionManager();
 
-      if (options.interactive || !bumpType) {
+      if (options.auto) {
+        if (bumpType) {
+          throw new Error(`--auto picks the bump type itself, remove "${bumpType}"`);
+        }
+        await manager.autoBump({ tag: options.tag, tagMessage: options.message });
+      } else if (options.interactive || !bumpType) {
         const answers = await manager.interactiveBump();
         await manager.bumpVersion(answers.bumpType, {
           tag: answers.createTag,
@@ -470,7 +598,7 @@ program
   });
 
 // Export for use as module
-export { VersionManager };
+export { VersionManager, program };
 
 // Run if called directly
 if (import.meta.url.endsWith(process.argv[1].replace(/\\/g, '/'))) {
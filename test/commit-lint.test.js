@@ -0,0 +1,233 @@
+/**
+ * 🧪 Commit Lint - Rules, Message Parsing and the Commits Linted in Place of Others
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import {
+  loadCommitlintConfig,
+  parseCommitMessage,
+  lintMessage,
+  lintTarget,
+  isIgnored,
+  allowedTypes,
+} from '../scripts/lib/commit-lint.js';
+
+let dir;
+let conventional;
+
+const codes = issues => issues.map(issue => issue.code).sort();
+
+before(async () => {
+  dir = await mkdtemp(path.join(tmpdir(), 'commit-lint-test-'));
+  const configPath = path.join(dir, '.commitlintrc.yml');
+  await writeFile(configPath, 'extends:\n  - "@commitlint/config-conventional"\n');
+  conventional = await loadCommitlintConfig(configPath);
+});
+
+after(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+test('parseCommitMessage splits header, body and footer', () => {
+  const commit = parseCommitMessage(
+    'feat(api)!: drop the v1 routes\n\nThe v2 routes replace them.\nSee the guide.\n\n' +
+      'BREAKING CHANGE: /v1 is gone\n  and will not come back\nRefs #42\nSigned-off-by: Jane <jane@x.io>'
+  );
+
+  assert.equal(commit.type, 'feat');
+  assert.equal(commit.scope, 'api');
+  assert.equal(commit.breaking, true);
+  assert.equal(commit.subject, 'drop the v1 routes');
+  assert.equal(commit.body, 'The v2 routes replace them.\nSee the guide.');
+  assert.equal(
+    commit.footer,
+    'BREAKING CHANGE: /v1 is gone\n  and will not come back\nRefs #42\nSigned-off-by: Jane <jane@x.io>'
+  );
+});
+
+test('parseCommitMessage keeps token-like body lines out of the footer', () => {
+  const commit = parseCommitMessage(
+    'fix: handle timeouts\n\nNote: retries are capped.\nThe cap is 3.\n\nRefs #7'
+  );
+
+  assert.equal(commit.body, 'Note: retries are capped.\nThe cap is 3.');
+  assert.equal(commit.footer, 'Refs #7');
+});
+
+test('parseCommitMessage reads gitmoji headers in the gitmoji style only', () => {
+  assert.equal(parseCommitMessage('✨ (ui): add the button').type, null);
+
+  const commit = parseCommitMessage('✨ (ui): add the button', 'gitmoji');
+  assert.equal(commit.type, 'feat');
+  assert.equal(commit.scope, 'ui');
+  assert.equal(commit.subject, 'add the button');
+
+  assert.equal(
+    parseCommitMessage('fix(ui): 🐛 fix the overflow', 'conventional+emoji').subject,
+    'fix the overflow'
+  );
+});
+
+test('lintMessage passes a valid conventional commit', () => {
+  assert.deepEqual(lintMessage('feat(api): add the export endpoint', conventional), []);
+});
+
+test('lintMessage reports the config-conventional rules', () => {
+  assert.deepEqual(codes(lintMessage('add the export endpoint', conventional)), [
+    'subject-empty',
+    'type-empty',
+  ]);
+  assert.deepEqual(codes(lintMessage('feature: add the export endpoint', conventional)), [
+    'type-enum',
+  ]);
+  assert.deepEqual(codes(lintMessage('FEAT: add the export endpoint', conventional)), [
+    'type-case',
+    'type-enum',
+  ]);
+  assert.deepEqual(codes(lintMessage('feat: Add The Export Endpoint.', conventional)), [
+    'subject-case',
+    'subject-full-stop',
+  ]);
+  assert.deepEqual(codes(lintMessage(`feat: ${'x'.repeat(100)}`, conventional)), [
+    'header-max-length',
+  ]);
+});
+
+test('lintMessage reports severities and leading blank lines', () => {
+  const issues = lintMessage('feat: add the export\nno blank line before the body', conventional);
+
+  assert.deepEqual(issues, [
+    {
+      severity: 'warning',
+      code: 'body-leading-blank',
+      message: 'body must have leading blank line',
+    },
+  ]);
+});
+
+test('lintMessage applies scope-enum, scope-case and trailer rules', () => {
+  const config = {
+    rules: {
+      'scope-enum': [2, 'always', ['api', 'ui']],
+      'scope-case': [2, 'always', 'lower-case'],
+      'signed-off-by': [2, 'always'],
+    },
+  };
+
+  assert.deepEqual(codes(lintMessage('feat(db): add the index', config)), [
+    'scope-enum',
+    'signed-off-by',
+  ]);
+  assert.deepEqual(codes(lintMessage('feat(API): add the index', config)), [
+    'scope-case',
+    'scope-enum',
+    'signed-off-by',
+  ]);
+  assert.deepEqual(
+    lintMessage('feat(api,ui): add the index\n\nSigned-off-by: Jane <jane@x.io>', config),
+    []
+  );
+});
+
+test('lintMessage ignores rules set to level 0', () => {
+  const config = { rules: { 'type-empty': [0, 'never'], 'subject-empty': [2, 'never'] } };
+
+  assert.deepEqual(codes(lintMessage('add the export', config)), ['subject-empty']);
+});
+
+test('lintMessage reads the header in the commit style', () => {
+  assert.deepEqual(lintMessage('✨ (ui): add the button', conventional, 'gitmoji'), []);
+  assert.deepEqual(codes(lintMessage('🐛 fix the Crash.', conventional, 'gitmoji')), [
+    'subject-full-stop',
+  ]);
+});
+
+test('lintTarget lints fixup!, squash!, amend! and git revert commits as what they stand for', () => {
+  assert.deepEqual(lintTarget('fixup! fix: handle empty input'), {
+    kind: 'fixup',
+    message: 'fix: handle empty input',
+  });
+  assert.deepEqual(lintTarget('fixup! squash! feat: add the export'), {
+    kind: 'fixup',
+    message: 'feat: add the export',
+  });
+  assert.deepEqual(lintTarget('amend! fix: handle empty input\n\nfix: handle the empty input'), {
+    kind: 'amend',
+    message: 'fix: handle the empty input',
+  });
+  assert.deepEqual(lintTarget('Revert "feat: add the export"\n\nThis reverts commit abc.'), {
+    kind: 'revert',
+    message: 'feat: add the export',
+  });
+  assert.deepEqual(lintTarget('feat: add the export'), {
+    kind: 'commit',
+    message: 'feat: add the export',
+  });
+});
+
+test('lintTarget skips generated merge messages of merge commits only', () => {
+  assert.deepEqual(lintTarget("Merge branch 'main' into login", { merge: true }), {
+    kind: 'merge',
+    message: null,
+  });
+  assert.equal(lintTarget('Merge pull request #4 from x/login', { merge: true }).kind, 'merge');
+  assert.equal(lintTarget('feat: merge the two parsers', { merge: true }).kind, 'commit');
+  assert.equal(lintTarget("Merge branch 'main' into login").kind, 'commit');
+});
+
+test('a fixup of a bad subject is not valid', () => {
+  assert.deepEqual(codes(lintMessage(lintTarget('fixup! whatever bad').message, conventional)), [
+    'subject-empty',
+    'type-empty',
+  ]);
+});
+
+test('default ignores apply only when the config opts in', () => {
+  const message = 'fixup! whatever bad';
+
+  assert.equal(conventional.defaultIgnores, false);
+  assert.equal(isIgnored(message, conventional), false);
+  assert.equal(isIgnored(message, { ...conventional, defaultIgnores: true }), true);
+});
+
+test('ignores accept functions, regular expressions and pattern strings', async () => {
+  const configPath = path.join(dir, 'ignores.json');
+  await writeFile(configPath, JSON.stringify({ ignores: ['^wip\\b', 'Release v\\d'] }));
+  const config = await loadCommitlintConfig(configPath);
+
+  assert.equal(isIgnored('wip: half done', config), true);
+  assert.equal(isIgnored('chore: Release v2', config), true);
+  assert.equal(isIgnored('feat: add the export', config), false);
+
+  const scriptPath = path.join(dir, 'commitlint.config.cjs');
+  await writeFile(
+    scriptPath,
+    "module.exports = { ignores: [message => message.startsWith('tmp'), /^draft/] };\n"
+  );
+  const script = await loadCommitlintConfig(scriptPath);
+
+  assert.equal(isIgnored('tmp: scratch', script), true);
+  assert.equal(isIgnored('draft: outline', script), true);
+  assert.equal(isIgnored('feat: add the export', script), false);
+});
+
+test('invalid ignores entries are rejected when the config loads', async () => {
+  const configPath = path.join(dir, 'bad-ignores.yml');
+  await writeFile(configPath, 'ignores:\n  - 3\n');
+
+  await assert.rejects(loadCommitlintConfig(configPath), /ignores\[0\]: expected a function/);
+});
+
+test('allowedTypes reads an active type-enum only', () => {
+  assert.deepEqual(allowedTypes({ rules: { 'type-enum': [2, 'always', ['feat', 'fix']] } }), [
+    'feat',
+    'fix',
+  ]);
+  assert.equal(allowedTypes({ rules: { 'type-enum': [0, 'always', ['feat']] } }), null);
+  assert.equal(allowedTypes({ rules: { 'type-enum': [2, 'never', ['wip']] } }), null);
+  assert.equal(allowedTypes({ rules: {} }), null);
+});
@@ -0,0 +1,78 @@
+/**
+ * 🧪 Commit Style - Headers Read Back What They Were Formatted From
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  COMMIT_STYLES,
+  formatHeader,
+  parseHeader,
+  emojiForType,
+  typeForEmoji,
+} from '../scripts/lib/commit-style.js';
+
+const TYPES = ['feat', 'fix', 'docs', 'style', 'refactor', 'perf', 'test', 'build', 'ci', 'chore'];
+
+test('formatHeader and parseHeader round-trip in every style', () => {
+  for (const style of COMMIT_STYLES) {
+    for (const type of TYPES) {
+      for (const scope of [null, 'api']) {
+        const parts = { type, scope, breaking: false, description: 'handle the empty input' };
+        const header = formatHeader(parts, style);
+        const parsed = parseHeader(header);
+
+        assert.equal(parsed.style, style, header);
+        assert.equal(parsed.type, type, header);
+        assert.equal(parsed.scope, scope, header);
+        assert.equal(parsed.breaking, false, header);
+        assert.equal(parsed.description, 'handle the empty input', header);
+      }
+    }
+  }
+});
+
+test('breaking changes round-trip, with 💥 standing for the type in gitmoji', () => {
+  const parts = { type: 'feat', scope: 'api', breaking: true, description: 'drop the v1 routes' };
+
+  assert.equal(formatHeader(parts, 'conventional'), 'feat(api)!: drop the v1 routes');
+  assert.deepEqual(parseHeader('feat(api)!: drop the v1 routes'), {
+    style: 'conventional',
+    type: 'feat',
+    scope: 'api',
+    breaking: true,
+    description: 'drop the v1 routes',
+    emoji: null,
+  });
+
+  const gitmoji = formatHeader(parts, 'gitmoji');
+  assert.equal(gitmoji, '💥 (api): drop the v1 routes');
+  assert.equal(parseHeader(gitmoji).type, null);
+  assert.equal(parseHeader(gitmoji).breaking, true);
+});
+
+test('parseHeader keeps the type case and rejects an empty scope', () => {
+  assert.equal(parseHeader('FEAT: add the export').type, 'FEAT');
+  assert.equal(parseHeader('Feat(API): add the export').type, 'Feat');
+  assert.equal(parseHeader('feat(): add the export'), null);
+  assert.equal(parseHeader('add the export'), null);
+});
+
+test('an emoji opening a plain conventional description is reported, not trusted', () => {
+  const parsed = parseHeader('docs: 🚀 explain the deployment steps');
+
+  assert.equal(parsed.type, 'docs');
+  assert.equal(parsed.emoji, '🚀');
+  assert.equal(typeForEmoji(parsed.emoji), 'ci');
+});
+
+test('emojis and shortcodes map back to their type', () => {
+  for (const type of TYPES) {
+    assert.equal(typeForEmoji(emojiForType(type)), type);
+  }
+  assert.equal(typeForEmoji(':sparkles:'), 'feat');
+  assert.equal(typeForEmoji('🚑️'), 'fix');
+  assert.equal(typeForEmoji('💥'), 'breaking');
+  assert.equal(typeForEmoji('🦄'), null);
+  assert.equal(parseHeader(':bug: (ui): fix the overflow').type, 'fix');
+});
@@ -0,0 +1,76 @@
+/**
+ * 🧪 cursor-tools - Free Text Reaches the Scripts as Single Arguments
+ * Runs the development mode in a throwaway repository holding a copy of scripts/
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import { existsSync } from 'fs';
+import { cp, mkdtemp, rm, symlink, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const CURSOR_TOOLS = path.join(ROOT, 'cursor-tools.js');
+
+let repo;
+
+const git = (...args) => execFileSync('git', args, { cwd: repo, encoding: 'utf8' });
+const cursorTools = (...args) =>
+  execFileSync(process.execPath, [CURSOR_TOOLS, ...args], {
+    cwd: repo,
+    encoding: 'utf8',
+    stdio: 'pipe',
+  });
+
+before(async () => {
+  repo = await mkdtemp(path.join(tmpdir(), 'cursor-tools-test-'));
+  await cp(path.join(ROOT, 'scripts'), path.join(repo, 'scripts'), { recursive: true });
+  // plan new starts from these templates
+  await cp(
+    path.join(ROOT, '.cursor', 'plans', 'templates'),
+    path.join(repo, '.cursor', 'plans', 'templates'),
+    {
+      recursive: true,
+    }
+  );
+  await symlink(path.join(ROOT, 'node_modules'), path.join(repo, 'node_modules'), 'dir');
+  git('init', '--quiet');
+  git('config', 'user.name', 'Test');
+  git('config', 'user.email', 'test@example.com');
+  git('config', 'commit.gpgSign', 'false');
+  git('config', 'core.hooksPath', path.join(repo, '.git', 'no-hooks'));
+});
+
+after(async () => {
+  await rm(repo, { recursive: true, force: true });
+});
+
+test('commit passes a hostile message and co-author verbatim', async () => {
+  const message =
+    'docs: keep "double", \'single\', `touch pwned-tick` and $(touch pwned-sub); touch pwned-semi';
+  await writeFile(path.join(repo, 'notes.md'), 'notes\n');
+  git('add', 'notes.md');
+
+  cursorTools('commit', message, '--no-verify', '--no-plan', '--co-author', 'Jane Doe <jane@x.io>');
+
+  assert.equal(
+    git('log', '-1', '--format=%B').trimEnd(),
+    `${message}\n\nCo-authored-by: Jane Doe <jane@x.io>`
+  );
+  for (const name of ['pwned-tick', 'pwned-sub', 'pwned-semi']) {
+    assert.equal(existsSync(path.join(repo, name)), false, `${name} was created`);
+  }
+});
+
+test('plan new keeps a multi-word name', () => {
+  cursorTools('plan', 'new', 'Login page redesign');
+
+  assert.equal(existsSync(path.join(repo, '.cursor', 'plans', 'todo', 'login.md')), false);
+  assert.equal(
+    existsSync(path.join(repo, '.cursor', 'plans', 'todo', 'login-page-redesign.md')),
+    true
+  );
+});
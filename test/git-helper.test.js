@@ -0,0 +1,116 @@
+/**
+ * 🧪 GitHelper - Commit and Tag Messages Reach Git Verbatim
+ * Runs in a throwaway repository: every message goes through a file, never through a shell
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import { existsSync } from 'fs';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { GitHelper } from '../scripts/lib/git-helper.js';
+
+// Each one would run a command or break the quoting if it reached a shell
+const HOSTILE_MESSAGES = [
+  'fix: handle "double" and \'single\' quotes',
+  'fix: keep `touch pwned-backtick` as text',
+  'fix: keep $(touch pwned-subshell) and ${HOME} as text',
+  'fix: stop at the semicolon; touch pwned-semicolon',
+  'feat(cli): multi-line message\n\nFirst paragraph with "quotes" && touch pwned-and\n\n- `item` | cat\n- $(id) > pwned-redirect',
+];
+
+const PWNED_FILES = [
+  'pwned-backtick',
+  'pwned-subshell',
+  'pwned-semicolon',
+  'pwned-and',
+  'pwned-redirect',
+];
+
+const originalCwd = process.cwd();
+let repo;
+
+const git = (...args) => execFileSync('git', args, { encoding: 'utf8' });
+
+before(async () => {
+  repo = await mkdtemp(path.join(tmpdir(), 'git-helper-test-'));
+  process.chdir(repo);
+  git('init', '--quiet');
+  git('config', 'user.name', 'Test');
+  git('config', 'user.email', 'test@example.com');
+  git('config', 'commit.gpgSign', 'false');
+  git('config', 'tag.gpgSign', 'false');
+  git('config', 'core.hooksPath', path.join(repo, '.git', 'no-hooks'));
+});
+
+after(async () => {
+  process.chdir(originalCwd);
+  await rm(repo, { recursive: true, force: true });
+});
+
+test('commit() stores hostile messages verbatim', async () => {
+  const helper = new GitHelper();
+
+  for (const [index, message] of HOSTILE_MESSAGES.entries()) {
+    await writeFile(`file-${index}.txt`, message);
+    assert.equal((await helper.run(['add', '--all'])).success, true);
+
+    const result = await helper.commit(message);
+    assert.equal(result.success, true, result.stderr);
+    assert.equal(git('log', '-1', '--format=%B').trimEnd(), message);
+  }
+
+  for (const name of PWNED_FILES) {
+    assert.equal(existsSync(name), false, `${name} was created`);
+  }
+});
+
+test('createTag() stores hostile annotations verbatim', async () => {
+  const helper = new GitHelper();
+
+  for (const [index, message] of HOSTILE_MESSAGES.entries()) {
+    const tagName = `v0.0.${index}`;
+    const result = await helper.createTag(tagName, message);
+    assert.equal(result.success, true, result.stderr);
+    assert.equal(git('tag', '-l', '--format=%(contents)', tagName).trimEnd(), message);
+  }
+
+  for (const name of PWNED_FILES) {
+    assert.equal(existsSync(name), false, `${name} was created`);
+  }
+});
+
+test('run() passes hostile arguments as single arguments', async () => {
+  const helper = new GitHelper();
+
+  for (const message of HOSTILE_MESSAGES) {
+    const result = await helper.run(['commit', '--allow-empty', '--quiet', '-m', message]);
+    assert.equal(result.success, true, result.stderr);
+    assert.equal(git('log', '-1', '--format=%B').trimEnd(), message);
+  }
+
+  const grep = await helper.run(['log', '--format=%s', '--fixed-strings', `--grep=$(id)`]);
+  assert.equal(grep.success, true, grep.stderr);
+  assert.equal(grep.stdout.split('\n').length, 2);
+
+  for (const name of PWNED_FILES) {
+    assert.equal(existsSync(name), false, `${name} was created`);
+  }
+});
+
+test('runWithMessage() removes its temporary message file', async () => {
+  const helper = new GitHelper();
+  let messageFile;
+
+  const result = await helper.runWithMessage('chore: "quoted" `tick` $(id); done', file => {
+    messageFile = file;
+    return ['commit', '--allow-empty', '--quiet', '-F', file];
+  });
+
+  assert.equal(result.success, true, result.stderr);
+  assert.equal(git('log', '-1', '--format=%B').trimEnd(), 'chore: "quoted" `tick` $(id); done');
+  assert.equal(existsSync(messageFile), false);
+  assert.equal(existsSync(path.dirname(messageFile)), false);
+});
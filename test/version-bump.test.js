@@ -0,0 +1,66 @@
+/**
+ * 🧪 Version Bump - Commit Classification and the Pre-1.0 Rule
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyCommit, applyPreMajorRule } from '../scripts/lib/version-bump.js';
+
+const RULES = { feat: 'minor', fix: 'patch', perf: 'patch' };
+
+test('classifyCommit maps types through the rules', () => {
+  assert.equal(classifyCommit('feat(api): add the export', RULES).bump, 'minor');
+  assert.equal(classifyCommit('fix: handle the empty input', RULES).bump, 'patch');
+  assert.equal(classifyCommit('perf: cache the parsed config', RULES).bump, 'patch');
+});
+
+test('classifyCommit gives no bump to types without a rule', () => {
+  for (const message of ['docs: explain the setup', 'chore: tidy scripts', 'ci: pin node']) {
+    const commit = classifyCommit(message, RULES);
+    assert.equal(commit.bump, null, message);
+    assert.equal(commit.breaking, false, message);
+  }
+  assert.deepEqual(classifyCommit('Update the readme', RULES), {
+    subject: 'Update the readme',
+    type: null,
+    breaking: false,
+    bump: null,
+  });
+});
+
+test('classifyCommit calls for major on !, 💥 and BREAKING CHANGE footers', () => {
+  assert.equal(classifyCommit('feat(api)!: drop the v1 routes', RULES).bump, 'major');
+  assert.equal(classifyCommit('💥 (api): drop the v1 routes', RULES).bump, 'major');
+  assert.equal(
+    classifyCommit('docs: rename the config key\n\nBREAKING CHANGE: `dir` is now `root`', RULES)
+      .bump,
+    'major'
+  );
+  assert.equal(
+    classifyCommit('chore: bump deps\n\nBREAKING-CHANGE: node 18 is required', RULES).breaking,
+    true
+  );
+});
+
+test('classifyCommit reads gitmoji and conventional+emoji headers', () => {
+  assert.equal(classifyCommit('✨ (ui): add the button', RULES).type, 'feat');
+  assert.equal(classifyCommit('fix(ui): 🐛 fix the overflow', RULES).bump, 'patch');
+});
+
+test('classifyCommit keeps the type case, so FEAT: has no rule', () => {
+  assert.equal(classifyCommit('FEAT: add the export', RULES).bump, null);
+});
+
+test('applyPreMajorRule moves bumps down one level before 1.0.0', () => {
+  assert.equal(applyPreMajorRule('major', '0.4.2'), 'minor');
+  assert.equal(applyPreMajorRule('minor', '0.4.2'), 'patch');
+  assert.equal(applyPreMajorRule('patch', '0.4.2'), 'patch');
+  assert.equal(applyPreMajorRule(null, '0.4.2'), null);
+});
+
+test('applyPreMajorRule keeps bumps from 1.0.0 on', () => {
+  for (const bump of ['major', 'minor', 'patch', null]) {
+    assert.equal(applyPreMajorRule(bump, '1.0.0'), bump);
+    assert.equal(applyPreMajorRule(bump, '2.3.4'), bump);
+  }
+});